@@ -112,6 +112,11 @@ export default function App() {
               component={require('./src/screens/ReviewQueueScreen').default}
               options={{ title: 'Review Queue' }}
             />
+            <Stack.Screen
+              name="AuditLog"
+              component={require('./src/screens/AuditLogScreen').default}
+              options={{ title: 'Audit Trail' }}
+            />
 
             <Stack.Screen
               name="CameraSim"
@@ -1,10 +1,16 @@
-/* Cloud Functions: assign default roles and allow staff to promote users. */
+/* Cloud Functions: assign default roles, allow staff to promote users,
+ * stop game clocks at 0:00 on the server, and migrate review items. */
 
+const crypto = require("crypto");
 const admin = require("firebase-admin");
 admin.initializeApp();
 
 const {onCall, HttpsError} = require("firebase-functions/v2/https");
 const {onUserCreated} = require("firebase-functions/v2/identity");
+const {onDocumentWritten} = require("firebase-functions/v2/firestore");
+const {onTaskDispatched} = require("firebase-functions/v2/tasks");
+const {getFunctions} = require("firebase-admin/functions");
+const {FieldValue} = require("firebase-admin/firestore");
 
 // ✔️ Adjust to your domains
 const STAFF_DOMAINS = ["wellball.com", "wellball.app"];
@@ -49,3 +55,340 @@ exports.setUserRole = onCall({region: "us-central1"}, async (request) => {
   await admin.auth().setCustomUserClaims(uid, {role});
   return {status: "ok", uid, role};
 });
+
+/* ========================= Game clock expiry ========================= */
+// games/{id}: clockSeconds + lastStartAt (server time) while clockRunning.
+// Every start (or clock_set while running) schedules a Cloud Task for the
+// moment the clock reaches 0. The task only acts if the game is still on
+// the same run, so stops/resets/restarts make older tasks no-ops.
+
+const REGION = "us-central1";
+const EXPIRY_QUEUE = `locations/${REGION}/functions/expireGameClock`;
+const EARLY_TOLERANCE_MS = 500;
+
+const toMillis = (ts) => (ts && ts.toMillis ? ts.toMillis() : null);
+
+/**
+ * Identify one clock run: same start + same seconds = same expiry.
+ * @param {object} g game doc data
+ * @return {{startMs: number, seconds: number}|null}
+ */
+function clockRun(g) {
+  if (!g || !g.clockRunning) return null;
+  const startMs = toMillis(g.lastStartAt);
+  if (startMs === null) return null;
+  return {startMs, seconds: Math.max(0, Number(g.clockSeconds) || 0)};
+}
+
+/**
+ * Enqueue the expiry task for a run.
+ * @param {string} gameId
+ * @param {{startMs: number, seconds: number}} run
+ * @param {boolean} dedupe use a deterministic task id for this run
+ */
+async function scheduleExpiry(gameId, run, dedupe = true) {
+  const endMs = run.startMs + run.seconds * 1000;
+  const opts = {scheduleTime: new Date(Math.max(Date.now(), endMs))};
+  if (dedupe) opts.id = `clock-${gameId}-${run.startMs}-${run.seconds}`;
+  try {
+    await getFunctions().taskQueue(EXPIRY_QUEUE)
+        .enqueue({gameId, ...run}, opts);
+  } catch (e) {
+    // already scheduled for this exact run
+    if (e && e.code === "functions/task-already-exists") return;
+    throw e;
+  }
+}
+
+exports.scheduleClockExpiry = onDocumentWritten(
+    {document: "games/{gameId}", region: REGION},
+    async (event) => {
+      const before = event.data && event.data.before.exists ?
+        event.data.before.data() : null;
+      const after = event.data && event.data.after.exists ?
+        event.data.after.data() : null;
+
+      const run = clockRun(after);
+      if (!run) return;
+      const prev = clockRun(before);
+      if (prev && prev.startMs === run.startMs &&
+          prev.seconds === run.seconds) {
+        return; // unrelated write while the clock runs
+      }
+      await scheduleExpiry(event.params.gameId, run);
+    });
+
+exports.expireGameClock = onTaskDispatched(
+    {
+      region: REGION,
+      retryConfig: {maxAttempts: 5, minBackoffSeconds: 5},
+      rateLimits: {maxConcurrentDispatches: 20},
+    },
+    async (req) => {
+      const {gameId, startMs, seconds} = req.data || {};
+      if (!gameId) return;
+
+      const db = admin.firestore();
+      const gameRef = db.collection("games").doc(gameId);
+
+      const outcome = await db.runTransaction(async (tx) => {
+        const snap = await tx.get(gameRef);
+        const run = clockRun(snap.exists ? snap.data() : null);
+        if (!run || run.startMs !== startMs || run.seconds !== seconds) {
+          return "stale"; // stopped, reset or restarted since
+        }
+        const endMs = run.startMs + run.seconds * 1000;
+        if (Date.now() < endMs - EARLY_TOLERANCE_MS) return "early";
+
+        tx.update(gameRef, {
+          clockRunning: false,
+          clockSeconds: 0,
+          lastStartAt: null,
+          logSeq: FieldValue.increment(1), // see bumpLogSeq in gameService.js
+        });
+        tx.set(gameRef.collection("logs").doc(), {
+          type: "clock_expired",
+          seconds: 0,
+          by: "system",
+          ts: FieldValue.serverTimestamp(),
+        });
+        // same shape as src/services/auditService.js
+        const g = snap.data() || {};
+        const changes = [
+          {field: "clockRunning", before: !!g.clockRunning, after: false},
+          {
+            field: "clockSeconds",
+            before: g.clockSeconds === undefined ? null : g.clockSeconds,
+            after: 0,
+          },
+          {field: "lastStartAt", before: g.lastStartAt || null, after: null},
+        ];
+        tx.set(gameRef.collection("audit").doc(), {
+          action: "clock_expired",
+          by: "system",
+          clientTs: Date.now(),
+          ts: FieldValue.serverTimestamp(),
+          fields: changes.map((c) => c.field),
+          changes,
+          context: {startMs, seconds},
+        });
+        return "expired";
+      });
+
+      if (outcome === "early") {
+        await scheduleExpiry(gameId, {startMs, seconds}, false);
+      }
+    });
+
+/* ===================== Review queue migration ===================== */
+// Review items used to carry resolved/decision flags, and fused camera
+// proposals lived in games/{id}/proposals. Both now share
+// games/{id}/review_queue with one status field and a priority (model in
+// src/services/review.js). Fused proposals still under the old 8-hex
+// hashTiny ids get collision-resistant ids (see fusedShotId in
+// src/services/coordinatorFuser.js). Safe to run more than once.
+// Usage from CLI (gameId optional, default all games):
+//   npx firebase-tools functions:call migrateReviewQueue --data '{}'
+
+// same table as REVIEW_REASONS in src/services/review.js
+const REVIEW_PRIORITY = {
+  tracker_disagreement: 60,
+  offline_conflict: 50,
+  verified_refused: 45,
+  blocked: 40,
+  camera_disagreement: 35,
+  rule_violation: 30,
+  low_confidence: 20,
+  bad_shape: 10,
+  auto_proposal: 5,
+};
+const REVIEW_STATUSES = ["pending", "accepted", "rejected"];
+
+/**
+ * Status fields for a review_queue doc written before the status field.
+ * @param {object} r review doc data
+ * @return {object|null} the update, or null when already migrated
+ */
+function legacyReviewUpdate(r) {
+  if (REVIEW_STATUSES.includes(r.status) && typeof r.priority === "number") {
+    return null;
+  }
+  let status = "pending";
+  if (REVIEW_STATUSES.includes(r.status)) status = r.status;
+  else if (r.resolved) {
+    status = r.decision === "rejected" ? "rejected" : "accepted";
+  }
+  const update = {status, priority: REVIEW_PRIORITY[r.reason] || 0};
+  if (r.resolved && !r.decidedAt) {
+    update.decidedAt = r.resolvedAt || null;
+    update.decidedBy = r.resolvedBy || null;
+  }
+  if (r.decision === "approved_edit" && r.editPatch && !r.edits) {
+    update.edits = r.editPatch;
+  }
+  return update;
+}
+
+/**
+ * A proposals doc as a review_queue doc (reason auto_proposal).
+ * @param {object} p proposal doc data
+ * @param {string} id proposal doc id (the shotId)
+ * @return {object}
+ */
+function proposalToReview(p, id) {
+  const conf = p.confidence;
+  const detail = conf && typeof conf === "object" ? conf : null;
+  const status = REVIEW_STATUSES.includes(p.status) ? p.status : "pending";
+  const out = {
+    ...p,
+    reason: "auto_proposal",
+    status,
+    priority: REVIEW_PRIORITY.auto_proposal,
+    shotId: p.shotId || id,
+    confidence: typeof conf === "number" ? conf :
+      (detail && typeof detail.overall === "number" ? detail.overall : null),
+    confidenceDetail: p.confidenceDetail || detail,
+    shotSpotId: p.shotSpotId || p.spotId || null,
+    createdAt: p.createdAt || FieldValue.serverTimestamp(),
+    createdBy: p.createdBy || "system",
+  };
+  delete out.spotId;
+  return out;
+}
+
+// shot ids from the 32-bit hashTiny "md5" (src/services/hashTiny.js, gone)
+const LEGACY_SHOT_ID = /^[0-9a-f]{8}$/;
+
+// TIME_WINDOW_MS in src/services/autoDedup.js
+const FUSE_WINDOW_MS = 320;
+
+/**
+ * fusedShotId in src/services/coordinatorFuser.js: time prefix + 96 bits of
+ * SHA-256 of the ball track and time bucket.
+ * @param {string} ballTrackId
+ * @param {number} bucket
+ * @return {string}
+ */
+function fusedShotId(ballTrackId, bucket) {
+  const ms = Math.max(0, Math.floor(Number(bucket) * FUSE_WINDOW_MS)) || 0;
+  const hash = crypto.createHash("sha256")
+      .update(`fused|${ballTrackId}|${bucket}`)
+      .digest("hex")
+      .slice(0, 24);
+  return `${ms.toString(36).padStart(9, "0")}-${hash}`;
+}
+
+/**
+ * New id for a legacy proposal. With a ball track and capture time it is the
+ * id the fuser gives the same shot today, so a re-submit lands on the same
+ * doc; otherwise (the fuser never re-submits those) a hash of what the doc
+ * still knows about the shot, in the same shape.
+ * @param {string} oldId legacy 8-hex shot id
+ * @param {object} p proposal / review doc data
+ * @return {string}
+ */
+function rekeyedShotId(oldId, p) {
+  if (p.ballTrackId && typeof p.t === "number") {
+    return fusedShotId(p.ballTrackId, Math.round(p.t / FUSE_WINDOW_MS));
+  }
+  let ms = typeof p.t === "number" ? p.t : 0;
+  if (!ms && p.createdAt && p.createdAt.toMillis) ms = p.createdAt.toMillis();
+  const hash = crypto.createHash("sha256")
+      .update(`legacy|${oldId}|${ms}|${p.playerId || ""}|${p.shotType || ""}`)
+      .digest("hex")
+      .slice(0, 24);
+  return `${Math.max(0, Math.floor(ms)).toString(36).padStart(9, "0")}-${hash}`;
+}
+
+// fields a decision writes on a review doc
+const DECISION_FIELDS = [
+  "status", "logId", "edits", "rejectReason", "decidedAt", "decidedBy",
+];
+
+/**
+ * Write a legacy-id proposal under its new id. An accepted one keeps its log
+ * (the log id is the old shot id); the log's evidence points at the new doc.
+ * If the fuser already re-submitted the shot under the new id, that doc takes
+ * over the decision made on the legacy one, so the shot isn't accepted twice.
+ * @param {object} writer BulkWriter
+ * @param {object} queueRef the game's review_queue collection
+ * @param {string} oldId legacy shot id
+ * @param {object} data review doc data (already in the unified shape)
+ */
+async function rekeyProposal(writer, queueRef, oldId, data) {
+  const newId = rekeyedShotId(oldId, data);
+  const target = queueRef.doc(newId);
+  const existing = await target.get();
+  if (!existing.exists) {
+    writer.create(target, {...data, shotId: newId, legacyShotId: oldId});
+  } else if (existing.get("status") === "pending" &&
+      data.status && data.status !== "pending") {
+    const decision = {legacyShotId: oldId};
+    DECISION_FIELDS.forEach((k) => {
+      if (data[k] !== undefined) decision[k] = data[k];
+    });
+    writer.update(target, decision);
+  }
+  if (data.logId) {
+    const logRef = queueRef.parent.collection("logs").doc(data.logId);
+    if ((await logRef.get()).exists) {
+      writer.update(logRef, {
+        "evidence.reviewId": newId,
+        "evidence.legacyShotId": oldId,
+      });
+    }
+  }
+}
+
+exports.migrateReviewQueue = onCall({region: REGION}, async (request) => {
+  const callerUid = request.auth && request.auth.uid;
+  if (!callerUid) throw new HttpsError("unauthenticated", "Sign in required");
+
+  const caller = await admin.auth().getUser(callerUid);
+  const claims = caller.customClaims || {};
+  const callerIsStaff = claims.role === "staff" || claims.admin === true;
+  if (!callerIsStaff) throw new HttpsError("permission-denied", "Staff only");
+
+  const gameId = (request.data && request.data.gameId) || null;
+  const db = admin.firestore();
+  const sub = (name) => (gameId ?
+    db.collection("games").doc(gameId).collection(name) :
+    db.collectionGroup(name));
+
+  const writer = db.bulkWriter();
+  let updated = 0;
+  let moved = 0;
+  let rekeyed = 0;
+
+  const queue = await sub("review_queue").get();
+  for (const d of queue.docs) {
+    const data = d.data();
+    const update = legacyReviewUpdate(data);
+    if (data.reason === "auto_proposal" && LEGACY_SHOT_ID.test(d.id)) {
+      await rekeyProposal(writer, d.ref.parent, d.id, {...data, ...update});
+      writer.delete(d.ref);
+      rekeyed++;
+    } else if (update) {
+      writer.update(d.ref, update);
+      updated++;
+    }
+  }
+
+  const proposals = await sub("proposals").get();
+  for (const d of proposals.docs) {
+    const queueRef = d.ref.parent.parent.collection("review_queue");
+    const data = proposalToReview(d.data(), d.id);
+    if (LEGACY_SHOT_ID.test(d.id)) {
+      await rekeyProposal(writer, queueRef, d.id, data);
+      rekeyed++;
+    } else if (!(await queueRef.doc(d.id).get()).exists) {
+      // a proposal already moved (or re-submitted since) keeps its review doc
+      writer.create(queueRef.doc(d.id), data);
+    }
+    writer.delete(d.ref);
+    moved++;
+  }
+
+  await writer.close();
+  return {status: "ok", updated, moved, rekeyed};
+});
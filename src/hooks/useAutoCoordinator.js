@@ -1,6 +1,9 @@
 // src/hooks/useAutoCoordinator.js
+// Fuses raw camera events into proposals — on the elected coordinator only
+// (coordinatorService.js); every other device just keeps its buffer warm.
 import { useEffect, useRef } from 'react';
-import { listenAutoEvents, submitProposal } from '../services/autoTrackingService';
+import { listenAutoEvents } from '../services/autoTrackingService';
+import { isCoordinatorLeader } from '../services/coordinatorService';
 import { fuseEventsToProposals, ingestFused } from '../services/coordinatorFuser';
 
 export default function useAutoCoordinator({ game, gameId, rosterMap }) {
@@ -10,7 +13,7 @@ export default function useAutoCoordinator({ game, gameId, rosterMap }) {
     if (!gameId) return;
     const off = listenAutoEvents(gameId, (evs) => { bufferRef.current = evs; });
     const interval = setInterval(async () => {
-      if (!game || game.paused || !game.autoMode?.enabled) return;
+      if (!game || game.paused || !game.autoMode?.enabled || !isCoordinatorLeader(gameId)) return;
       const proposals = fuseEventsToProposals({ game, events: bufferRef.current, rosterMap, thresholds:{} });
       await ingestFused({ gameId, proposals, ingestThreshold: game.autoMode?.ingestThreshold ?? 0.85 });
     }, 800);
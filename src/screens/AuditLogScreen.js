@@ -0,0 +1,106 @@
+// src/screens/AuditLogScreen.js
+import React, { useEffect, useMemo, useState } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, FlatList } from 'react-native';
+import { auditActionLabel, describeAuditValue, listenAudit } from '../services/auditService';
+
+// Field groups staff usually look for after a contested game
+const FILTERS = [
+  { key: 'all', label: 'All', match: () => true },
+  { key: 'clock', label: 'Clock', match: f => /^(clockSeconds|clockRunning|lastStartAt|timeout)/.test(f) },
+  { key: 'score', label: 'Score', match: f => /^(matchScore|challengeScore|challengeWins|challengeWon|result)/.test(f) },
+  { key: 'locks', label: 'Locks', match: f => /^(trackerLocks|disputeLock|roles)/.test(f) },
+  { key: 'lineup', label: 'Lineup', match: f => /^(teamAIds|teamBIds|bench)/.test(f) },
+];
+
+const fmtClientTs = (ms) => (Number.isFinite(ms) ? new Date(ms).toLocaleTimeString() : '—');
+
+export default function AuditLogScreen({ route }) {
+  const { gameId } = route.params || {};
+  const [entries, setEntries] = useState([]);
+  const [filter, setFilter] = useState('all');
+  const [open, setOpen] = useState(null); // expanded entry id
+
+  useEffect(() => {
+    if (!gameId) return;
+    const off = listenAudit(gameId, setEntries, { max: 500 });
+    return () => off && off();
+  }, [gameId]);
+
+  const shown = useMemo(() => {
+    const f = FILTERS.find(x => x.key === filter) || FILTERS[0];
+    if (f.key === 'all') return entries;
+    return entries.filter(e => (e.fields || []).some(f.match));
+  }, [entries, filter]);
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.h1}>Audit Trail</Text>
+      <Text style={styles.meta}>{shown.length} of {entries.length} changes • newest first</Text>
+
+      <View style={styles.filterRow}>
+        {FILTERS.map(f => (
+          <TouchableOpacity
+            key={f.key}
+            style={[styles.chip, filter === f.key && styles.chipOn]}
+            onPress={() => setFilter(f.key)}
+          >
+            <Text style={[styles.chipTxt, filter === f.key && { color: '#fff' }]}>{f.label}</Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      <FlatList
+        data={shown}
+        keyExtractor={(e) => e.id}
+        renderItem={({ item }) => (
+          <TouchableOpacity style={styles.listItem} onPress={() => setOpen(open === item.id ? null : item.id)}>
+            <View style={styles.itemHead}>
+              <Text style={styles.itemTime}>{fmtClientTs(item.clientTs)}</Text>
+              <Text style={styles.itemAction}>{auditActionLabel(item.action)}</Text>
+              <Text style={styles.itemBy} numberOfLines={1}>{item.by}</Text>
+            </View>
+            <Text style={styles.itemFields} numberOfLines={open === item.id ? undefined : 1}>
+              {(item.fields || []).length ? item.fields.join(', ') : 'no game fields changed'}
+            </Text>
+            {open === item.id && (
+              <View style={styles.changes}>
+                {(item.changes || []).map(c => (
+                  <Text key={c.field} style={styles.changeTxt}>
+                    {c.field}: {describeAuditValue(c.before)} → {describeAuditValue(c.after)}
+                  </Text>
+                ))}
+                {!!item.context && (
+                  <Text style={styles.contextTxt}>{describeAuditValue(item.context)}</Text>
+                )}
+              </View>
+            )}
+          </TouchableOpacity>
+        )}
+        ListEmptyComponent={<View style={styles.empty}><Text style={{ color: '#666' }}>No changes recorded.</Text></View>}
+      />
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: { flex: 1, padding: 12, backgroundColor: 'white' },
+  h1: { fontSize: 20, fontWeight: '800' },
+  meta: { color: '#666', marginBottom: 8 },
+
+  filterRow: { flexDirection: 'row', flexWrap: 'wrap', gap: 8, marginBottom: 8 },
+  chip: { borderWidth: 1, borderColor: '#111', paddingVertical: 4, paddingHorizontal: 10, borderRadius: 14 },
+  chipOn: { backgroundColor: '#111' },
+  chipTxt: { color: '#111', fontWeight: '700' },
+
+  listItem: { borderTopWidth: 1, borderTopColor: '#eee', paddingVertical: 8 },
+  itemHead: { flexDirection: 'row', alignItems: 'center', gap: 8 },
+  itemTime: { color: '#666', width: 80 },
+  itemAction: { fontWeight: '800', color: '#111' },
+  itemBy: { flex: 1, textAlign: 'right', color: '#666', fontSize: 12 },
+  itemFields: { color: '#333', marginTop: 2, fontSize: 12 },
+  changes: { marginTop: 6, padding: 6, backgroundColor: '#f7f7f7', borderRadius: 8 },
+  changeTxt: { fontSize: 12, color: '#111', marginBottom: 2 },
+  contextTxt: { fontSize: 11, color: '#666', marginTop: 4 },
+
+  empty: { alignItems: 'center', justifyContent: 'center', padding: 20 },
+});
@@ -1,14 +1,20 @@
 // src/screens/BoxScoreScreen.js
 import React, { useEffect, useMemo, useState } from 'react';
-import { View, Text, StyleSheet, SafeAreaView, TouchableOpacity } from 'react-native';
+import { View, Text, StyleSheet, SafeAreaView, TouchableOpacity, Alert } from 'react-native';
 import { db } from '../services/firebase';
 import { collection, doc, onSnapshot, orderBy, query, onSnapshot as onSnapCol } from 'firebase/firestore';
 import * as ScreenOrientation from 'expo-screen-orientation'; // ✅ Expo-friendly
+import { describeResult } from '../services/matchFormat';
+import { benchIds, lineupTimeline, teamPlayerIds } from '../services/lineup';
+import { isViolationLog } from '../services/violations';
+import { describeRuling, listenDisputes } from '../services/disputeService';
+import { cloneGame } from '../services/gameService';
 
 export default function BoxScoreScreen({ route, navigation }) {
   const { gameId } = route.params || {};
   const [game, setGame] = useState(null);
   const [logs, setLogs] = useState([]);
+  const [disputes, setDisputes] = useState([]);
 
   // ✅ Lock to landscape on mount; restore portrait on unmount (Expo Go safe)
   useEffect(() => {
@@ -25,13 +31,15 @@ export default function BoxScoreScreen({ route, navigation }) {
     );
     const ql = query(collection(db, 'games', gameId, 'logs'), orderBy('ts', 'asc'));
     const offLogs = onSnapCol(ql, s => setLogs(s.docs.map(d => ({ id: d.id, ...d.data() }))));
-    return () => { offGame && offGame(); offLogs && offLogs(); };
+    const offDisputes = listenDisputes(gameId, setDisputes);
+    return () => { offGame && offGame(); offLogs && offLogs(); offDisputes && offDisputes(); };
   }, [gameId]);
 
   const attempts = useMemo(
-    () => logs.filter(l => typeof l.made === 'boolean' && l.playerId && (l.team === 'A' || l.team === 'B')),
+    () => logs.filter(l => typeof l.made === 'boolean' && !l.voided && l.playerId && (l.team === 'A' || l.team === 'B')),
     [logs]
   );
+  const violationLogs = useMemo(() => logs.filter(isViolationLog), [logs]);
   const winLogs = useMemo(
     () => logs.filter(l => l.type === 'challenge_win' && (l.team === 'A' || l.team === 'B')),
     [logs]
@@ -51,6 +59,8 @@ export default function BoxScoreScreen({ route, navigation }) {
           gamechanger: { m: 0, a: 0 },
           bonus: { m: 0, a: 0 },
           winners: 0,
+          violations: 0,
+          voided: 0,
         };
       }
       return map[pid];
@@ -77,18 +87,50 @@ export default function BoxScoreScreen({ route, navigation }) {
         row.winners += 1;
       }
     }
+    for (const v of violationLogs) {
+      if (v.playerId) {
+        const row = ensure(map, v.playerId, v.team);
+        row.violations += 1;
+        if (v.voidedShotId) row.voided += 1;
+      }
+    }
     return map;
-  }, [attempts, winLogs]);
+  }, [attempts, winLogs, violationLogs]);
 
+  // everyone who played, benched players included (marked in the table)
   const teamAPlayers = useMemo(
-    () => (game?.teamAIds || []).map(pid => ({ pid, ...(perPlayer[pid] || defaultRow('A')) })),
-    [game?.teamAIds, perPlayer]
+    () => teamPlayerIds(game, 'A').map(pid => ({
+      pid, benched: benchIds(game, 'A').includes(pid), ...(perPlayer[pid] || defaultRow('A')),
+    })),
+    [game, perPlayer]
   );
   const teamBPlayers = useMemo(
-    () => (game?.teamBIds || []).map(pid => ({ pid, ...(perPlayer[pid] || defaultRow('B')) })),
-    [game?.teamBIds, perPlayer]
+    () => teamPlayerIds(game, 'B').map(pid => ({
+      pid, benched: benchIds(game, 'B').includes(pid), ...(perPlayer[pid] || defaultRow('B')),
+    })),
+    [game, perPlayer]
   );
 
+  // who was on court when (only shown once someone has been substituted)
+  const stints = useMemo(() => lineupTimeline(game, logs), [game, logs]);
+  const hasSubs = useMemo(() => logs.some(l => l.type === 'substitution'), [logs]);
+
+  const rematch = () => {
+    const start = async (swapTeams) => {
+      try {
+        const newId = await cloneGame(gameId, { swapTeams });
+        navigation.replace('StatEntryScreen', { gameId: newId });
+      } catch (e) {
+        Alert.alert('Rematch failed', e.message);
+      }
+    };
+    Alert.alert('Rematch', 'New game with the same teams, sequence, court setup and roster.', [
+      { text: 'Cancel', style: 'cancel' },
+      { text: 'Swap Sides', onPress: () => start(true) },
+      { text: 'Same Sides', onPress: () => start(false) },
+    ]);
+  };
+
   if (!game) {
     return (
       <SafeAreaView style={styles.center}>
@@ -107,7 +149,9 @@ export default function BoxScoreScreen({ route, navigation }) {
     for (const p of (teamKey === 'A' ? teamAPlayers : teamBPlayers)) {
       m += p.total.m; a += p.total.a; wins += p.winners;
     }
-    return { m, a, wins };
+    // team violations include calls not tied to a player (e.g. delay of game)
+    const viol = violationLogs.filter(v => v.team === teamKey).length;
+    return { m, a, wins, viol };
   };
   const tA = teamTotals('A');
   const tB = teamTotals('B');
@@ -115,16 +159,40 @@ export default function BoxScoreScreen({ route, navigation }) {
   return (
     <SafeAreaView style={styles.container}>
       <View style={styles.header}>
-        <Text style={styles.h1}>Final Box Score</Text>
+        <Text style={styles.h1}>{game.status === 'ended' ? 'Final Box Score' : 'Box Score (live)'}</Text>
+        {game.result ? <Text style={styles.winner}>{describeResult(game)}</Text> : null}
         <Text style={styles.meta}>Match: {matchA} : {matchB}</Text>
         <Text style={styles.metaSmall}>Last Challenge Score: {chalA} : {chalB}</Text>
       </View>
 
       <View style={styles.columns}>
-        <TeamPanel title="Team A" totals={tA} players={teamAPlayers} />
-        <TeamPanel title="Team B" totals={tB} players={teamBPlayers} right />
+        <TeamPanel title="Team A" totals={tA} players={teamAPlayers} won={game.result?.winner === 'A'} />
+        <TeamPanel title="Team B" totals={tB} players={teamBPlayers} won={game.result?.winner === 'B'} right />
       </View>
 
+      {hasSubs && (
+        <View style={styles.stintsBox}>
+          <Text style={styles.bold}>On court</Text>
+          {['A', 'B'].map(team => (
+            <Text key={team} style={styles.stintsTxt} numberOfLines={2}>
+              Team {team}: {stints[team].map(s => `${s.playerId} ${fmtTime(s.fromMs, 'start')}–${fmtTime(s.toMs, 'now')}`).join(' • ')}
+            </Text>
+          ))}
+        </View>
+      )}
+
+      {disputes.length > 0 && (
+        <View style={styles.stintsBox}>
+          <Text style={styles.bold}>Disputes</Text>
+          {disputes.map(d => (
+            <Text key={d.id} style={styles.stintsTxt} numberOfLines={2}>
+              Ch {Number(d.challengeIndex ?? 0) + 1} • Team {d.team} disputed {(d.logIds || []).length} {(d.logIds || []).length === 1 ? 'entry' : 'entries'}
+              {d.reason ? ` — ${d.reason}` : ''} — {describeRuling(d)}{d.ruling?.note ? ` (${d.ruling.note})` : ''}
+            </Text>
+          ))}
+        </View>
+      )}
+
       <View style={styles.footerRow}>
         <TouchableOpacity
           style={[styles.btn, styles.btnLight]}
@@ -138,6 +206,9 @@ export default function BoxScoreScreen({ route, navigation }) {
         >
           <Text style={styles.btnTxt}>Reopen Tracker</Text>
         </TouchableOpacity>
+        <TouchableOpacity style={[styles.btn, { backgroundColor: '#0a0' }]} onPress={rematch}>
+          <Text style={styles.btnTxt}>Rematch</Text>
+        </TouchableOpacity>
       </View>
     </SafeAreaView>
   );
@@ -145,13 +216,13 @@ export default function BoxScoreScreen({ route, navigation }) {
 
 /* ---------------- Subcomponents ---------------- */
 
-function TeamPanel({ title, totals, players, right = false }) {
+function TeamPanel({ title, totals, players, won = false, right = false }) {
   return (
-    <View style={[styles.teamPanel, right && { marginLeft: 6 }]}>
+    <View style={[styles.teamPanel, right && { marginLeft: 6 }, won && styles.teamPanelWon]}>
       <View style={styles.teamHeaderRow}>
-        <Text style={styles.teamTitle}>{title}</Text>
+        <Text style={styles.teamTitle}>{title}{won ? ' 🏆' : ''}</Text>
         <Text style={styles.teamSum}>
-          FG {pct(totals.m, totals.a)} • {totals.m}/{totals.a} • GW {totals.wins}
+          FG {pct(totals.m, totals.a)} • {totals.m}/{totals.a} • GW {totals.wins} • Viol {totals.viol}
         </Text>
       </View>
 
@@ -165,6 +236,8 @@ function TeamPanel({ title, totals, players, right = false }) {
         <Text style={[styles.cell, styles.bold]}>GC</Text>
         <Text style={[styles.cell, styles.bold]}>Bonus</Text>
         <Text style={[styles.cell, styles.bold]}>GW</Text>
+        <Text style={[styles.cell, styles.bold]}>Viol</Text>
+        <Text style={[styles.cell, styles.bold]}>Void</Text>
       </View>
 
       {players.map((p) => (
@@ -180,7 +253,9 @@ function PlayerDenseRow({ p }) {
 
   return (
     <View style={styles.rowDense}>
-      <Text style={[styles.nameCell, styles.bold]} numberOfLines={1}>{p.pid}</Text>
+      <Text style={[styles.nameCell, styles.bold, p.benched && styles.benched]} numberOfLines={1}>
+        {p.pid}{p.benched ? ' (bench)' : ''}
+      </Text>
       <Text style={styles.cell}>{fgPct}</Text>
       <Text style={styles.cell}>{p.total.m}/{p.total.a}</Text>
       <Text style={styles.cell}>{fmtNa(p.mid.m, p.mid.a)}</Text>
@@ -189,6 +264,8 @@ function PlayerDenseRow({ p }) {
       <Text style={styles.cell}>{fmtNa(p.gamechanger.m, p.gamechanger.a)}</Text>
       <Text style={styles.cell}>{fmtNa(p.bonus.m, p.bonus.a)}</Text>
       <Text style={styles.cell}>{p.winners}</Text>
+      <Text style={styles.cell}>{p.violations}</Text>
+      <Text style={styles.cell}>{p.voided}</Text>
     </View>
   );
 }
@@ -197,6 +274,10 @@ function PlayerDenseRow({ p }) {
 
 const pct = (m, a) => (a > 0 ? `${Math.round((m / a) * 100)}%` : '—');
 
+const fmtTime = (ms, fallback) => (ms == null || !Number.isFinite(ms)
+  ? fallback
+  : new Date(ms).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }));
+
 function defaultRow(team) {
   return {
     team,
@@ -207,6 +288,8 @@ function defaultRow(team) {
     gamechanger: { m: 0, a: 0 },
     bonus: { m: 0, a: 0 },
     winners: 0,
+    violations: 0,
+    voided: 0,
   };
 }
 
@@ -217,6 +300,7 @@ const styles = StyleSheet.create({
   header: { alignItems: 'center', marginBottom: 6 },
   h1: { fontSize: 18, fontWeight: '900' },
   meta: { fontSize: 14, fontWeight: '800', marginTop: 2 },
+  winner: { fontSize: 15, fontWeight: '900', color: '#15803d', marginTop: 2 },
   metaSmall: { color: '#666', marginTop: 2, fontSize: 12 },
 
   columns: { flexDirection: 'row', flex: 1, gap: 6 },
@@ -228,6 +312,7 @@ const styles = StyleSheet.create({
     padding: 8,
     backgroundColor: '#fafafa',
   },
+  teamPanelWon: { borderColor: '#16a34a', borderWidth: 2 },
   teamHeaderRow: { flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center', marginBottom: 4 },
   teamTitle: { fontSize: 14, fontWeight: '900' },
   teamSum: { fontSize: 12, fontWeight: '800', color: '#222' },
@@ -243,6 +328,10 @@ const styles = StyleSheet.create({
   nameCell: { flex: 1.5, paddingRight: 6, fontSize: 12, color: '#111' },
   cell: { flex: 1, textAlign: 'center', fontSize: 11, color: '#111' },
   bold: { fontWeight: '900' },
+  benched: { color: '#888' },
+
+  stintsBox: { marginTop: 6, padding: 6, borderWidth: 1, borderColor: '#eee', borderRadius: 8 },
+  stintsTxt: { fontSize: 11, color: '#333', marginTop: 2 },
 
   footerRow: { flexDirection: 'row', gap: 8, marginTop: 8 },
   btn: { backgroundColor: '#111', paddingVertical: 10, paddingHorizontal: 14, borderRadius: 8, alignItems: 'center' },
@@ -1,22 +1,22 @@
 // src/screens/CastingDisplay.js
 import React, { useEffect, useMemo, useRef, useState } from 'react';
 import { View, Text, StyleSheet, SafeAreaView, TouchableOpacity, Image } from 'react-native';
-import { db } from '../services/firebase';
-import { doc, onSnapshot, collection, query, orderBy, onSnapshot as onSnapCol, updateDoc } from 'firebase/firestore';
+import { db, auth } from '../services/firebase';
+import { doc, onSnapshot, collection, query, orderBy, onSnapshot as onSnapCol } from 'firebase/firestore';
 import * as ScreenOrientation from 'expo-screen-orientation';
+import { describeHandicap, normalizeRuleset, timeoutsLeft } from '../services/scoring';
+import { computeDisplayedSeconds, serverNow, syncServerOffset } from '../services/clockService';
+import { completeIntermission, resolveBonusExpiry } from '../services/gameService';
+import { intermissionLabel, phaseOf } from '../services/gamePhase';
+import { canKeeper } from '../services/keeperRoles';
+import { tsMillis } from '../services/gameReducer';
+import { benchIds, describeSubstitution, isSubstitutionLog } from '../services/lineup';
 
 /* ---------------- constants ---------------- */
 const AVATAR = 'https://dummyimage.com/240x360/cccccc/ffffff.png&text=%20';
 const PALETTE = ['#FF6B00', '#000000', '#1F6CFF', '#10B981', '#B30059', '#D97706'];
 
 /* ---------------- helpers ---------------- */
-const computeDisplayedSeconds = (clockSeconds, running, lastStartAt) => {
-  const base = Number(clockSeconds || 0);
-  if (!running || !lastStartAt) return base;
-  const lastMs = lastStartAt.toMillis ? lastStartAt.toMillis() : Date.parse(lastStartAt);
-  const elapsed = Math.max(0, Math.floor((Date.now() - lastMs) / 1000));
-  return Math.max(0, base - elapsed);
-};
 const formatClock = (sec) => {
   if (!Number.isFinite(sec)) return '--:--';
   const m = Math.floor(sec / 60);
@@ -66,7 +66,7 @@ const buildStats = (logs) => {
   const teamWinners = { A: 0, B: 0 };
 
   for (const l of logs) {
-    if (typeof l.made === 'boolean' && l.playerId && (l.team === 'A' || l.team === 'B')) {
+    if (typeof l.made === 'boolean' && !l.voided && l.playerId && (l.team === 'A' || l.team === 'B')) {
       if (!perPlayer[l.playerId]) {
         perPlayer[l.playerId] = {
           team: l.team,
@@ -125,7 +125,7 @@ export default function CastingDisplay({ route }) {
   // team-bound colors (persist through flips)
   const [teamColors, setTeamColors] = useState({ A: '#FF6B00', B: '#000000' });
 
-  // used to guard OT auto-setup so it triggers only once per tie
+  // last overtimeCount we asked the engine to resolve (one request per tie)
   const processedOTRef = useRef(-1);
 
   // orientation lock
@@ -138,6 +138,9 @@ export default function CastingDisplay({ route }) {
     } catch {} })(); };
   }, []);
 
+  // measure server clock offset once per mount (clock is server-time based)
+  useEffect(() => { syncServerOffset(); }, []);
+
   // subscribe
   useEffect(() => {
     if (!gameId) return;
@@ -147,13 +150,15 @@ export default function CastingDisplay({ route }) {
     return () => { offGame && offGame(); offLogs && offLogs(); };
   }, [gameId]);
 
-  // tick every 500ms while we have a running clock OR a winner banner (for blink)
+  // tick every 500ms while we have a running clock, a timeout OR a winner banner (for blink)
+  const timeoutEndsMs = game?.timeout ? tsMillis(game.timeout.endsAt) : null;
   useEffect(() => {
     const needBlink = !!game?.challengeWon;
-    if (!game?.clockRunning && !needBlink) return;
+    if (!game?.clockRunning && !needBlink && !timeoutEndsMs) return;
     const id = setInterval(() => setTick(t => (t + 1) % 1000), 500);
     return () => clearInterval(id);
-  }, [game?.clockRunning, game?.challengeWon]);
+  }, [game?.clockRunning, game?.challengeWon, timeoutEndsMs]);
+  const timeoutLeftSecs = timeoutEndsMs ? Math.max(0, Math.ceil((timeoutEndsMs - serverNow()) / 1000)) : 0;
 
   const secs = computeDisplayedSeconds(game?.clockSeconds, game?.clockRunning, game?.lastStartAt);
   const clockText = formatClock(secs);
@@ -187,9 +192,20 @@ export default function CastingDisplay({ route }) {
     [game?.teamBIds, perPlayer]
   );
 
+  // benched players are hidden from the panels but their shots still count for the team
+  const benchA = benchIds(game, 'A');
+  const benchB = benchIds(game, 'B');
+  const benchRows = (ids, team) => ids.map(pid => ({ pid, ...ensureRow(perPlayer[pid], team) }));
+
   const totals = (list) => list.reduce((acc, p) => ({ m: acc.m + p.total.m, a: acc.a + p.total.a }), { m: 0, a: 0 });
-  const tA = totals(aList);
-  const tB = totals(bList);
+  const tA = totals([...aList, ...benchRows(benchA, 'A')]);
+  const tB = totals([...bList, ...benchRows(benchB, 'B')]);
+
+  // newest log is a substitution → announce it until play continues
+  const lastLog = logs.length ? logs[logs.length - 1] : null;
+  const subText = isSubstitutionLog(lastLog)
+    ? describeSubstitution(lastLog, undefined, (t) => (t === 'A' ? (game?.teamAName || 'Team A') : (game?.teamBName || 'Team B')))
+    : '';
 
   // Respect global uiFlipSides if present (so tracker "Flip Sides" also flips casting).
   // Fallback to local toggle if uiFlipSides is undefined.
@@ -233,6 +249,7 @@ export default function CastingDisplay({ route }) {
   const leftIsWinner  = !!won && ((won.team === leftKey));
   const rightIsWinner = !!won && ((won.team === rightKey));
   const shutoutActive = !!won?.shutout; // NEW: shutout flag from game.challengeWon
+  const rules = useMemo(() => normalizeRuleset(game?.ruleset), [game?.ruleset]);
 
   // BONUS — winner highlight (as soon as clock hits 0)
   const bonusTimeUp = bonusActive && computeDisplayedSeconds(game?.clockSeconds, game?.clockRunning, game?.lastStartAt) <= 0;
@@ -242,44 +259,35 @@ export default function CastingDisplay({ route }) {
     else if (matchRight > matchLeft) bonusWinnerSide = 'right';
   }
 
-  // ---------------- OVERTIME AUTO-SETUP ----------------
+  // ---------------- OVERTIME ----------------
+  // The engine decides (resolveBonusExpiry is idempotent); the guard only avoids
+  // re-sending the same request on every render while the tie is showing.
+  const otCount = Number(game?.overtimeCount ?? 0);
+  const isTieAtZero = bonusTimeUp && matchLeft === matchRight;
   useEffect(() => {
-    if (!game || !bonusActive) return;
-
-    // If we changed games or someone manually reset overtimeCount elsewhere, resync the guard.
-    const currentCount = Number(game.overtimeCount ?? 0);
-    if (processedOTRef.current < currentCount) {
-      processedOTRef.current = currentCount;
-    }
-
-    // Trigger OT only when:
-    // - Bonus time has reached 0
-    // - Match tied
-    // - We haven't already processed this exact tie (guarded by processedOTRef)
-    const isTie = bonusTimeUp && matchLeft === matchRight;
-    if (!isTie) return;
-
-    const alreadyHandled = processedOTRef.current > currentCount;
-    if (alreadyHandled) return;
-
-    const nextSecs = currentCount === 0 ? 120 : 60; // first OT 2:00, then 1:00
-    (async () => {
-      try {
-        await updateDoc(doc(db, 'games', gameId), {
-          // keep bonusActive true
-          clockSeconds: nextSecs,
-          clockRunning: false,
-          lastStartAt: null,
-          overtimeCount: currentCount + 1,
-        });
-        // bump guard so we don't loop
-        processedOTRef.current = currentCount + 1;
-      } catch (e) {
-        // no Alert in display; fail silently
-        console.warn('OT setup failed:', e?.message || e);
-      }
-    })();
-  }, [bonusActive, bonusTimeUp, matchLeft, matchRight, game, gameId]);
+    if (!gameId || !isTieAtZero) return;
+    if (processedOTRef.current >= otCount) return;
+    processedOTRef.current = otCount;
+    resolveBonusExpiry(gameId, { atCount: otCount }).catch((e) => {
+      // no Alert in display; fail silently
+      console.warn('OT setup failed:', e?.message || e);
+    });
+  }, [gameId, isTieAtZero, otCount]);
+
+  // ---------------- INTERMISSION (auto-advance) ----------------
+  const intermission = game?.intermission || null;
+  const imActive = !!game && phaseOf(game) === 'intermission' && !!intermission && !intermission.cancelled;
+  const imEndsMs = imActive ? tsMillis(intermission.endsAt) : null;
+  const imLeft = imActive ? Math.max(0, Math.ceil((imEndsMs - serverNow()) / 1000)) : 0;
+  // only a keeper may advance; a display signed in as anyone else just shows the countdown
+  const canAdvance = !!game && canKeeper(game, auth.currentUser?.uid, 'advance');
+  useEffect(() => {
+    if (!gameId || !canAdvance || !imActive || !Number.isFinite(imEndsMs)) return;
+    const id = setTimeout(() => {
+      completeIntermission(gameId).catch((e) => console.warn('auto-advance failed:', e?.message || e));
+    }, Math.max(0, imEndsMs - serverNow()));
+    return () => clearTimeout(id);
+  }, [gameId, canAdvance, imActive, imEndsMs]);
 
   if (!game) {
     return (
@@ -301,6 +309,21 @@ export default function CastingDisplay({ route }) {
         <View style={styles.midTop}>
           <Text style={[styles.clockText, { color: theme.fg }]}>{clockText}</Text>
           <Text style={[styles.meta, { color: theme.fg }]}>{bonusActive ? `BONUS ROUND${Number(game.overtimeCount ?? 0) > 0 ? ` — OT ${game.overtimeCount}` : ''}` : challMeta.name}</Text>
+          {timeoutLeftSecs > 0 ? (
+            <View style={styles.timeoutPill}>
+              <Text style={styles.intermissionTxt}>
+                TIMEOUT {game.timeout.team === 'A' ? (game.teamAName || 'Team A') : (game.teamBName || 'Team B')} — {formatClock(timeoutLeftSecs)}
+              </Text>
+            </View>
+          ) : imActive ? (
+            <View style={styles.intermissionPill}>
+              <Text style={styles.intermissionTxt}>{intermissionLabel(game)} — {formatClock(imLeft)}</Text>
+            </View>
+          ) : subText ? (
+            <View style={styles.subPill}>
+              <Text style={styles.intermissionTxt}>SUB — {subText}</Text>
+            </View>
+          ) : null}
         </View>
 
         <View style={{ flexDirection: 'row', gap: 8 }}>
@@ -330,7 +353,10 @@ export default function CastingDisplay({ route }) {
           blinkOn={blinkOn}
           teamAName={game.teamAName || 'Team A'}
           teamBName={game.teamBName || 'Team B'}
-          shutoutActive={shutoutActive}          // NEW: show "SHUTOUT ×2"
+          shutoutActive={shutoutActive}          // NEW: show "SHUTOUT ×N"
+          shutoutMultiplier={rules.shutoutMultiplier}
+          handicapLeft={describeHandicap(game.handicap, leftKey)}
+          handicapRight={describeHandicap(game.handicap, rightKey)}
         />
       ) : (
         <ScoreRowBonus
@@ -350,10 +376,12 @@ export default function CastingDisplay({ route }) {
         <TeamPanel
           teamKey={leftKey}
           roster={leftRoster}
+          bench={leftKey === 'A' ? benchA : benchB}
           totals={leftTotals}
           moneyMakes={leftMoneyMakes}
           winners={leftWinners}
           specials={game?.specials?.[leftKey]}
+          timeoutsLeft={timeoutsLeft(game?.timeoutsUsed, leftKey, rules)}
           theme={theme}
           accent={leftKey === 'A' ? colorA : colorB}
           onPickColor={(c) => setTeamColors(prev => ({ ...prev, [leftKey]: c }))}
@@ -362,10 +390,12 @@ export default function CastingDisplay({ route }) {
         <TeamPanel
           teamKey={rightKey}
           roster={rightRoster}
+          bench={rightKey === 'A' ? benchA : benchB}
           totals={rightTotals}
           moneyMakes={rightMoneyMakes}
           winners={rightWinners}
           specials={game?.specials?.[rightKey]}
+          timeoutsLeft={timeoutsLeft(game?.timeoutsUsed, rightKey, rules)}
           theme={theme}
           accent={rightKey === 'A' ? colorA : colorB}
           onPickColor={(c) => setTeamColors(prev => ({ ...prev, [rightKey]: c }))}
@@ -382,7 +412,7 @@ function ScoreRowNormal({
   leftKey, rightKey, theme, colorA, colorB,
   chalLeft, chalRight, matchLeft, matchRight,
   leftIsWinner, rightIsWinner, blinkOn,
-  teamAName, teamBName, shutoutActive
+  teamAName, teamBName, shutoutActive, shutoutMultiplier, handicapLeft, handicapRight
 }) {
   const leftColor = leftKey === 'A' ? colorA : colorB;
   const rightColor = rightKey === 'A' ? colorA : colorB;
@@ -398,6 +428,7 @@ function ScoreRowNormal({
           <Text style={[styles.matchVal, { color: textOn(leftColor) }]}>{matchLeft}</Text>
         </View>
         <Text style={[styles.overallLabel, { color: theme.fg }]}>Overall Score</Text>
+        {!!handicapLeft && <HandicapBadge text={handicapLeft} />}
       </View>
 
       {/* Challenge area */}
@@ -413,10 +444,10 @@ function ScoreRowNormal({
         <View style={styles.winnerRow}>
           <Text style={[styles.winnerHint, { opacity: leftIsWinner && blinkOn ? 1 : 0 }]}>WINNER ⟵</Text>
           <View style={{ flex: 1, alignItems: 'center' }}>
-            {/* NEW: SHUTOUT ×2 pill */}
+            {/* NEW: SHUTOUT ×N pill */}
             {shutoutActive ? (
               <View style={styles.shutoutPill}>
-                <Text style={styles.shutoutTxt}>SHUTOUT ×2</Text>
+                <Text style={styles.shutoutTxt}>SHUTOUT ×{shutoutMultiplier}</Text>
               </View>
             ) : null}
           </View>
@@ -431,6 +462,7 @@ function ScoreRowNormal({
           <Text style={[styles.matchVal, { color: textOn(rightColor) }]}>{matchRight}</Text>
         </View>
         <Text style={[styles.overallLabel, { color: theme.fg }]}>Overall Score</Text>
+        {!!handicapRight && <HandicapBadge text={handicapRight} right />}
       </View>
     </View>
   );
@@ -472,6 +504,14 @@ function ScoreRowBonus({
   );
 }
 
+function HandicapBadge({ text, right = false }) {
+  return (
+    <View style={[styles.handicapPill, right && { alignSelf: 'flex-end' }]}>
+      <Text style={styles.handicapTxt}>HANDICAP {text}</Text>
+    </View>
+  );
+}
+
 function TintedScore({ value, baseColor, highContrast, blink }) {
   const tint = highContrast ? adjust(baseColor, -35) : adjust(baseColor, 40);
   return (
@@ -501,7 +541,7 @@ function ColorSwatches({ value, onChange }) {
 }
 
 function TeamPanel({
-  teamKey, roster, totals, moneyMakes, winners, specials,
+  teamKey, roster, bench = [], totals, moneyMakes, winners, specials, timeoutsLeft: toLeft = null,
   theme, accent, onPickColor, detailMode
 }) {
   const title = teamKey === 'A' ? 'TEAM A' : 'TEAM B';
@@ -526,11 +566,15 @@ function TeamPanel({
       <View style={styles.lightsRow}>
         <View style={styles.lightItem}><Light used={!!specials?.moneyUsed} theme={theme} /><Text style={[styles.lightLabel, { color: theme.fg }]}>Moneyball</Text></View>
         <View style={styles.lightItem}><Light used={!!specials?.gcUsed} theme={theme} /><Text style={[styles.lightLabel, { color: theme.fg }]}>Gamechanger</Text></View>
+        <View style={styles.lightItem}><Light used={toLeft === 0} theme={theme} /><Text style={[styles.lightLabel, { color: theme.fg }]}>Timeouts {toLeft === null ? '∞' : toLeft}</Text></View>
       </View>
 
       <View style={[styles.playersWrap, { gap }]} onLayout={(e)=>setBoxH(e.nativeEvent.layout.height)}>
         {roster.map(p => <PlayerRow key={p.pid} p={p} height={rowH} theme={theme} detail={detailMode} />)}
       </View>
+      {bench.length > 0 && (
+        <Text style={[styles.benchTxt, { color: theme.sub }]} numberOfLines={1}>Bench: {bench.join(', ')}</Text>
+      )}
 
       <View style={[styles.teamFooter, { borderTopColor: theme.divider }]}>
         <Text style={[styles.footerText, { color: accent || theme.fg }]}>Team FG {pctTxt(totals.m, totals.a)}</Text>
@@ -588,6 +632,10 @@ const styles = StyleSheet.create({
   smallBtn: { paddingVertical: 8, paddingHorizontal: 12, borderRadius: 8 },
   smallBtnTxt: { color: '#fff', fontWeight: '800', fontSize: 12 },
   midTop: { alignItems: 'center' },
+  intermissionPill: { marginTop: 4, backgroundColor: '#1F6CFF', borderRadius: 999, paddingVertical: 4, paddingHorizontal: 12 },
+  intermissionTxt: { color: '#fff', fontWeight: '900', fontSize: 14 },
+  timeoutPill: { marginTop: 4, backgroundColor: '#D97706', borderRadius: 999, paddingVertical: 4, paddingHorizontal: 12 },
+  subPill: { marginTop: 4, backgroundColor: '#7C3AED', borderRadius: 999, paddingVertical: 4, paddingHorizontal: 12 },
   clockText: { fontSize: 28, fontWeight: '900' },
   meta: { fontWeight: '800', fontSize: 14, marginTop: 2 },
 
@@ -619,6 +667,18 @@ const styles = StyleSheet.create({
   },
   shutoutTxt: { fontWeight: '900', color: '#111' },
 
+  handicapPill: {
+    alignSelf: 'flex-start',
+    marginTop: 4,
+    paddingHorizontal: 8,
+    paddingVertical: 3,
+    backgroundColor: '#fef3c7',
+    borderRadius: 999,
+    borderWidth: 1,
+    borderColor: '#f59e0b'
+  },
+  handicapTxt: { fontSize: 11, fontWeight: '900', color: '#92400e' },
+
   // BONUS LAYOUT
   bonusRow: { flexDirection: 'row', alignItems: 'center', justifyContent: 'center', gap: 14, marginBottom: 6 },
   bonusBox: {
@@ -645,6 +705,7 @@ const styles = StyleSheet.create({
   lightLabel: { fontSize: 12, fontWeight: '700' },
 
   playersWrap: { flex: 1 },
+  benchTxt: { fontSize: 12, fontWeight: '700', marginTop: 6 },
 
   playerRow: { flexDirection: 'row', alignItems: 'center', paddingHorizontal: 8, borderWidth: 1, borderRadius: 8 },
   avatarTall: { width: 46, borderRadius: 6, marginRight: 10, backgroundColor: '#ddd' },
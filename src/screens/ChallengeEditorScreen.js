@@ -25,6 +25,7 @@ export default function ChallengeEditorScreen({ route, navigation }) {
   const [difficulty, setDifficulty] = useState('normal');
   const [targetScore, setTargetScore] = useState('5');
   const [pointsForWin, setPointsForWin] = useState('1');
+  const [durationSeconds, setDurationSeconds] = useState(''); // blank = game default
 
   const [requireRange, setRequireRange] = useState('any'); // any|mid|long
   const [allowedSpotIds, setAllowedSpotIds] = useState([]);
@@ -46,6 +47,7 @@ export default function ChallengeEditorScreen({ route, navigation }) {
         setDifficulty(c.difficulty || 'normal');
         setTargetScore(String(c.targetScore ?? '0'));
         setPointsForWin(String(c.pointsForWin ?? '1'));
+        setDurationSeconds(c.durationSeconds ? String(c.durationSeconds) : '');
         setRequireRange(c.shotRule?.requireRange || 'any');
         setAllowedSpotIds(c.shotRule?.allowedSpotIds || []);
         setMoneyballAllowed(!!c.shotRule?.moneyballAllowed);
@@ -64,6 +66,7 @@ export default function ChallengeEditorScreen({ route, navigation }) {
         name, description, difficulty,
         targetScore: Number(targetScore) || 0,
         pointsForWin: Number(pointsForWin) || 0,
+        durationSeconds: Number(durationSeconds) > 0 ? Number(durationSeconds) : null,
         active,
         shotRule: {
           requireRange,
@@ -120,6 +123,12 @@ export default function ChallengeEditorScreen({ route, navigation }) {
           <TextInput value={pointsForWin} onChangeText={setPointsForWin} keyboardType="number-pad"
             style={{ borderWidth:1, borderColor:'#ddd', borderRadius:8, padding:10, marginBottom:10 }} />
         </View>
+        <View style={{ flex:1 }}>
+          <Text style={{ fontWeight:'700' }}>Clock (sec)</Text>
+          <TextInput value={durationSeconds} onChangeText={setDurationSeconds} keyboardType="number-pad"
+            placeholder="default"
+            style={{ borderWidth:1, borderColor:'#ddd', borderRadius:8, padding:10, marginBottom:10 }} />
+        </View>
       </View>
 
       <Text style={{ fontWeight:'800', marginTop:6 }}>Shot Rule</Text>
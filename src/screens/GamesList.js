@@ -2,6 +2,8 @@
 import React, { useEffect, useState, useMemo } from 'react';
 import { View, Text, FlatList, TouchableOpacity, StyleSheet, ActivityIndicator, Alert } from 'react-native';
 import { db } from '../services/firebase';
+import { describeResult } from '../services/matchFormat';
+import { cloneGame } from '../services/gameService';
 import {
   collection,
   onSnapshot,
@@ -22,11 +24,11 @@ export default function GamesList({ navigation, route }) {
   const [deletingId, setDeletingId] = useState(null); // for per-card spinner
 
   useEffect(() => {
-    // If eventId is present, filter by it; else show all live/ended games as a fallback
+    // If eventId is present, filter by it; else show all lobby/live/ended games as a fallback
     const base = collection(db, 'games');
     const q = eventId
       ? query(base, where('eventId', '==', eventId), orderBy('createdAt', 'desc'))
-      : query(base, where('status', 'in', ['live', 'ended']), orderBy('createdAt', 'desc'));
+      : query(base, where('status', 'in', ['lobby', 'live', 'ended']), orderBy('createdAt', 'desc'));
 
     const unsub = onSnapshot(q, snap => {
       setGames(snap.docs.map(d => ({ id: d.id, ...d.data() })));
@@ -52,6 +54,14 @@ export default function GamesList({ navigation, route }) {
     // Known subcollections for this MVP
     await deleteSubcollection(gameId, 'logs');
     await deleteSubcollection(gameId, 'trackers');
+    await deleteSubcollection(gameId, 'history');
+    await deleteSubcollection(gameId, 'transitions');
+    await deleteSubcollection(gameId, 'disputes');
+    await deleteSubcollection(gameId, 'audit');
+    await deleteSubcollection(gameId, 'notifications');
+    await deleteSubcollection(gameId, 'pending_shots');
+    await deleteSubcollection(gameId, 'review_queue');
+    await deleteSubcollection(gameId, 'proposals'); // pre-unification
     // Finally delete the game doc
     await deleteDoc(doc(db, 'games', gameId));
   };
@@ -117,6 +127,22 @@ export default function GamesList({ navigation, route }) {
     );
   };
 
+  const confirmRematch = (gameId) => {
+    const start = async (swapTeams) => {
+      try {
+        const newId = await cloneGame(gameId, { swapTeams });
+        navigation.navigate('StatEntryScreen', { gameId: newId });
+      } catch (e) {
+        Alert.alert('Rematch failed', e?.message || String(e));
+      }
+    };
+    Alert.alert('Rematch', 'New game with the same teams, sequence, court setup and roster.', [
+      { text: 'Cancel', style: 'cancel' },
+      { text: 'Swap Sides', onPress: () => start(true) },
+      { text: 'Same Sides', onPress: () => start(false) },
+    ]);
+  };
+
   const confirmPurge = () => {
     Alert.alert(
       'Purge old games?',
@@ -164,11 +190,14 @@ export default function GamesList({ navigation, route }) {
                 <View style={{ flex: 1, paddingRight: 8 }}>
                   <Text style={styles.name}>Game {item.id.slice(0, 6)}</Text>
                   <Text style={styles.meta}>
-                    {item.status?.toUpperCase() || 'LIVE'} • Challenge {Number(item.currentChallengeIndex ?? 0) + 1}
+                    {(item.phase || item.status)?.replace('_', ' ').toUpperCase() || 'LIVE'} • Challenge {Number(item.currentChallengeIndex ?? 0) + 1}
                   </Text>
                   <Text style={styles.meta}>
                     Match {item.matchScore?.A ?? 0} - {item.matchScore?.B ?? 0}
                   </Text>
+                  {item.result ? (
+                    <Text style={[styles.meta, styles.winner]}>{describeResult(item)}</Text>
+                  ) : null}
                   <Text style={[styles.meta, { opacity: 0.7 }]}>
                     Created {createdStr}
                   </Text>
@@ -197,6 +226,12 @@ export default function GamesList({ navigation, route }) {
                 >
                   <Text style={styles.btnTxt}>Scoreboard</Text>
                 </TouchableOpacity>
+                <TouchableOpacity
+                  style={[styles.btn, styles.btnRematch]}
+                  onPress={() => confirmRematch(item.id)}
+                >
+                  <Text style={styles.btnTxt}>Rematch</Text>
+                </TouchableOpacity>
               </View>
             </View>
           );
@@ -232,10 +267,12 @@ const styles = StyleSheet.create({
   card: { borderWidth: 1, borderColor: '#eee', borderRadius: 10, padding: 12, marginBottom: 10, backgroundColor: '#fafafa' },
   name: { fontSize: 16, fontWeight: '700', marginBottom: 4 },
   meta: { color: '#666', marginBottom: 2 },
+  winner: { color: '#15803d', fontWeight: '800' },
   row: { flexDirection: 'row', gap: 10, marginTop: 8 },
 
   btn: { backgroundColor: '#111', paddingVertical: 10, paddingHorizontal: 14, borderRadius: 8 },
   btnDark: { backgroundColor: '#333' },
+  btnRematch: { backgroundColor: '#0a0' },
   btnTxt: { color: 'white', fontWeight: '700' },
 
   dangerBtn: { backgroundColor: '#b00020', paddingVertical: 8, paddingHorizontal: 12, borderRadius: 8 },
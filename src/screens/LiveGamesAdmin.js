@@ -11,7 +11,7 @@ export default function LiveGamesAdmin({ navigation }) {
   useEffect(() => {
     const q = query(
       collection(db, 'games'),
-      where('status', '==', 'live'),
+      where('status', 'in', ['lobby', 'live']),
       orderBy('createdAt', 'desc')
     );
     const unsub = onSnapshot(q, snap => {
@@ -3,20 +3,24 @@ import React, { useEffect, useMemo, useState } from 'react';
 import { View, Text, StyleSheet, TouchableOpacity, TextInput, Alert, FlatList, Switch } from 'react-native';
 import { doc, onSnapshot, collection, query, orderBy, limit, addDoc, serverTimestamp } from 'firebase/firestore';
 import { db } from '../services/firebase';
-import { listenProposals, acceptProposal, rejectProposal, pushAutoEvent } from '../services/autoTrackingService';
+import { pushAutoEvent } from '../services/autoTrackingService';
+import { approveReviewItem, listenReviewQueue, rejectReviewItem } from '../services/reviewQueueService';
+import { reviewReasonLabel } from '../services/review';
+
+const pct = (c) => (typeof c === 'number' ? `${Math.round(c * 100)}%` : '—');
 
 export default function ReviewQueueScreen({ route }) {
   const { gameId } = route.params || {};
-  const [proposals, setProposals] = useState([]);
+  const [items, setItems] = useState([]); // pending, highest priority first
   const [editing, setEditing] = useState({}); // id -> edit model
 
   useEffect(() => {
     if (!gameId) return;
-    const off = listenProposals(gameId, setProposals, { status: 'pending', limitN: 100 });
+    const off = listenReviewQueue(gameId, setItems, { status: 'pending', limitN: 100 });
     return () => off && off();
   }, [gameId]);
 
-  const top = proposals[0] || null;
+  const top = items[0] || null;
 
   const setEdit = (id, patch) =>
     setEditing((prev) => ({ ...prev, [id]: { ...(prev[id] || {}), ...patch } }));
@@ -35,7 +39,7 @@ export default function ReviewQueueScreen({ route }) {
       return Alert.alert('Missing fields', 'Player, team, shot type, and made/miss are required.');
     }
     try {
-      await acceptProposal(gameId, p.id, m);
+      await approveReviewItem(gameId, p.id, m);
     } catch (e) {
       Alert.alert('Accept failed', e.message);
     }
@@ -43,7 +47,7 @@ export default function ReviewQueueScreen({ route }) {
 
   const rejectNow = async (p) => {
     try {
-      await rejectProposal(gameId, p.id, 'operator_reject');
+      await rejectReviewItem(gameId, p.id, 'operator_reject');
     } catch (e) {
       Alert.alert('Reject failed', e.message);
     }
@@ -71,7 +75,7 @@ export default function ReviewQueueScreen({ route }) {
   return (
     <View style={styles.container}>
       <Text style={styles.h1}>Review Queue</Text>
-      <Text style={styles.meta}>{proposals.length} pending</Text>
+      <Text style={styles.meta}>{items.length} pending</Text>
 
       <View style={styles.devRow}>
         <TouchableOpacity style={styles.smallBtn} onPress={createDummy}>
@@ -81,8 +85,17 @@ export default function ReviewQueueScreen({ route }) {
 
       {top ? (
         <View style={styles.card}>
-          <Text style={styles.lead}>Top Proposal</Text>
-          <Row label="Confidence" value={`${Math.round((top.confidence ?? 0) * 100)}%`} />
+          <Text style={styles.lead}>Next Up</Text>
+          <Row label="Reason" value={reviewReasonLabel(top.reason)} />
+          {!!top.error && <Row label="Error" value={top.error} />}
+          {Array.isArray(top.taps) && top.taps.map(t => (
+            <Row
+              key={t.pendingId}
+              label={`Tracker ${t.slot}`}
+              value={`${t.playerId} • ${t.shotType} • ${t.made ? '✓' : '✗'}${t.moneyball ? ' • MB' : ''}`}
+            />
+          ))}
+          <Row label="Confidence" value={pct(top.confidence)} />
           <EditRow label="Player ID" value={modelFor(top).playerId} onChange={(v)=>setEdit(top.id,{playerId:v})} />
           <EditRow label="Team" value={modelFor(top).team} onChange={(v)=>setEdit(top.id,{team:v})} placeholder="A or B" />
           <EditRow label="Shot Type" value={modelFor(top).shotType} onChange={(v)=>setEdit(top.id,{shotType:v})} placeholder="mid/long/gamechanger/bonus_mid/bonus_long/bonus_gc" />
@@ -106,12 +119,12 @@ export default function ReviewQueueScreen({ route }) {
 
       <Text style={[styles.h2, { marginTop: 14 }]}>All Pending</Text>
       <FlatList
-        data={proposals}
+        data={items}
         keyExtractor={(p) => p.id}
         renderItem={({ item }) => (
           <View style={styles.listItem}>
             <Text style={styles.itemTxt}>
-              {item.playerId || '—'} • {item.team || '—'} • {item.shotType || '—'} • {typeof item.made === 'boolean' ? (item.made ? '✓' : '✗') : '—'} • {Math.round((item.confidence || 0) * 100)}%
+              {reviewReasonLabel(item.reason)} • {item.playerId || '—'} • {item.team || '—'} • {item.shotType || '—'} • {typeof item.made === 'boolean' ? (item.made ? '✓' : '✗') : '—'} • {pct(item.confidence)}
             </Text>
             <View style={{ flexDirection: 'row', gap: 8 }}>
               <TouchableOpacity style={styles.smallBtn} onPress={() => acceptNow(item)}>
@@ -185,5 +198,5 @@ const styles = StyleSheet.create({
 
   empty: { alignItems: 'center', justifyContent: 'center', padding: 20 },
   listItem: { borderTopWidth: 1, borderTopColor: '#eee', paddingVertical: 10, flexDirection: 'row', alignItems: 'center', justifyContent: 'space-between' },
-  itemTxt: { color: '#111' },
+  itemTxt: { flex: 1, marginRight: 8, color: '#111' },
 });
@@ -2,16 +2,21 @@
 import React, { useEffect, useMemo, useState } from 'react';
 import { View, Text, TouchableOpacity, StyleSheet, FlatList, Alert, TextInput, Switch } from 'react-native';
 import { db, auth } from '../services/firebase';
-import { doc, onSnapshot, collection, query, orderBy, onSnapshot as onSnapCol, updateDoc, where } from 'firebase/firestore';
+import { doc, onSnapshot, collection, query, orderBy, onSnapshot as onSnapCol } from 'firebase/firestore';
 import { setPaused, toggleFlipSides } from '../services/gameService';
 import CameraStatusBar from '../components/CameraStatusBar';
 import { startAutoCoordinator, setAutoMode } from '../services/autoTrackingService';
+import { listenPendingReviewCount } from '../services/reviewQueueService';
+import { isLeaseLive, listenCoordinator } from '../services/coordinatorService';
 // ROSTER ADDITIONS
 import { listenRoster } from '../services/playerService';
+import { computeDisplayedSeconds, serverNow, syncServerOffset } from '../services/clockService';
+import { describeResult } from '../services/matchFormat';
 
 import {
-  logShot,
-  deleteLogAndReverse,
+  undoLastAction,
+  redoLastAction,
+  amendLog,
   advanceToNextChallenge,
   setClockSeconds,
   startClock,
@@ -25,18 +30,41 @@ import {
   leaveTracking,
   joinAsTracker,
   tryClaimTeam,
+  isLockStale,
+  isTrackerOnline,
+  listenNotifications,
+  dismissNotification,
   setTeamLock,
+  setSecondaryKeeper,
+  setVerificationMode,
   endGame,
+  rebuildGame,
+  resolveBonusExpiry,
+  transitionGame,
+  completeIntermission,
+  cancelAutoAdvance,
+  substitutePlayer,
+  addPlayerToTeam,
+  callTimeout,
+  endTimeout,
+  logViolation,
+  revokeViolation,
+  setFreestyleParams,
 } from '../services/gameService';
+import { describeRuling, listenDisputes, openDispute, resolveDispute } from '../services/disputeService';
+import {
+  dropLastPending, listenOutbox, pendingScoreDelta, queueShot, resolveConflict,
+} from '../services/outboxService';
+import { listenPendingShots, startVerificationMatcher, submitPendingShot, withdrawLastPendingShot } from '../services/verificationService';
+import { LOCK_SLOTS, holdsTeamLock } from '../services/verification';
+import { PENALTY_TYPES, VIOLATION_KINDS, describeViolation, isViolationLog, violationLabel } from '../services/violations';
+import { timeoutsLeft } from '../services/scoring';
+import { benchIds, describeSubstitution, isSubstitutionLog, onCourtIds } from '../services/lineup';
+import { intermissionLabel, phaseOf } from '../services/gamePhase';
+import { canKeeper, keeperRoleOf } from '../services/keeperRoles';
+import { tsMillis } from '../services/gameReducer';
 
 /* -------- helpers (no hooks) -------- */
-const computeDisplayedSeconds = (clockSeconds, running, lastStartAt) => {
-  const base = Number(clockSeconds || 0);
-  if (!running || !lastStartAt) return base;
-  const lastMs = lastStartAt.toMillis ? lastStartAt.toMillis() : Date.parse(lastStartAt);
-  const elapsed = Math.max(0, Math.floor((Date.now() - lastMs) / 1000));
-  return Math.max(0, base - elapsed);
-};
 const formatClock = (sec) => {
   if (!Number.isFinite(sec)) return '--:--';
   const m = Math.floor(sec / 60);
@@ -46,7 +74,7 @@ const formatClock = (sec) => {
 const buildLastByPlayer = (logs) => {
   const map = {};
   for (const l of logs) {
-    if (l?.playerId && typeof l.made === 'boolean' && !map[l.playerId]) {
+    if (l?.playerId && typeof l.made === 'boolean' && !l.voided && !map[l.playerId]) {
       map[l.playerId] = l; // newest->oldest
     }
   }
@@ -69,6 +97,7 @@ export default function StatEntryScreen({ route, navigation }) {
   const [trackers, setTrackers] = useState([]);
 
   const [assignOpen, setAssignOpen] = useState(true);
+  const [notifications, setNotifications] = useState([]);
 
   // freestyle inputs
   const [fsTarget, setFsTarget] = useState('');
@@ -77,9 +106,35 @@ export default function StatEntryScreen({ route, navigation }) {
   // challenge menu UI
   const [challengeMenuOpen, setChallengeMenuOpen] = useState(false);
 
-  // proposals badge
+  // review queue badge
   const [pendingCount, setPendingCount] = useState(0);
 
+  // offline shot outbox: shots waiting for the connection (see outboxService.js)
+  const [outbox, setOutbox] = useState({ pending: [], conflicts: [], online: true, syncing: false });
+  useEffect(() => {
+    if (!gameId) return;
+    const stop = listenOutbox(gameId, setOutbox);
+    return () => stop && stop();
+  }, [gameId]);
+
+  // verification mode: taps waiting for the other tracker (see verificationService.js)
+  const [pendingShots, setPendingShots] = useState([]);
+  const verifyOn = !!game?.verification?.enabled;
+  useEffect(() => {
+    if (!gameId || !verifyOn) return;
+    const stopList = listenPendingShots(gameId, setPendingShots, { max: 50 });
+    const stopMatcher = startVerificationMatcher(gameId);
+    return () => { stopList && stopList(); stopMatcher && stopMatcher(); };
+  }, [gameId, verifyOn]);
+
+  // structured disputes (the open one is game.pauseMeta.disputeId)
+  const [disputes, setDisputes] = useState([]);
+  useEffect(() => {
+    if (!gameId) return;
+    const stop = listenDisputes(gameId, setDisputes);
+    return () => stop && stop();
+  }, [gameId]);
+
   // ROSTER ADDITIONS
   const [roster, setRoster] = useState([]);
   useEffect(() => {
@@ -117,9 +172,8 @@ export default function StatEntryScreen({ route, navigation }) {
     const q = query(collection(db, 'games', gameId, 'logs'), orderBy('ts', 'desc'));
     const unsubLogs = onSnapCol(q, s => setLogs(s.docs.map(d => ({ id: d.id, ...d.data() }))));
 
-    // listen pending proposals for badge
-    const pq = query(collection(db, 'games', gameId, 'proposals'), where('status', '==', 'pending'));
-    const unsubProps = onSnapCol(pq, (s) => setPendingCount(s.size));
+    // pending review items for the badge
+    const unsubProps = listenPendingReviewCount(gameId, setPendingCount);
 
     return () => { unsubGame && unsubGame(); unsubLogs && unsubLogs(); unsubProps && unsubProps(); };
   }, [gameId, fsTarget, fsWorth]);
@@ -129,27 +183,44 @@ export default function StatEntryScreen({ route, navigation }) {
     if (!gameId) return;
     const offMine = listenMyTrackerAssignment(gameId, setMyTrack);
     const offAll  = listenTrackers(gameId, setTrackers);
+    const offNotes = listenNotifications(gameId, setNotifications);
     const hb = setInterval(() => heartbeat(gameId), 5000);
-    return () => { offMine && offMine(); offAll && offAll(); clearInterval(hb); leaveTracking(gameId); };
+    return () => {
+      offMine && offMine(); offAll && offAll(); offNotes && offNotes();
+      clearInterval(hb); leaveTracking(gameId);
+    };
   }, [gameId]);
 
-  // live tick for clock
+  // live tick for clock (server-offset corrected, see clockService)
+  useEffect(() => { syncServerOffset(); }, []);
+  const intermission = game?.intermission || null;
+  const imActive = !!game && phaseOf(game) === 'intermission' && !!intermission && !intermission.cancelled;
+  const imEndsMs = imActive ? tsMillis(intermission.endsAt) : null;
+  const timeoutEndsMs = game?.timeout ? tsMillis(game.timeout.endsAt) : null;
   useEffect(() => {
-    if (!game?.clockRunning || !game?.lastStartAt) return;
+    if ((!game?.clockRunning || !game?.lastStartAt) && !imActive && !timeoutEndsMs) return;
     const id = setInterval(() => setTick(t => (t + 1) % 60), 1000);
     return () => clearInterval(id);
-  }, [game?.clockRunning, game?.lastStartAt]);
+  }, [game?.clockRunning, game?.lastStartAt, imActive, timeoutEndsMs]);
 
-  // start auto coordinator
+  // auto coordinator: keepers' devices stand for election, the lease holder ingests
+  const coordinatorCandidate = canKeeper(game, uid, 'review');
   useEffect(() => {
-    if (!gameId) return;
+    if (!gameId || !coordinatorCandidate) return;
     const stop = startAutoCoordinator(gameId);
     return () => stop && stop();
-  }, [gameId]);
+  }, [gameId, coordinatorCandidate]);
 
   const isMain = !!uid && uid === game?.roles?.main;
+  const isSecondary = keeperRoleOf(game, uid) === 'secondary';
+  const canClock = canKeeper(game, uid, 'clock');
+  const canBonus = canKeeper(game, uid, 'bonus');
+  const canAdvance = canKeeper(game, uid, 'advance');
+  const secondaryUid = game?.roles?.secondary || null;
   const lockA = game?.trackerLocks?.A?.uid || null;
   const lockB = game?.trackerLocks?.B?.uid || null;
+  const lockA2 = game?.trackerLocks?.A2?.uid || null;
+  const lockB2 = game?.trackerLocks?.B2?.uid || null;
 
   const players = useMemo(() => {
     if (!game) return [];
@@ -204,6 +275,60 @@ export default function StatEntryScreen({ route, navigation }) {
   // derived: last shot by player
   const lastByPlayer = useMemo(() => buildLastByPlayer(logs), [logs]);
 
+  // intermission countdown → engine advances (idempotent: every keeper's screen and
+  // the casting display ask, the first one wins; works with only a secondary keeper on)
+  useEffect(() => {
+    if (!gameId || !canAdvance || !imActive || !Number.isFinite(imEndsMs)) return;
+    const id = setTimeout(() => {
+      completeIntermission(gameId).catch((e) => console.warn('auto-advance failed:', e?.message || e));
+    }, Math.max(0, imEndsMs - serverNow()));
+    return () => clearTimeout(id);
+  }, [gameId, canAdvance, imActive, imEndsMs]);
+
+  // the team hurt by the call raises it: the shooter's opponent, or the penalized team
+  const raiseDispute = async (l) => {
+    const team = myTrack?.team && !isMain ? myTrack.team
+      : isViolationLog(l) ? l.team : (l.team === 'A' ? 'B' : 'A');
+    try {
+      await openDispute(gameId, {
+        team,
+        logIds: [l.id],
+        reason: isViolationLog(l) ? describeViolation(l) : `${l.team} • ${l.playerId} • ${l.shotType} ${l.made ? 'made' : 'missed'}`,
+      });
+    } catch (e) {
+      Alert.alert('Dispute failed', e.message);
+    }
+  };
+
+  const doTimeout = async (team) => {
+    try {
+      await callTimeout(gameId, team);
+    } catch (e) {
+      Alert.alert('Timeout failed', e.message);
+    }
+  };
+
+  const doCancelAutoAdvance = async () => {
+    try {
+      await cancelAutoAdvance(gameId);
+    } catch (e) {
+      Alert.alert('Cancel failed', e.message);
+    }
+  };
+
+  // bonus clock at 0 on a tie → ask the engine for overtime (idempotent; every keeper
+  // who runs the clock asks, and casting may too)
+  const otCount = Number(game?.overtimeCount ?? 0);
+  const bonusTieAtZero = bonusActive
+    && computeDisplayedSeconds(game?.clockSeconds, game?.clockRunning, game?.lastStartAt) <= 0
+    && Number(game?.matchScore?.A ?? 0) === Number(game?.matchScore?.B ?? 0);
+  useEffect(() => {
+    if (!gameId || !canClock || !bonusTieAtZero) return;
+    resolveBonusExpiry(gameId, { atCount: otCount }).catch((e) => {
+      console.warn('OT setup failed:', e?.message || e);
+    });
+  }, [gameId, canClock, bonusTieAtZero, otCount]);
+
   // actions
   const record = async (playerId, shotType, made) => {
     if (game?.challengeWon) {
@@ -214,27 +339,42 @@ export default function StatEntryScreen({ route, navigation }) {
     }
     try {
       const useMoney = !bonusActive && moneyballArmed && (shotType === 'mid' || shotType === 'long');
-      await logShot(gameId, { playerId, shotType, made, moneyball: useMoney });
+      const shot = { playerId, shotType, made, moneyball: useMoney };
+      // verification mode: a tracker's tap waits for the team's other tracker
+      if (verifyOn && !isMain) await submitPendingShot(gameId, shot, game);
+      else await queueShot(gameId, shot, game);
       if (useMoney) setMoneyballArmed(false);
     } catch (e) {
       Alert.alert('Error', e.message);
     }
   };
 
+  // undo/redo are scoped server-side: trackers → their locked team, main → whole game
   const undoLast = async () => {
     try {
-      const last = logs.find(l => typeof l.made !== 'undefined');
-      if (!last) return Alert.alert('Nothing to undo');
-      await deleteLogAndReverse(gameId, last);
+      // a shot still in the outbox is taken back locally
+      if (outbox.pending.length > 0 && await dropLastPending(gameId)) return;
+      // so is a verification tap the other tracker hasn't matched yet
+      if (verifyOn && !isMain && await withdrawLastPendingShot(gameId)) return;
+      await undoLastAction(gameId);
     } catch (e) {
       Alert.alert('Undo failed', e.message);
     }
   };
+  const redoLast = async () => {
+    try {
+      await redoLastAction(gameId);
+    } catch (e) {
+      Alert.alert('Redo failed', e.message);
+    }
+  };
 
   const doAdvance = async () => {
     try {
-      await advanceToNextChallenge(gameId);
+      const outcome = await advanceToNextChallenge(gameId);
       setChallengeMenuOpen(false);
+      if (outcome === 'bonus') Alert.alert('Tied after regulation', 'Bonus round started.');
+      if (outcome === 'ended') navigation.replace('BoxScoreScreen', { gameId, fromEnded: true });
     } catch (e) {
       Alert.alert('Advance failed', e.message);
     }
@@ -251,13 +391,30 @@ export default function StatEntryScreen({ route, navigation }) {
     }
   };
 
-  const canJoinA = !lockA || lockA === uid;
-  const canJoinB = !lockB || lockB === uid;
+  // a lock whose holder stopped heartbeating can be taken over (re-evaluated as presence docs tick)
+  const staleA = isLockStale(game?.trackerLocks?.A);
+  const staleB = isLockStale(game?.trackerLocks?.B);
+  const staleA2 = isLockStale(game?.trackerLocks?.A2);
+  const staleB2 = isLockStale(game?.trackerLocks?.B2);
+  // verification mode: a second slot per team
+  const canJoinA = !lockA || lockA === uid || staleA || (verifyOn && (!lockA2 || lockA2 === uid || staleA2));
+  const canJoinB = !lockB || lockB === uid || staleB || (verifyOn && (!lockB2 || lockB2 === uid || staleB2));
+  const onlineOf = (tid) => isTrackerOnline(trackers.find(t => t.id === tid));
+
+  // standby tracker for a team whose tablet went silent → take over automatically
+  const standbyFor = myTrack?.team && !isMain ? myTrack.team : null;
+  const standbyStale = !!standbyFor && !holdsTeamLock(game, standbyFor, uid)
+    && (verifyOn ? LOCK_SLOTS[standbyFor] : [standbyFor]).some(k => isLockStale(game?.trackerLocks?.[k]));
+  useEffect(() => {
+    if (!gameId || !standbyStale) return;
+    tryClaimTeam(gameId, standbyFor).catch((e) => console.warn('Handoff failed:', e?.message || e));
+  }, [gameId, standbyFor, standbyStale]);
 
   const joinTeam = async (team) => {
     try {
       await joinAsTracker(gameId, team);
-      await tryClaimTeam(gameId, team);
+      const claimed = await tryClaimTeam(gameId, team);
+      if (!claimed) Alert.alert('Team taken', `Another tracker is active on Team ${team}. You’re on standby.`);
     } catch (e) {
       Alert.alert('Assign failed', e.message);
     }
@@ -277,6 +434,13 @@ export default function StatEntryScreen({ route, navigation }) {
       Alert.alert('Clear failed', e.message);
     }
   };
+  const assignSecondary = async (toUid) => {
+    try {
+      await setSecondaryKeeper(gameId, toUid);
+    } catch (e) {
+      Alert.alert('Assign failed', e.message);
+    }
+  };
 
   // bonus on/off
   const startBonusRound = async () => {
@@ -295,7 +459,7 @@ export default function StatEntryScreen({ route, navigation }) {
     }
   };
   const toggleBonus = async (val) => {
-    if (!isMain) return;
+    if (!canBonus) return;
     if (val) await startBonusRound();
     else await endBonusRound();
   };
@@ -305,17 +469,47 @@ export default function StatEntryScreen({ route, navigation }) {
     try {
       const target = Math.max(0, Number(fsTarget) || 0);
       const worth  = Math.max(0, Number(fsWorth) || 0);
-      await updateDoc(doc(db, 'games', gameId), {
-        freestyleTarget: target,
-        freestyleWorth: worth,
-      });
+      await setFreestyleParams(gameId, { targetScore: target, pointsForWin: worth });
       Alert.alert('Freestyle updated', `Target: ${target} • Worth: ${worth}`);
     } catch (e) {
       Alert.alert('Update failed', e.message);
     }
   };
 
+  // replay logs -> game doc (staff fix for drifted scoreboards)
+  const doRebuild = () => {
+    Alert.alert(
+      'Rebuild scores from logs?',
+      'Recomputes match/challenge scores, specials and wins from the shot log.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Rebuild',
+          onPress: async () => {
+            try {
+              const res = await rebuildGame(gameId);
+              const m = res.after.matchScore;
+              Alert.alert('Rebuilt', `Match ${m.A} - ${m.B} (${res.shotCount} shots replayed)`);
+              setChallengeMenuOpen(false);
+            } catch (e) {
+              Alert.alert('Rebuild failed', e.message);
+            }
+          },
+        },
+      ]
+    );
+  };
+
   // end game -> status ended + navigate to box score
+  // lifecycle (lobby → warmup → live, intermission)
+  const doTransition = async (event) => {
+    try {
+      await transitionGame(gameId, event);
+    } catch (e) {
+      Alert.alert('Not allowed', e.message);
+    }
+  };
+
   const endMatchNow = async () => {
     try {
       await endGame(gameId);
@@ -334,10 +528,12 @@ export default function StatEntryScreen({ route, navigation }) {
     );
   }
 
-  const aCh = Number(game.challengeScore?.A ?? 0) || 0;
-  const bCh = Number(game.challengeScore?.B ?? 0) || 0;
-  const aMatch = Number(game.matchScore?.A ?? 0) || 0;
-  const bMatch = Number(game.matchScore?.B ?? 0) || 0;
+  // optimistic: confirmed score + shots still in the outbox
+  const queued = pendingScoreDelta(outbox.pending, game);
+  const aCh = (Number(game.challengeScore?.A ?? 0) || 0) + queued.challenge.A;
+  const bCh = (Number(game.challengeScore?.B ?? 0) || 0) + queued.challenge.B;
+  const aMatch = (Number(game.matchScore?.A ?? 0) || 0) + queued.match.A;
+  const bMatch = (Number(game.matchScore?.B ?? 0) || 0) + queued.match.B;
   const won = game.challengeWon;
 
   const lastLabel = (l) => {
@@ -370,6 +566,20 @@ export default function StatEntryScreen({ route, navigation }) {
         Challenge {Number(game.currentChallengeIndex) + 1} • Match {aMatch} - {bMatch} {game.paused ? '• PAUSED' : ''}
       </Text>
 
+      <SyncStatusBar gameId={gameId} outbox={outbox} />
+      {verifyOn && <VerificationBar shots={pendingShots} uid={uid} isMain={isMain} />}
+
+      {notifications.filter(n => n.type === 'tracker_handoff').map(n => (
+        <View key={n.id} style={styles.warnBanner}>
+          <Text style={[styles.warnTxt, { flex: 1 }]}>
+            Team {n.team} tracker handed off: {n.fromUid} → {n.toUid} (silent {Math.round((n.silentMs || 0) / 1000)}s)
+          </Text>
+          <TouchableOpacity style={styles.warnBtn} onPress={() => dismissNotification(gameId, n.id).catch(() => {})}>
+            <Text style={styles.warnBtnTxt}>OK</Text>
+          </TouchableOpacity>
+        </View>
+      ))}
+
       {/* Camera readiness & Auto-mode config */}
       <CameraStatusBar
         gameId={gameId}
@@ -394,13 +604,89 @@ export default function StatEntryScreen({ route, navigation }) {
         </View>
       )}
 
+      {(phaseOf(game) === 'lobby' || phaseOf(game) === 'warmup') && (
+        <View style={styles.phaseBanner}>
+          <Text style={styles.phaseTxt}>{phaseOf(game) === 'lobby' ? 'LOBBY — match not started' : 'WARMUP'}</Text>
+          {isMain && (
+            <View style={{ flexDirection: 'row', gap: 8 }}>
+              {phaseOf(game) === 'lobby' && (
+                <TouchableOpacity style={styles.smallBtn} onPress={() => doTransition('open_warmup')}>
+                  <Text style={styles.smallBtnTxt}>Start Warmup</Text>
+                </TouchableOpacity>
+              )}
+              <TouchableOpacity style={styles.smallBtn} onPress={() => doTransition('start_match')}>
+                <Text style={styles.smallBtnTxt}>Start Match</Text>
+              </TouchableOpacity>
+            </View>
+          )}
+        </View>
+      )}
+
+      {imActive && (
+        <View style={styles.phaseBanner}>
+          <Text style={styles.phaseTxt}>
+            {intermissionLabel(game)} in {formatClock(Math.max(0, Math.ceil((imEndsMs - serverNow()) / 1000)))}
+          </Text>
+          {isMain && (
+            <TouchableOpacity style={styles.smallBtn} onPress={doCancelAutoAdvance}>
+              <Text style={styles.smallBtnTxt}>Cancel Auto-Advance</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      )}
+
+      {!imActive && phaseOf(game) === 'intermission' && intermission?.cancelled && (
+        <View style={styles.phaseBanner}>
+          <Text style={styles.phaseTxt}>Auto-advance cancelled — tap Next Challenge</Text>
+        </View>
+      )}
+
+      {isMain && phaseOf(game) === 'challenge_won' && (
+        <View style={styles.phaseBanner}>
+          <Text style={styles.phaseTxt}>Challenge won</Text>
+          <TouchableOpacity style={styles.smallBtn} onPress={() => doTransition('begin_intermission')}>
+            <Text style={styles.smallBtnTxt}>Intermission</Text>
+          </TouchableOpacity>
+        </View>
+      )}
+
+      {phaseOf(game) === 'ended' && (
+        <View style={styles.resultBanner}>
+          <Text style={styles.resultTxt}>FINAL — {describeResult(game) || 'Match ended'}</Text>
+        </View>
+      )}
+
+      {!!game.timeout && (
+        <View style={styles.phaseBanner}>
+          <Text style={styles.phaseTxt}>
+            {timeoutEndsMs > serverNow()
+              ? `TIMEOUT Team ${game.timeout.team} — ${formatClock(Math.ceil((timeoutEndsMs - serverNow()) / 1000))}`
+              : `Timeout over (Team ${game.timeout.team}) — start the clock`}
+          </Text>
+          {(isMain || myTrack?.team === game.timeout.team) && (
+            <TouchableOpacity style={styles.smallBtn} onPress={() => endTimeout(gameId).catch(e => Alert.alert('End timeout failed', e.message))}>
+              <Text style={styles.smallBtnTxt}>End Timeout</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      )}
+
       {game.paused && (
         <View style={styles.pausedBanner}>
           <Text style={styles.pausedTxt}>PAUSED — Dispute Mode (auto ingest disabled)</Text>
         </View>
       )}
 
-      {/* Top control bar: Moneyball + Flip + Bonus + Undo + Review Queue + Pause/Dispute + End Match */}
+      {!!game.pauseMeta?.disputeId && (
+        <DisputePanel
+          gameId={gameId}
+          dispute={disputes.find(d => d.id === game.pauseMeta.disputeId) || null}
+          logs={logs}
+          isMain={isMain}
+        />
+      )}
+
+      {/* Top control bar: Moneyball + Flip + Bonus + Undo/Redo + Review Queue + Pause/Dispute + End Match */}
       <View style={[styles.row, { marginBottom: 6, flexWrap: 'wrap', gap: 8 }]}>
         {!bonusActive && (
           <TouchableOpacity
@@ -423,12 +709,15 @@ export default function StatEntryScreen({ route, navigation }) {
 
         <View style={styles.bonusToggleWrap}>
           <Text style={styles.bonusLabel}>{bonusActive ? 'Bonus ON' : 'Bonus OFF'}</Text>
-          <Switch value={bonusActive} onValueChange={toggleBonus} disabled={!isMain} />
+          <Switch value={bonusActive} onValueChange={toggleBonus} disabled={!canBonus} />
         </View>
 
         <TouchableOpacity onPress={undoLast} style={[styles.undo]}>
           <Text style={{ color: 'white', fontWeight: '700' }}>Undo</Text>
         </TouchableOpacity>
+        <TouchableOpacity onPress={redoLast} style={[styles.undo]}>
+          <Text style={{ color: 'white', fontWeight: '700' }}>Redo</Text>
+        </TouchableOpacity>
 
         {/* Review Queue with pending badge */}
         <TouchableOpacity
@@ -443,6 +732,13 @@ export default function StatEntryScreen({ route, navigation }) {
           )}
         </TouchableOpacity>
 
+        <TouchableOpacity
+          onPress={() => navigation.navigate('AuditLog', { gameId })}
+          style={styles.smallBtn}
+        >
+          <Text style={styles.smallBtnTxt}>Audit</Text>
+        </TouchableOpacity>
+
         {/* Pause / Dispute toggle */}
         <TouchableOpacity
           onPress={() => setPaused(gameId, !game?.paused).catch(e => Alert.alert('Pause failed', e.message))}
@@ -478,10 +774,29 @@ export default function StatEntryScreen({ route, navigation }) {
           keyboardType="numeric"
           style={styles.input}
         />
-        <TouchableOpacity style={styles.smallBtn} onPress={doSetClock}><Text style={styles.smallBtnTxt}>Set</Text></TouchableOpacity>
-        <TouchableOpacity style={styles.smallBtn} onPress={() => startClock(gameId)} disabled={game?.paused}><Text style={styles.smallBtnTxt}>Start</Text></TouchableOpacity>
-        <TouchableOpacity style={styles.smallBtn} onPress={() => stopClock(gameId)}><Text style={styles.smallBtnTxt}>Stop</Text></TouchableOpacity>
-        <TouchableOpacity style={styles.smallBtn} onPress={() => resetClockSeconds(gameId, Number(newClock) || game.clockSeconds)}><Text style={styles.smallBtnTxt}>Reset</Text></TouchableOpacity>
+        {canClock && (
+          <>
+            <TouchableOpacity style={styles.smallBtn} onPress={doSetClock}><Text style={styles.smallBtnTxt}>Set</Text></TouchableOpacity>
+            <TouchableOpacity style={styles.smallBtn} onPress={() => startClock(gameId).catch(e => Alert.alert('Clock error', e.message))} disabled={game?.paused}><Text style={styles.smallBtnTxt}>Start</Text></TouchableOpacity>
+            <TouchableOpacity style={styles.smallBtn} onPress={() => stopClock(gameId).catch(e => Alert.alert('Clock error', e.message))}><Text style={styles.smallBtnTxt}>Stop</Text></TouchableOpacity>
+            <TouchableOpacity style={styles.smallBtn} onPress={() => resetClockSeconds(gameId, Number(newClock) || game.clockSeconds).catch(e => Alert.alert('Clock error', e.message))}><Text style={styles.smallBtnTxt}>Reset</Text></TouchableOpacity>
+          </>
+        )}
+
+        {/* Team timeouts (allowance per challenge from the ruleset) */}
+        {['A', 'B'].filter(t => isMain || myTrack?.team === t).map((t) => {
+          const left = timeoutsLeft(game.timeoutsUsed, t, game.ruleset);
+          return (
+            <TouchableOpacity
+              key={t}
+              style={[styles.smallBtn, { backgroundColor: '#b45309' }, left === 0 && styles.disabled]}
+              disabled={left === 0}
+              onPress={() => doTimeout(t)}
+            >
+              <Text style={styles.smallBtnTxt}>Timeout {t} ({left === null ? '∞' : left})</Text>
+            </TouchableOpacity>
+          );
+        })}
 
         {/* Challenge Menu */}
         <TouchableOpacity
@@ -522,6 +837,11 @@ export default function StatEntryScreen({ route, navigation }) {
           <TouchableOpacity style={styles.primaryBtn} onPress={doAdvance}>
             <Text style={styles.primaryBtnTxt}>Skip to Next</Text>
           </TouchableOpacity>
+          {isMain && (
+            <TouchableOpacity style={[styles.primaryBtn, { marginTop: 8, backgroundColor: '#555' }]} onPress={doRebuild}>
+              <Text style={styles.primaryBtnTxt}>Rebuild Scores from Logs</Text>
+            </TouchableOpacity>
+          )}
         </View>
       )}
 
@@ -539,6 +859,7 @@ export default function StatEntryScreen({ route, navigation }) {
                 <View style={styles.lockRow}>
                   <Text style={styles.lockLabel}>Team A lock:</Text>
                   <Text style={styles.lockVal}>{lockA ? lockA : '—'}</Text>
+                  {!!lockA && <PresenceDot online={onlineOf(lockA)} stale={staleA} />}
                   <TouchableOpacity style={styles.smallBtn} onPress={() => clearTeam('A')}>
                     <Text style={styles.smallBtnTxt}>Clear A</Text>
                   </TouchableOpacity>
@@ -546,10 +867,40 @@ export default function StatEntryScreen({ route, navigation }) {
                 <View style={styles.lockRow}>
                   <Text style={styles.lockLabel}>Team B lock:</Text>
                   <Text style={styles.lockVal}>{lockB ? lockB : '—'}</Text>
+                  {!!lockB && <PresenceDot online={onlineOf(lockB)} stale={staleB} />}
                   <TouchableOpacity style={styles.smallBtn} onPress={() => clearTeam('B')}>
                     <Text style={styles.smallBtnTxt}>Clear B</Text>
                   </TouchableOpacity>
                 </View>
+                {verifyOn && ['A2', 'B2'].map(k => (
+                  <View key={k} style={styles.lockRow}>
+                    <Text style={styles.lockLabel}>Team {k[0]} 2nd lock:</Text>
+                    <Text style={styles.lockVal}>{game.trackerLocks?.[k]?.uid || '—'}</Text>
+                    {!!game.trackerLocks?.[k]?.uid && (
+                      <PresenceDot online={onlineOf(game.trackerLocks[k].uid)} stale={isLockStale(game.trackerLocks[k])} />
+                    )}
+                    <TouchableOpacity style={styles.smallBtn} onPress={() => clearTeam(k)}>
+                      <Text style={styles.smallBtnTxt}>Clear {k}</Text>
+                    </TouchableOpacity>
+                  </View>
+                ))}
+                <View style={styles.lockRow}>
+                  <Text style={styles.lockLabel}>Verification:</Text>
+                  <Text style={styles.lockVal}>{verifyOn ? 'two trackers per team must agree' : 'off'}</Text>
+                  <Switch
+                    value={verifyOn}
+                    onValueChange={(v) => setVerificationMode(gameId, { enabled: v }).catch(e => Alert.alert('Verification', e.message))}
+                  />
+                </View>
+                <View style={styles.lockRow}>
+                  <Text style={styles.lockLabel}>2nd keeper:</Text>
+                  <Text style={styles.lockVal}>{secondaryUid || '—'}</Text>
+                  {!!secondaryUid && (
+                    <TouchableOpacity style={styles.smallBtn} onPress={() => assignSecondary(null)}>
+                      <Text style={styles.smallBtnTxt}>Clear</Text>
+                    </TouchableOpacity>
+                  )}
+                </View>
                 <TouchableOpacity
                   style={styles.smallBtn}
                   onPress={() => navigation.navigate('RosterSetup', { gameId })}
@@ -562,21 +913,39 @@ export default function StatEntryScreen({ route, navigation }) {
                     .filter(t => t.id !== uid)
                     .map(t => (
                       <View key={t.id} style={styles.trackerRow}>
+                        <PresenceDot online={isTrackerOnline(t)} />
                         <Text style={{ flex: 1 }}>uid: {t.id} • pref: {t.team || '—'}</Text>
                         <TouchableOpacity
-                          style={[styles.smallBtn, (!lockA || lockA === t.id) ? null : styles.disabled]}
-                          disabled={!!lockA && lockA !== t.id}
+                          style={[styles.smallBtn, (!lockA || lockA === t.id || staleA) ? null : styles.disabled]}
+                          disabled={!!lockA && lockA !== t.id && !staleA}
                           onPress={() => assignTeam('A', t.id)}
                         >
                           <Text style={styles.smallBtnTxt}>Assign A</Text>
                         </TouchableOpacity>
                         <TouchableOpacity
-                          style={[styles.smallBtn, (!lockB || lockB === t.id) ? null : styles.disabled]}
-                          disabled={!!lockB && lockB !== t.id}
+                          style={[styles.smallBtn, (!lockB || lockB === t.id || staleB) ? null : styles.disabled]}
+                          disabled={!!lockB && lockB !== t.id && !staleB}
                           onPress={() => assignTeam('B', t.id)}
                         >
                           <Text style={styles.smallBtnTxt}>Assign B</Text>
                         </TouchableOpacity>
+                        {verifyOn && ['A2', 'B2'].map(k => (
+                          <TouchableOpacity
+                            key={k}
+                            style={[styles.smallBtn, (!game.trackerLocks?.[k]?.uid || game.trackerLocks[k].uid === t.id) ? null : styles.disabled]}
+                            disabled={!!game.trackerLocks?.[k]?.uid && game.trackerLocks[k].uid !== t.id}
+                            onPress={() => assignTeam(k, t.id)}
+                          >
+                            <Text style={styles.smallBtnTxt}>Assign {k}</Text>
+                          </TouchableOpacity>
+                        ))}
+                        <TouchableOpacity
+                          style={[styles.smallBtn, secondaryUid === t.id ? styles.disabled : null]}
+                          disabled={secondaryUid === t.id}
+                          onPress={() => assignSecondary(t.id)}
+                        >
+                          <Text style={styles.smallBtnTxt}>2nd Keeper</Text>
+                        </TouchableOpacity>
                       </View>
                     ))}
                   {trackers.filter(t => t.id !== uid).length === 0 && (
@@ -586,20 +955,22 @@ export default function StatEntryScreen({ route, navigation }) {
               </>
             ) : (
               <View style={styles.joinRow}>
-                <Text style={{ marginRight: 8 }}>You: {myTrack?.team ? `tracking Team ${myTrack.team}` : 'not assigned'}</Text>
+                <Text style={{ marginRight: 8 }}>
+                  You: {myTrack?.team ? `tracking Team ${myTrack.team}` : 'not assigned'}{isSecondary ? ' • 2nd keeper' : ''}
+                </Text>
                 <TouchableOpacity
                   style={[styles.smallBtn, canJoinA ? null : styles.disabled]}
                   disabled={!canJoinA}
                   onPress={() => joinTeam('A')}
                 >
-                  <Text style={styles.smallBtnTxt}>Join Team A</Text>
+                  <Text style={styles.smallBtnTxt}>{staleA && lockA !== uid ? 'Take Over A' : 'Join Team A'}</Text>
                 </TouchableOpacity>
                 <TouchableOpacity
                   style={[styles.smallBtn, canJoinB ? null : styles.disabled]}
                   disabled={!canJoinB}
                   onPress={() => joinTeam('B')}
                 >
-                  <Text style={styles.smallBtnTxt}>Join Team B</Text>
+                  <Text style={styles.smallBtnTxt}>{staleB && lockB !== uid ? 'Take Over B' : 'Join Team B'}</Text>
                 </TouchableOpacity>
               </View>
             )}
@@ -657,6 +1028,27 @@ export default function StatEntryScreen({ route, navigation }) {
         </View>
       )}
 
+      {/* Recent shots (tap Edit to amend in place) */}
+      <RecentShotsPanel
+        gameId={gameId}
+        logs={logs}
+        players={players}
+        rosterById={rosterById}
+        canEdit={(l) => isMain || myTrack?.team === l.team}
+        labelFor={lastLabel}
+        bonusActive={bonusActive}
+        onDispute={game.pauseMeta?.disputeId ? null : raiseDispute}
+      />
+
+      {/* On court / bench (benched players get no shot buttons) */}
+      <SubstitutionsPanel
+        game={game}
+        gameId={gameId}
+        logs={logs}
+        rosterById={rosterById}
+        canSub={(team) => isMain || myTrack?.team === team}
+      />
+
       {/* Players & shot buttons */}
       <FlatList
         data={players}
@@ -746,6 +1138,438 @@ export default function StatEntryScreen({ route, navigation }) {
   );
 }
 
+const SHOT_TYPES = ['mid', 'long', 'gamechanger'];
+const BONUS_SHOT_TYPES = ['bonus_mid', 'bonus_long', 'bonus_gc'];
+const ZONES = [null, 'corner', 'wing', 'elbow', 'top', 'gc'];
+const cycle = (list, cur) => list[(list.indexOf(cur) + 1) % list.length];
+
+const PENALTY_LABELS = {
+  none: 'Warning',
+  void_last_shot: 'Void last shot',
+  deduct_points: 'Deduct points',
+  forfeit_moneyball: 'Forfeit $',
+  forfeit_gamechanger: 'Forfeit GC',
+};
+
+function RecentShotsPanel({ gameId, logs, players, rosterById, canEdit, labelFor, bonusActive, onDispute }) {
+  const [open, setOpen] = useState(false);
+  const [editing, setEditing] = useState(null); // { id, playerId, shotType, made, moneyball, zone }
+  const [calling, setCalling] = useState(null); // { team, playerId, kind, penalty, points }
+
+  // shots and referee calls, newest first
+  const shots = useMemo(
+    () => logs.filter(l => (l?.playerId && typeof l.made === 'boolean') || isViolationLog(l)).slice(0, 8),
+    [logs]
+  );
+
+  const nameFor = (pid) => {
+    const r = rosterById[pid];
+    return Number.isFinite(Number(r?.jerseyNumber)) ? `${pid} #${r.jerseyNumber}` : pid;
+  };
+
+  const startEdit = (l) => setEditing({
+    id: l.id,
+    playerId: l.playerId,
+    shotType: l.shotType,
+    made: !!l.made,
+    moneyball: !!l.moneyball,
+    zone: l.zone ?? null,
+    bonus: BONUS_SHOT_TYPES.includes(l.shotType) || l.shotType === 'bonus',
+  });
+
+  const teamPlayers = (team) => [null, ...players.filter(p => p.team === team).map(p => p.id)];
+
+  const submitViolation = async () => {
+    const { points, ...v } = calling;
+    try {
+      await logViolation(gameId, { ...v, penalty: { type: v.penalty, points: Number(points) || 1 } });
+      setCalling(null);
+    } catch (e) {
+      Alert.alert('Violation failed', e.message);
+    }
+  };
+
+  const removeViolation = async (l) => {
+    try {
+      await revokeViolation(gameId, l.id);
+    } catch (e) {
+      Alert.alert('Remove failed', e.message);
+    }
+  };
+
+  const save = async () => {
+    const { id, bonus, ...patch } = editing;
+    try {
+      await amendLog(gameId, id, patch);
+      setEditing(null);
+    } catch (e) {
+      Alert.alert('Edit failed', e.message);
+    }
+  };
+
+  return (
+    <View style={styles.panel}>
+      <TouchableOpacity onPress={() => setOpen(v => !v)} style={styles.panelHeader}>
+        <Text style={styles.panelTitle}>Recent Shots</Text>
+        <Text style={styles.caret}>{open ? '▲' : '▼'}</Text>
+      </TouchableOpacity>
+
+      {open && !calling && (
+        <TouchableOpacity
+          style={[styles.smallBtn, { alignSelf: 'flex-start', marginTop: 6, backgroundColor: '#7c2d12' }]}
+          onPress={() => setCalling({ team: 'A', playerId: null, kind: 'line', penalty: 'none', points: '1' })}
+        >
+          <Text style={styles.smallBtnTxt}>+ Violation</Text>
+        </TouchableOpacity>
+      )}
+
+      {open && calling && (
+        <View style={[styles.joinRow, { marginBottom: 6 }]}>
+          <TouchableOpacity
+            style={styles.smallBtn}
+            onPress={() => setCalling(c => ({ ...c, team: c.team === 'A' ? 'B' : 'A', playerId: null }))}
+          >
+            <Text style={styles.smallBtnTxt}>Team {calling.team}</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={styles.smallBtn}
+            onPress={() => setCalling(c => ({ ...c, playerId: cycle(teamPlayers(c.team), c.playerId) }))}
+          >
+            <Text style={styles.smallBtnTxt}>Player: {calling.playerId ? nameFor(calling.playerId) : 'team'}</Text>
+          </TouchableOpacity>
+          <TouchableOpacity style={styles.smallBtn} onPress={() => setCalling(c => ({ ...c, kind: cycle(VIOLATION_KINDS, c.kind) }))}>
+            <Text style={styles.smallBtnTxt}>{violationLabel(calling.kind)}</Text>
+          </TouchableOpacity>
+          <TouchableOpacity style={styles.smallBtn} onPress={() => setCalling(c => ({ ...c, penalty: cycle(PENALTY_TYPES, c.penalty) }))}>
+            <Text style={styles.smallBtnTxt}>{PENALTY_LABELS[calling.penalty]}</Text>
+          </TouchableOpacity>
+          {calling.penalty === 'deduct_points' && (
+            <TextInput
+              value={calling.points}
+              onChangeText={(t) => setCalling(c => ({ ...c, points: t }))}
+              keyboardType="numeric"
+              placeholder={bonusActive ? 'Match pts' : 'Challenge pts'}
+              style={[styles.input, { minWidth: 70 }]}
+            />
+          )}
+          <TouchableOpacity style={[styles.smallBtn, { backgroundColor: '#b00' }]} onPress={submitViolation}>
+            <Text style={styles.smallBtnTxt}>Log</Text>
+          </TouchableOpacity>
+          <TouchableOpacity style={styles.smallBtn} onPress={() => setCalling(null)}>
+            <Text style={styles.smallBtnTxt}>Cancel</Text>
+          </TouchableOpacity>
+        </View>
+      )}
+
+      {open && shots.map((l) => (isViolationLog(l) ? (
+        <View key={l.id} style={styles.trackerRow}>
+          <Text style={{ flex: 1, color: '#7c2d12' }}>
+            {l.team} • {l.playerId ? nameFor(l.playerId) : 'Team'} • {describeViolation(l)}
+          </Text>
+          {canEdit(l) && (
+            <TouchableOpacity style={styles.smallBtn} onPress={() => removeViolation(l)}>
+              <Text style={styles.smallBtnTxt}>Remove</Text>
+            </TouchableOpacity>
+          )}
+          {!!onDispute && (
+            <TouchableOpacity style={[styles.smallBtn, { backgroundColor: '#b80' }]} onPress={() => onDispute(l)}>
+              <Text style={styles.smallBtnTxt}>Dispute</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      ) : (
+        <View key={l.id}>
+          <View style={styles.trackerRow}>
+            <Text style={{ flex: 1 }}>
+              {l.team} • {nameFor(l.playerId)} • {labelFor(l)}{Array.isArray(l.amendments) && l.amendments.length ? ' (edited)' : ''}{l.voided ? ' (voided)' : ''}
+            </Text>
+            {canEdit(l) && !l.voided && (
+              <TouchableOpacity style={styles.smallBtn} onPress={() => (editing?.id === l.id ? setEditing(null) : startEdit(l))}>
+                <Text style={styles.smallBtnTxt}>{editing?.id === l.id ? 'Cancel' : 'Edit'}</Text>
+              </TouchableOpacity>
+            )}
+            {!!onDispute && (
+              <TouchableOpacity style={[styles.smallBtn, { backgroundColor: '#b80' }]} onPress={() => onDispute(l)}>
+                <Text style={styles.smallBtnTxt}>Dispute</Text>
+              </TouchableOpacity>
+            )}
+          </View>
+
+          {editing?.id === l.id && (
+            <View style={[styles.joinRow, { marginBottom: 6 }]}>
+              <TouchableOpacity
+                style={styles.smallBtn}
+                onPress={() => setEditing(m => ({ ...m, playerId: cycle(players.map(p => p.id), m.playerId) }))}
+              >
+                <Text style={styles.smallBtnTxt}>Player: {nameFor(editing.playerId)}</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={styles.smallBtn}
+                onPress={() => setEditing(m => ({ ...m, shotType: cycle(m.bonus ? BONUS_SHOT_TYPES : SHOT_TYPES, m.shotType) }))}
+              >
+                <Text style={styles.smallBtnTxt}>Type: {editing.shotType}</Text>
+              </TouchableOpacity>
+              <TouchableOpacity style={styles.smallBtn} onPress={() => setEditing(m => ({ ...m, zone: cycle(ZONES, m.zone) }))}>
+                <Text style={styles.smallBtnTxt}>Zone: {editing.zone || '—'}</Text>
+              </TouchableOpacity>
+              <Text>Made</Text>
+              <Switch value={editing.made} onValueChange={(v) => setEditing(m => ({ ...m, made: v }))} />
+              {!editing.bonus && (
+                <>
+                  <Text>$</Text>
+                  <Switch value={editing.moneyball} onValueChange={(v) => setEditing(m => ({ ...m, moneyball: v }))} />
+                </>
+              )}
+              <TouchableOpacity style={[styles.smallBtn, { backgroundColor: '#0a0' }]} onPress={save}>
+                <Text style={styles.smallBtnTxt}>Save</Text>
+              </TouchableOpacity>
+            </View>
+          )}
+        </View>
+      )))}
+      {open && shots.length === 0 && <Text style={{ color: '#666', marginTop: 6 }}>No shots yet.</Text>}
+    </View>
+  );
+}
+
+function SubstitutionsPanel({ game, gameId, logs, rosterById, canSub }) {
+  const [open, setOpen] = useState(false);
+  const [outPick, setOutPick] = useState(null); // { team, playerId }
+  const [newId, setNewId] = useState('');
+
+  const subs = useMemo(() => logs.filter(isSubstitutionLog).slice(0, 10), [logs]);
+
+  const nameFor = (pid) => {
+    const r = rosterById[pid];
+    return Number.isFinite(Number(r?.jerseyNumber)) ? `${pid} #${r.jerseyNumber}` : pid;
+  };
+
+  const bringIn = async (team, inId) => {
+    if (!inId) return;
+    try {
+      if (outPick?.team === team) await substitutePlayer(gameId, team, outPick.playerId, inId);
+      else await addPlayerToTeam(gameId, team, inId);
+      setOutPick(null);
+      setNewId('');
+    } catch (e) {
+      Alert.alert('Substitution failed', e.message);
+    }
+  };
+
+  return (
+    <View style={styles.panel}>
+      <TouchableOpacity onPress={() => setOpen(v => !v)} style={styles.panelHeader}>
+        <Text style={styles.panelTitle}>On Court & Substitutions</Text>
+        <Text style={styles.caret}>{open ? '▲' : '▼'}</Text>
+      </TouchableOpacity>
+
+      {open && ['A', 'B'].map((team) => (
+        <View key={team} style={{ marginTop: 6 }}>
+          <Text style={{ fontWeight: '700' }}>Team {team}</Text>
+          <View style={styles.joinRow}>
+            <Text style={{ color: '#666' }}>On court:</Text>
+            {onCourtIds(game, team).map((pid) => {
+              const picked = outPick?.team === team && outPick.playerId === pid;
+              return (
+                <TouchableOpacity
+                  key={pid}
+                  style={[styles.smallBtn, picked && { backgroundColor: '#b00' }, !canSub(team) && styles.disabled]}
+                  disabled={!canSub(team)}
+                  onPress={() => setOutPick(picked ? null : { team, playerId: pid })}
+                >
+                  <Text style={styles.smallBtnTxt}>{picked ? `Out: ${nameFor(pid)}` : nameFor(pid)}</Text>
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+          <View style={styles.joinRow}>
+            <Text style={{ color: '#666' }}>Bench:</Text>
+            {benchIds(game, team).map((pid) => (
+              <TouchableOpacity
+                key={pid}
+                style={[styles.btnAlt, !canSub(team) && styles.disabled]}
+                disabled={!canSub(team)}
+                onPress={() => bringIn(team, pid)}
+              >
+                <Text style={styles.btnAltTxt}>{outPick?.team === team ? `In: ${nameFor(pid)}` : nameFor(pid)}</Text>
+              </TouchableOpacity>
+            ))}
+            {benchIds(game, team).length === 0 && <Text style={{ color: '#666' }}>—</Text>}
+          </View>
+          {canSub(team) && (
+            <View style={styles.joinRow}>
+              <TextInput
+                placeholder="New player uid"
+                value={newId}
+                onChangeText={setNewId}
+                autoCapitalize="none"
+                style={styles.input}
+              />
+              <TouchableOpacity style={styles.smallBtn} onPress={() => bringIn(team, newId.trim())}>
+                <Text style={styles.smallBtnTxt}>{outPick?.team === team ? 'Sub In' : `Add to ${team}`}</Text>
+              </TouchableOpacity>
+            </View>
+          )}
+        </View>
+      ))}
+
+      {open && subs.map((l) => (
+        <Text key={l.id} style={{ color: '#444', marginTop: 4 }}>
+          Ch {Number(l.challengeIndex ?? 0) + 1} • {describeSubstitution(l, nameFor)}
+        </Text>
+      ))}
+    </View>
+  );
+}
+
+function PresenceDot({ online, stale = false }) {
+  const color = stale ? '#b00' : online ? '#0a0' : '#999';
+  return (
+    <View style={styles.syncRow}>
+      <View style={[styles.syncDot, { backgroundColor: color }]} />
+      <Text style={{ color, fontSize: 12, marginRight: 6 }}>{stale ? 'stale' : online ? 'online' : 'offline'}</Text>
+    </View>
+  );
+}
+
+function SyncStatusBar({ gameId, outbox }) {
+  const { pending, conflicts, online, syncing } = outbox;
+  const color = !online ? '#b00' : pending.length > 0 || syncing ? '#b80' : '#0a0';
+  const label = !online
+    ? `Offline — ${pending.length} shot${pending.length === 1 ? '' : 's'} queued`
+    : pending.length > 0 ? `Syncing — ${pending.length} shot${pending.length === 1 ? '' : 's'} queued`
+    : 'Shots synced';
+
+  const settle = async (entryId, action) => {
+    try {
+      await resolveConflict(gameId, entryId, action);
+    } catch (e) {
+      Alert.alert('Failed', e.message);
+    }
+  };
+
+  return (
+    <View style={{ marginBottom: 6 }}>
+      <View style={styles.syncRow}>
+        <View style={[styles.syncDot, { backgroundColor: color }]} />
+        <Text style={{ color, fontWeight: '700' }}>{label}</Text>
+        {pending.length > 0 && <Text style={{ color: '#666' }}>  (scores include queued shots)</Text>}
+      </View>
+      {conflicts.map(e => (
+        <View key={e.id} style={styles.warnBanner}>
+          <Text style={[styles.warnTxt, { flex: 1 }]}>
+            Shot not synced: {e.team || '?'} • {e.params.playerId} • {e.params.shotType} {e.params.made ? '✓' : '✗'} — {e.error}
+          </Text>
+          <TouchableOpacity style={styles.warnBtn} onPress={() => settle(e.id, 'review')}>
+            <Text style={styles.warnBtnTxt}>To Review</Text>
+          </TouchableOpacity>
+          <TouchableOpacity style={[styles.warnBtn, { marginLeft: 6 }]} onPress={() => settle(e.id, 'discard')}>
+            <Text style={styles.warnBtnTxt}>Discard</Text>
+          </TouchableOpacity>
+        </View>
+      ))}
+    </View>
+  );
+}
+
+// Verification mode: taps awaiting the other tracker, and how recent ones ended
+const PENDING_OUTCOME = {
+  committed: { color: '#0a0', label: 'logged' },
+  review: { color: '#b80', label: 'trackers disagree → review' },
+  refused: { color: '#b00', label: 'refused → review' },
+  rejected: { color: '#b00', label: 'refused' },
+};
+
+// an agreed pair the engine refused also goes to review, with the error
+const pendingOutcomeOf = (s) => PENDING_OUTCOME[s.status === 'review' && s.error ? 'refused' : s.status];
+
+function VerificationBar({ shots, uid, isMain }) {
+  const open = shots.filter(s => s.status === 'open' || s.status === 'matched');
+  const mine = isMain ? shots : shots.filter(s => s.uid === uid);
+  const waiting = isMain ? open : open.filter(s => s.uid === uid);
+  const last = mine.find(pendingOutcomeOf);
+  const outcome = last ? pendingOutcomeOf(last) : null;
+
+  return (
+    <View style={[styles.syncRow, { marginBottom: 6, flexWrap: 'wrap' }]}>
+      <View style={[styles.syncDot, { backgroundColor: waiting.length ? '#b80' : '#0a0' }]} />
+      <Text style={{ fontWeight: '700' }}>
+        Verification — {waiting.length ? `${waiting.length} awaiting the other tracker` : 'all taps settled'}
+      </Text>
+      {!!outcome && (
+        <Text style={{ color: outcome.color }}>
+          {'  '}last: {last.playerId} {last.shotType} {last.made ? '✓' : '✗'} {outcome.label}{last.error ? ` (${last.error})` : ''}
+        </Text>
+      )}
+    </View>
+  );
+}
+
+function DisputePanel({ gameId, dispute, logs, isMain }) {
+  const [note, setNote] = useState('');
+  const [made, setMade] = useState({}); // amended ruling: { [logId]: boolean }
+
+  if (!dispute) return null;
+  const contested = logs.filter(l => (dispute.logIds || []).includes(l.id));
+  const shots = contested.filter(l => typeof l.made === 'boolean' && !l.voided);
+
+  const rule = async (outcome) => {
+    const amendments = {};
+    if (outcome === 'amended') {
+      shots.forEach((l) => {
+        if (made[l.id] !== undefined && made[l.id] !== l.made) amendments[l.id] = { made: made[l.id] };
+      });
+    }
+    try {
+      await resolveDispute(gameId, dispute.id, { outcome, note, amendments });
+      setNote('');
+      setMade({});
+    } catch (e) {
+      Alert.alert('Ruling failed', e.message);
+    }
+  };
+
+  return (
+    <View style={[styles.panel, { borderColor: '#f59e0b' }]}>
+      <Text style={styles.panelTitle}>Dispute by Team {dispute.team} — {describeRuling(dispute)}</Text>
+      <Text style={{ color: '#444', marginTop: 4 }}>{dispute.reason || '—'}</Text>
+      {(dispute.evidence || []).length > 0 && (
+        <Text style={{ color: '#666', marginTop: 2 }}>
+          Evidence: {dispute.evidence.map(e => (e.camera ? `${e.camera}/${e.eventId}` : e.eventId)).join(', ')}
+        </Text>
+      )}
+
+      {isMain ? (
+        <>
+          {shots.map(l => (
+            <View key={l.id} style={styles.trackerRow}>
+              <Text style={{ flex: 1 }}>{l.team} • {l.playerId} • {l.shotType}</Text>
+              <Text>Made</Text>
+              <Switch value={made[l.id] ?? !!l.made} onValueChange={(v) => setMade(m => ({ ...m, [l.id]: v }))} />
+            </View>
+          ))}
+          <View style={styles.joinRow}>
+            <TextInput placeholder="Ruling note" value={note} onChangeText={setNote} style={[styles.input, { flex: 1 }]} />
+            <TouchableOpacity style={[styles.smallBtn, { backgroundColor: '#0a0' }]} onPress={() => rule('upheld')}>
+              <Text style={styles.smallBtnTxt}>Upheld</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={[styles.smallBtn, { backgroundColor: '#b00' }]} onPress={() => rule('overturned')}>
+              <Text style={styles.smallBtnTxt}>Overturned</Text>
+            </TouchableOpacity>
+            {shots.length > 0 && (
+              <TouchableOpacity style={styles.smallBtn} onPress={() => rule('amended')}>
+                <Text style={styles.smallBtnTxt}>Amended</Text>
+              </TouchableOpacity>
+            )}
+          </View>
+        </>
+      ) : (
+        <Text style={{ color: '#666', marginTop: 6 }}>Waiting for the main keeper’s ruling…</Text>
+      )}
+    </View>
+  );
+}
+
 function AutoModePanel({ game, gameId, navigation }) {
   const [enabled, setEnabled] = useState(!!game?.autoMode?.enabled);
   const [ingest, setIngest] = useState(String(game?.autoMode?.ingestThreshold ?? 0.85));
@@ -756,6 +1580,20 @@ function AutoModePanel({ game, gameId, navigation }) {
     setReview(String(game?.autoMode?.reviewThreshold ?? 0.65));
   }, [game?.autoMode]);
 
+  // who ingests auto events right now (coordinatorService.js)
+  const [lease, setLease] = useState({ data: null, mine: false });
+  useEffect(() => {
+    if (!gameId) return;
+    const off = listenCoordinator(gameId, (data, mine) => setLease({ data, mine }));
+    return () => off && off();
+  }, [gameId]);
+  const coordinatorRole = { main: 'main keeper', secondary: '2nd keeper' }[keeperRoleOf(game, lease.data?.holder)];
+  const coordinatorLabel = !isLeaseLive(lease.data)
+    ? 'none — waiting for a keeper’s device'
+    : lease.mine
+      ? 'this device'
+      : `${coordinatorRole || 'uid'}: ${lease.data.holder}`;
+
   const save = async () => {
     const i = Math.max(0, Math.min(1, Number(ingest) || 0.85));
     const r = Math.max(0, Math.min(1, Number(review) || 0.65));
@@ -802,6 +1640,10 @@ function AutoModePanel({ game, gameId, navigation }) {
           </TouchableOpacity>
         </View>
       </View>
+      <Text style={{ marginTop:8 }}>
+        <Text style={{ fontWeight:'700' }}>Coordinator: </Text>
+        <Text style={{ color: isLeaseLive(lease.data) ? '#111' : '#b00' }}>{coordinatorLabel}</Text>
+      </Text>
       <Text style={{ color:'#666', marginTop:6, fontSize:12 }}>
         Clock gating is always ON: auto events are ignored unless the clock is running and game status is “live”.
       </Text>
@@ -818,12 +1660,18 @@ const styles = StyleSheet.create({
 
   pausedBanner: { backgroundColor: '#fde68a', borderColor: '#f59e0b', borderWidth: 1, padding: 8, borderRadius: 8, marginBottom: 8 },
   pausedTxt: { color: '#7c2d12', fontWeight: '800', textAlign: 'center' },
+  phaseBanner: { flexDirection: 'row', alignItems: 'center', justifyContent: 'space-between', backgroundColor: '#e0e7ff', borderColor: '#6366f1', borderWidth: 1, padding: 8, borderRadius: 8, marginBottom: 8 },
+  phaseTxt: { color: '#312e81', fontWeight: '800' },
+  resultBanner: { backgroundColor: '#dcfce7', borderColor: '#16a34a', borderWidth: 1, padding: 8, borderRadius: 8, marginBottom: 8 },
+  resultTxt: { color: '#14532d', fontWeight: '800', textAlign: 'center' },
 
   // ROSTER ADDITIONS
   warnBanner: { flexDirection:'row', alignItems:'center', justifyContent:'space-between', backgroundColor:'#fee2e2', borderColor:'#fecaca', borderWidth:1, padding:8, borderRadius:8, marginBottom:8 },
   warnTxt: { color:'#7f1d1d', fontWeight:'700' },
   warnBtn: { backgroundColor:'#7f1d1d', paddingHorizontal:10, paddingVertical:6, borderRadius:8 },
   warnBtnTxt: { color:'#fff', fontWeight:'800' },
+  syncRow: { flexDirection:'row', alignItems:'center' },
+  syncDot: { width:10, height:10, borderRadius:5, marginRight:6 },
 
   badge: { position: 'absolute', top: -6, right: -6, backgroundColor: '#ef4444', borderRadius: 10, paddingHorizontal: 6, paddingVertical: 2, minWidth: 20, alignItems: 'center' },
   badgeTxt: { color: '#fff', fontWeight: '800', fontSize: 12 },
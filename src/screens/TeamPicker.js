@@ -4,6 +4,8 @@ import { View, Text, TouchableOpacity, ActivityIndicator, FlatList, Alert, Style
 import { db } from '../services/firebase';
 import { collection, getDocs, doc, getDoc } from 'firebase/firestore';
 import { createGame } from '../services/gameService';
+import { listRulesets } from '../services/rulesetService';
+import { describeFormat, FORMAT_TYPES } from '../services/matchFormat';
 
 export default function TeamPicker({ navigation, route }) {
   const { eventId = null } = route?.params || {};
@@ -12,8 +14,35 @@ export default function TeamPicker({ navigation, route }) {
   const [sequences, setSequences] = useState([]);
   const [teamA, setTeamA] = useState([]);
   const [teamB, setTeamB] = useState([]);
+  const [secondaryKeeper, setSecondaryKeeper] = useState(null); // runs clock / bonus / review, can't end the match
   const [selectedSequenceId, setSelectedSequenceId] = useState(null);
 
+  // scoring ruleset (null = built-in Standard)
+  const [rulesets, setRulesets] = useState([]);
+  const [selectedRulesetId, setSelectedRulesetId] = useState(null);
+
+  // match format (how the match ends)
+  const [formatType, setFormatType] = useState('sequence');
+  const [formatTarget, setFormatTarget] = useState('3');
+  const [formatBonus, setFormatBonus] = useState(true);
+  const [formatOvertime, setFormatOvertime] = useState(true);
+
+  // auto-advance after a challenge win
+  const [autoAdvanceOn, setAutoAdvanceOn] = useState(false);
+  const [intermissionSecs, setIntermissionSecs] = useState('15');
+
+  // Double-entry verification (two trackers per team must agree)
+  const [verifyOn, setVerifyOn] = useState(false);
+
+  // Handicaps for mixed-skill games (blank = none)
+  const [handicapOn, setHandicapOn] = useState(false);
+  const [handicap, setHandicap] = useState({
+    A: { matchStart: '', challengeStart: '', targetMultiplier: '' },
+    B: { matchStart: '', challengeStart: '', targetMultiplier: '' },
+  });
+  const setHandicapField = (team, field, value) =>
+    setHandicap(h => ({ ...h, [team]: { ...h[team], [field]: value } }));
+
   // NEW: freestyle mode
   const [isFreestyle, setIsFreestyle] = useState(false);
   const [fsTarget, setFsTarget] = useState('10');
@@ -31,6 +60,8 @@ export default function TeamPicker({ navigation, route }) {
         if (!selectedSequenceId && seqs.length > 0) {
           setSelectedSequenceId(seqs[0].id); // default first sequence
         }
+
+        setRulesets(await listRulesets());
       } catch (e) {
         Alert.alert('Error', e.message);
       } finally {
@@ -80,10 +111,23 @@ export default function TeamPicker({ navigation, route }) {
         sequenceId,
         sequenceChallengeIds,
         clockSeconds: 90,
-        secondaryKeeper: null,
+        secondaryKeeper,
         eventId,
         mode,
         freestyle,
+        rulesetId: selectedRulesetId,
+        format: {
+          type: formatType,
+          target: formatType === 'sequence' ? null : Number(formatTarget) || 0,
+          bonus: formatBonus,
+          overtime: formatOvertime,
+        },
+        autoAdvance: {
+          enabled: autoAdvanceOn,
+          intermissionSeconds: Number(intermissionSecs) || 0,
+        },
+        verification: { enabled: verifyOn },
+        handicap: handicapOn ? handicap : null,
       });
 
       navigation.replace('StatEntryScreen', { gameId });
@@ -104,6 +148,24 @@ export default function TeamPicker({ navigation, route }) {
         <Switch value={isFreestyle} onValueChange={setIsFreestyle} />
       </View>
 
+      <Text style={styles.h2}>Ruleset</Text>
+      <FlatList
+        data={[{ id: null, name: 'Standard' }, ...rulesets]}
+        keyExtractor={r => r.id || 'standard'}
+        horizontal
+        renderItem={({ item }) => (
+          <TouchableOpacity
+            style={[styles.pill, selectedRulesetId === item.id && styles.pillActive]}
+            onPress={() => setSelectedRulesetId(item.id)}
+          >
+            <Text style={[styles.pillTxt, selectedRulesetId === item.id && { color: 'white' }]}>
+              {item.name || item.id}
+            </Text>
+          </TouchableOpacity>
+        )}
+        style={{ marginBottom: 12 }}
+      />
+
       {!isFreestyle ? (
         <>
           <Text style={styles.h2}>Sequence</Text>
@@ -156,6 +218,117 @@ export default function TeamPicker({ navigation, route }) {
         </View>
       )}
 
+      <Text style={styles.h2}>Match Format</Text>
+      <View style={[styles.row, { gap: 8, marginBottom: 8 }]}>
+        {FORMAT_TYPES.map(t => (
+          <TouchableOpacity
+            key={t}
+            style={[styles.pill, formatType === t && styles.pillActive]}
+            onPress={() => setFormatType(t)}
+          >
+            <Text style={[styles.pillTxt, formatType === t && { color: 'white' }]}>
+              {t === 'sequence' ? 'Full sequence' : t === 'first_to' ? 'First to N' : 'Best of N'}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+      {formatType !== 'sequence' && (
+        <View style={{ marginBottom: 8 }}>
+          <Text style={styles.label}>{formatType === 'first_to' ? 'Match points to win' : 'Number of challenges'}</Text>
+          <TextInput
+            value={formatTarget}
+            onChangeText={setFormatTarget}
+            keyboardType="numeric"
+            style={styles.input}
+            placeholder="e.g. 3"
+          />
+        </View>
+      )}
+      <View style={styles.row}>
+        <Text style={styles.label}>Bonus round on a tie</Text>
+        <Switch value={formatBonus} onValueChange={setFormatBonus} />
+      </View>
+      <View style={[styles.row, { marginBottom: 8 }]}>
+        <Text style={styles.label}>Overtime if still tied</Text>
+        <Switch value={formatOvertime} onValueChange={setFormatOvertime} disabled={!formatBonus} />
+      </View>
+      <Text style={{ color: '#666', marginBottom: 8 }}>
+        {describeFormat({ type: formatType, target: formatTarget })}
+      </Text>
+      <View style={styles.row}>
+        <Text style={styles.label}>Auto-advance after a win</Text>
+        <Switch value={autoAdvanceOn} onValueChange={setAutoAdvanceOn} />
+      </View>
+      {autoAdvanceOn && (
+        <View style={{ marginBottom: 8 }}>
+          <Text style={styles.label}>Intermission (sec)</Text>
+          <TextInput
+            value={intermissionSecs}
+            onChangeText={setIntermissionSecs}
+            keyboardType="numeric"
+            style={styles.input}
+            placeholder="e.g. 15"
+          />
+        </View>
+      )}
+
+      <View style={styles.row}>
+        <Text style={styles.label}>Double-entry verification (2 trackers per team)</Text>
+        <Switch value={verifyOn} onValueChange={setVerifyOn} />
+      </View>
+
+      <View style={styles.row}>
+        <Text style={styles.label}>Handicaps</Text>
+        <Switch value={handicapOn} onValueChange={setHandicapOn} />
+      </View>
+      {handicapOn && ['A', 'B'].map(team => (
+        <View key={team} style={[styles.row, { gap: 6 }]}>
+          <Text style={[styles.label, { width: 52 }]}>Team {team}</Text>
+          <TextInput
+            value={handicap[team].matchStart}
+            onChangeText={v => setHandicapField(team, 'matchStart', v)}
+            keyboardType="numeric"
+            style={[styles.input, { flex: 1 }]}
+            placeholder="Match +"
+          />
+          <TextInput
+            value={handicap[team].challengeStart}
+            onChangeText={v => setHandicapField(team, 'challengeStart', v)}
+            keyboardType="numeric"
+            style={[styles.input, { flex: 1 }]}
+            placeholder="Chal. +"
+          />
+          <TextInput
+            value={handicap[team].targetMultiplier}
+            onChangeText={v => setHandicapField(team, 'targetMultiplier', v)}
+            keyboardType="decimal-pad"
+            style={[styles.input, { flex: 1 }]}
+            placeholder="Target ×1"
+          />
+        </View>
+      ))}
+
+      <Text style={styles.h2}>Secondary Keeper</Text>
+      <FlatList
+        data={[{ id: null }, ...users.filter(u => u.role === 'staff')]}
+        keyExtractor={u => u.id || 'none'}
+        horizontal
+        renderItem={({ item }) => (
+          <TouchableOpacity
+            style={[styles.pill, secondaryKeeper === item.id && styles.pillActive]}
+            onPress={() => setSecondaryKeeper(item.id)}
+          >
+            <Text style={[styles.pillTxt, secondaryKeeper === item.id && { color: 'white' }]}>
+              {item.id ? (item.displayName || item.email || item.id) : 'None'}
+            </Text>
+          </TouchableOpacity>
+        )}
+        style={{ marginBottom: 4 }}
+      />
+      <Text style={{ color: '#666', marginBottom: 8 }}>
+        Can run the clock, start the bonus round and clear the review queue — not end the match.
+      </Text>
+
       <Text style={styles.h2}>Players</Text>
       <FlatList
         data={users}
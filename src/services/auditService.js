@@ -0,0 +1,100 @@
+// src/services/auditService.js
+// Append-only audit trail of game-doc changes: who did what, and the touched
+// fields before/after. gameService (and setAutoMode) write an entry in the same
+// transaction/batch as the change; staff read it in AuditLogScreen.
+
+import {
+  FieldValue, Timestamp, collection, deleteField, doc, limit, onSnapshot, orderBy, query, serverTimestamp,
+} from 'firebase/firestore';
+import { db, auth } from './firebase';
+
+/* ----------------------------------------------------------------------------
+games/{gameId}/audit/{id} = {
+  action: string,                 // 'set_clock_seconds', 'log_shot', 'set_auto_mode', ...
+  by: uid,                        // actor
+  clientTs: number,               // Date.now() on the acting device (display only: device clocks drift)
+  ts: serverTimestamp,            // ordering
+  fields: [fieldPath],            // changed game fields (array-contains queries)
+  changes: [{ field, before, after }],
+  context: object|null,           // ids / params that explain the action (logId, team, ...)
+}
+Tracker heartbeats (trackerLocks.*.updatedAt) are presence pings and are not audited.
+---------------------------------------------------------------------------- */
+
+// Stand-in for serverTimestamp() in `after` (sentinels can't sit inside arrays)
+export const SERVER_TIME = '(server time)';
+
+const isPlainObject = (v) => v && typeof v === 'object' && Object.getPrototypeOf(v) === Object.prototype;
+
+// Firestore-safe copy: undefined → null, FieldValue sentinels → marker / null
+const clean = (v) => {
+  if (v === undefined) return null;
+  if (v instanceof FieldValue) return v.isEqual(deleteField()) ? null : SERVER_TIME;
+  if (v instanceof Timestamp) return v;
+  if (Array.isArray(v)) return v.map(x => (Array.isArray(x) ? JSON.stringify(x) : clean(x)));
+  if (isPlainObject(v)) {
+    const out = {};
+    Object.entries(v).forEach(([k, x]) => { out[k] = clean(x); });
+    return out;
+  }
+  return v;
+};
+
+const valueAt = (obj, path) =>
+  path.split('.').reduce((o, k) => (o == null ? undefined : o[k]), obj);
+
+const same = (a, b) => {
+  if (a instanceof Timestamp && b instanceof Timestamp) return a.isEqual(b);
+  return JSON.stringify(a) === JSON.stringify(b);
+};
+
+/**
+ * Before/after of each field an update touches (dotted paths included).
+ * Unchanged fields are dropped; server timestamps always count as a change.
+ */
+export const auditChanges = (before = {}, updates = {}) =>
+  Object.entries(updates)
+    .map(([field, next]) => ({ field, before: clean(valueAt(before, field)), after: clean(next) }))
+    .filter(c => c.after === SERVER_TIME || !same(c.before, c.after));
+
+/**
+ * Queue an audit entry on a transaction or write batch (anything with .set).
+ * @param {{ before?: object, updates?: object, context?: object|null }} change
+ *        before: the game doc as read; updates: what is written to it
+ */
+export const recordAudit = (writer, gameId, action, { before = {}, updates = {}, context = null } = {}) => {
+  const changes = auditChanges(before, updates);
+  writer.set(doc(collection(db, 'games', gameId, 'audit')), {
+    action,
+    by: auth.currentUser?.uid || 'unknown',
+    clientTs: Date.now(),
+    ts: serverTimestamp(),
+    fields: changes.map(c => c.field),
+    changes,
+    context: context ? clean(context) : null,
+  });
+};
+
+// Newest first, in server order
+export const listenAudit = (gameId, cb, { max = 300 } = {}) =>
+  onSnapshot(
+    query(collection(db, 'games', gameId, 'audit'), orderBy('ts', 'desc'), limit(max)),
+    snap => cb(snap.docs.map(d => ({ id: d.id, ...d.data() }))),
+  );
+
+// "set_clock_seconds" → "Set clock seconds"
+export const auditActionLabel = (action) => {
+  const s = String(action || '').replace(/_/g, ' ');
+  return s.charAt(0).toUpperCase() + s.slice(1);
+};
+
+// Short display of a before/after value
+export const describeAuditValue = (v) => {
+  if (v === null || v === undefined) return '—';
+  if (v instanceof Timestamp) return new Date(v.toMillis()).toLocaleTimeString();
+  if (typeof v === 'object') {
+    const s = JSON.stringify(v);
+    return s.length > 80 ? `${s.slice(0, 77)}…` : s;
+  }
+  return String(v);
+};
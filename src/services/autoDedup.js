@@ -0,0 +1,97 @@
+// src/services/autoDedup.js
+// Cross-camera duplicate suppression for auto shot events (pure, no Firestore).
+// Several cameras (rim_top, both baselines) report the same shot as separate
+// auto_events docs; the coordinator clusters them here and ingests each shot
+// once. Same grouping idea as coordinatorFuser: ball track + time bucket.
+
+import { tsMillis } from './gameReducer';
+
+// One shot's reports from different cameras land within this many ms of each
+// other (capture time ev.t)
+export const TIME_WINDOW_MS = 320;
+
+// Extra slack when only the server write time (ev.ts) is known; also how long
+// an event waits for late reports from other cameras before it is processed
+const WRITE_JITTER_MS = 1200;
+
+const hasCaptureTime = (ev) => typeof ev?.t === 'number' && Number.isFinite(ev.t);
+
+export const eventTime = (ev) => (hasCaptureTime(ev) ? ev.t : tsMillis(ev?.ts));
+
+// The shooter as the camera saw it: roster id, else jersey, else its person track
+export const shooterKey = (ev) => {
+  if (ev?.playerId) return `p:${ev.playerId}`;
+  if (ev?.jerseyNumber !== undefined && ev?.jerseyNumber !== null) return `j:${ev.team || '?'}${ev.jerseyNumber}`;
+  if (ev?.playerTrackId) return `t:${ev.playerTrackId}`;
+  return null;
+};
+
+/**
+ * Two reports of the same shot: close in time, and the same ball track when
+ * both cameras tracked the ball, otherwise the same shooter.
+ */
+export const sameShot = (a, b) => {
+  const ta = eventTime(a);
+  const tb = eventTime(b);
+  if (!Number.isFinite(ta) || !Number.isFinite(tb)) return false;
+  const window = hasCaptureTime(a) && hasCaptureTime(b) ? TIME_WINDOW_MS : TIME_WINDOW_MS + WRITE_JITTER_MS;
+  if (Math.abs(ta - tb) > window) return false;
+  if (a.ballTrackId && b.ballTrackId) return a.ballTrackId === b.ballTrackId;
+  const sa = shooterKey(a);
+  return !!sa && sa === shooterKey(b);
+};
+
+/**
+ * Group pending events into shots. Returns only the clusters that are ready:
+ * every report was written more than the settle time ago, so no other camera
+ * is still about to chime in.
+ * @param {Array} events  pending auto_events ({ id, ...data })
+ * @param {number} now    serverNow()
+ * @returns {Array<Array>}  clusters, oldest shot first
+ */
+export const clusterAutoEvents = (events, now) => {
+  const clusters = [];
+  [...(events || [])]
+    .sort((a, b) => eventTime(a) - eventTime(b))
+    .forEach((ev) => {
+      const hits = clusters.filter(c => c.some(m => sameShot(m, ev)));
+      if (!hits.length) {
+        clusters.push([ev]);
+        return;
+      }
+      const [into, ...rest] = hits;
+      into.push(ev);
+      rest.forEach((c) => {
+        into.push(...c);
+        clusters.splice(clusters.indexOf(c), 1);
+      });
+    });
+  const settleMs = TIME_WINDOW_MS + WRITE_JITTER_MS;
+  return clusters.filter(c => c.every(m => now - tsMillis(m.ts) > settleMs));
+};
+
+const SHOT_FIELDS = ['playerId', 'shotType', 'made'];
+
+/**
+ * One event for a cluster: the most confident report, with gaps filled from the
+ * others and links to every contributing event.
+ * disagreement = two reports name a different shooter, shot type or outcome.
+ * @returns {{ primary, duplicates: Array, merged: object, disagreement: boolean }}
+ */
+export const mergeCluster = (events) => {
+  const conf = (e) => (typeof e.confidence === 'number' ? e.confidence : -1);
+  const [primary, ...duplicates] = [...events].sort((a, b) => conf(b) - conf(a) || eventTime(a) - eventTime(b));
+  const known = (e) => Object.fromEntries(Object.entries(e).filter(([, v]) => v !== null && v !== undefined));
+
+  const disagreement = duplicates.some(e =>
+    SHOT_FIELDS.some(k => e[k] != null && primary[k] != null && e[k] !== primary[k]));
+
+  const merged = {
+    ...Object.assign({}, ...[...duplicates].reverse().map(known)),
+    ...known(primary),
+    id: primary.id,
+    eventIds: events.map(e => e.id),
+    cameras: [...new Set(events.map(e => e.sourceCamera).filter(Boolean))],
+  };
+  return { primary, duplicates, merged, disagreement };
+};
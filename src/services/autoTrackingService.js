@@ -1,8 +1,11 @@
 // src/services/autoTrackingService.js
 // Coordinator for automated stat-tracking.
-// Listens to games/{gameId}/auto_events (status='pending') and, based on thresholds,
-// either ingests directly (logShot with source:'auto') or pushes to a review queue.
-// Also exposes setAutoMode() and a helper listenCameras().
+// The device elected coordinator (coordinatorService.js) listens to
+// games/{gameId}/auto_events (status='pending'), folds reports of the same shot
+// from several cameras into one (autoDedup.js) and, based on thresholds,
+// either ingests directly (logShot with source:'auto') or pushes to the review queue.
+// Also exposes setAutoMode() and a helper listenCameras(), and submitProposal()
+// for the fused camera pipeline (coordinatorFuser.js).
 
 import {
   collection,
@@ -13,16 +16,25 @@ import {
   orderBy,
   limit,
   serverTimestamp,
-  setDoc,
   updateDoc,
   addDoc,
   runTransaction,
   getDoc,
+  getDocs,
+  writeBatch,
 } from 'firebase/firestore';
 import { db, auth } from './firebase';
 import { logShot, listenToGame } from './gameService';
-import { loadCurrentChallenge, shotMatchesRule, normalizeShotKey } from './challengeRules';
+import { enqueueReview } from './reviewQueueService';
+import { LEASE_MS, isCoordinatorLeader, startCoordinatorElection } from './coordinatorService';
+import { serverNow } from './clockService';
+import { tsMillis } from './gameReducer';
+import { clusterAutoEvents, mergeCluster } from './autoDedup';
+import { normalizeShotKey, shotMatchesRule } from './challengeRules';
+import { loadCurrentChallenge } from './challengeService';
+import { isBonusType } from './scoring';
 import { listenRoster } from './playerService';
+import { recordAudit } from './auditService';
 
 /* ----------------------------------------------------------------------------
 Schema (suggested; works with this coordinator)
@@ -42,20 +54,19 @@ games/{gameId}/auto_events/{eventId}:
   startSpotId?: string|null,
   shotSpotId?: string|null,
   sourceCamera?: string,     // deviceId
+  t?: number,                // capture time (ms), sharpens duplicate matching
+  ballTrackId?: string,      // same ball track across cameras = same shot
+  jerseyNumber?: number, playerTrackId?: string,   // shooter when playerId is unknown
   ts: Timestamp,
-  status?: 'pending'|'processing'|'ingested'|'queued'|'ignored'|'blocked'|'disabled',
+  status?: 'pending'|'processing'|'ingested'|'queued'|'ignored'|'blocked'|'disabled'|'duplicate',
+  duplicateOf?: string,      // 'duplicate': the event that stood for the shot
+  duplicateIds?: string[],   // on that event: the reports folded into it
   error?: string
 }
 
-games/{gameId}/review_queue/{reviewId}:
-{
-  eventId,
-  playerId, shotType, made, moneyball,
-  confidence, zone, shotKey, spotNumber, startSpotId, shotSpotId,
-  sourceCamera,
-  reason: 'low_confidence'|'blocked'|'bad_shape'|'rule_violation'|...,
-  createdAt, createdBy
-}
+Events that need a human land in games/{gameId}/review_queue (model in
+review.js) with reason 'low_confidence' | 'rule_violation' | 'bad_shape' |
+'blocked' | 'camera_disagreement'; fused proposals use reason 'auto_proposal' and the shotId as doc id.
 
 games/{gameId}:
 {
@@ -88,25 +99,117 @@ export const setAutoMode = async (
   if (r > i) {
     throw new Error('reviewThreshold must be ≤ ingestThreshold');
   }
-  await updateDoc(doc(db, 'games', gameId), {
-    autoMode: {
-      enabled: !!enabled,
-      ingestThreshold: i,
-      reviewThreshold: r,
-      gateByClock: !!gateByClock,
-      updatedAt: serverTimestamp(),
-      updatedBy: auth.currentUser?.uid || 'unknown',
-    },
+  const gameRef = doc(db, 'games', gameId);
+  await runTransaction(db, async (tx) => {
+    const snap = await tx.get(gameRef);
+    if (!snap.exists()) throw new Error('Game not found');
+    const updates = {
+      autoMode: {
+        enabled: !!enabled,
+        ingestThreshold: i,
+        reviewThreshold: r,
+        gateByClock: !!gateByClock,
+        updatedAt: serverTimestamp(),
+        updatedBy: auth.currentUser?.uid || 'unknown',
+      },
+    };
+    tx.update(gameRef, updates);
+    recordAudit(tx, gameId, 'set_auto_mode', { before: snap.data() || {}, updates });
   });
 };
 
 /**
- * Launch the event consumer. Returns a stop() function.
+ * Join the coordinator election; the event consumer runs only while this
+ * device holds the lease. Returns a stop() function.
  * Safe to call once per StatEntryScreen mount.
  */
 export const startAutoCoordinator = (gameId) => {
   if (!gameId) return () => {};
+  let stopConsumer = null;
+  const stopElection = startCoordinatorElection(gameId, {
+    onLead: () => { stopConsumer = startEventConsumer(gameId); },
+    onStepDown: () => {
+      stopConsumer && stopConsumer();
+      stopConsumer = null;
+    },
+  });
+  return () => stopElection();
+};
 
+/**
+ * Optional: live camera roster for UI status bars.
+ */
+export const listenCameras = (gameId, cb) => {
+  const col = collection(db, 'games', gameId, 'cameras');
+  return onSnapshot(col, (snap) => {
+    cb(snap.docs.map((d) => ({ id: d.id, ...d.data() })));
+  });
+};
+
+/**
+ * Queue a raw auto event (camera / simulator) for the coordinator.
+ * Resolves to the event id.
+ */
+export const pushAutoEvent = async (gameId, ev) => {
+  if (!gameId) throw new Error('Missing gameId');
+  const { sourceCamId, ...rest } = ev || {};
+  const ref = await addDoc(collection(db, 'games', gameId, 'auto_events'), {
+    ...withoutUndefined(rest),
+    sourceCamera: rest.sourceCamera ?? sourceCamId ?? null,
+    status: 'pending',
+    ts: serverTimestamp(),
+    createdBy: auth.currentUser?.uid || 'system',
+  });
+  return ref.id;
+};
+
+/**
+ * Recent auto events (any status), oldest first — the fuser's input buffer.
+ */
+export const listenAutoEvents = (gameId, cb, { max = 200 } = {}) => {
+  const qy = query(collection(db, 'games', gameId, 'auto_events'), orderBy('ts', 'desc'), limit(max));
+  return onSnapshot(qy, (snap) => {
+    cb(snap.docs.map((d) => ({ id: d.id, ...d.data() })).reverse());
+  });
+};
+
+/**
+ * Queue a fused shot for review. Idempotent by shotId (coordinatorFuser's
+ * fusedShotId): the fuser re-submits the same groups on every pass, and only
+ * the first write counts.
+ * Resolves to { id, created }.
+ */
+export const submitProposal = async (gameId, shotId, proposal) => {
+  if (!shotId) throw new Error('Missing shotId');
+  const key = `${gameId}/${shotId}`;
+  if (submittedProposals.has(key)) return { id: shotId, created: false };
+
+  const p = proposal || {};
+  const conf = p.confidence;
+  const res = await enqueueReview(gameId, 'auto_proposal', {
+    shotId,
+    challengeIndex: p.challengeIndex ?? null,
+    t: p.t ?? null,
+    ballTrackId: p.ballTrackId ?? null,
+    playerId: p.playerId ?? null,
+    team: p.team ?? null,
+    shotType: p.shotType ?? null,
+    made: typeof p.made === 'boolean' ? p.made : null,
+    moneyball: !!p.moneyball,
+    zone: p.zone ?? null,
+    shotSpotId: p.spotId ?? null,
+    confidence: clamp01(typeof conf === 'number' ? conf : conf?.overall),
+    confidenceDetail: conf && typeof conf === 'object' ? withoutUndefined(conf) : null,
+    evidence: p.evidence ? withoutUndefined(p.evidence) : null,
+  }, { id: shotId });
+  submittedProposals.add(key);
+  return res;
+};
+
+// ---- Internal helpers -------------------------------------------------------
+
+// The leader's event consumer. Returns a stop() function.
+const startEventConsumer = (gameId) => {
   // ✅ FIX: collect all unsubs here
   const stoppers = [];
 
@@ -151,17 +254,29 @@ export const startAutoCoordinator = (gameId) => {
   const evCol = collection(db, 'games', gameId, 'auto_events');
   const qy = query(evCol, where('status', '==', 'pending'), orderBy('ts', 'asc'), limit(50));
 
+  // Pending events wait until other cameras' reports of the same shot are in,
+  // then each cluster is processed once (autoDedup.js)
+  let pendingEvents = [];
+  const inFlight = new Set();
+  const flush = () => {
+    if (!isCoordinatorLeader(gameId)) return;
+    clusterAutoEvents(pendingEvents.filter((e) => !inFlight.has(e.id)), serverNow()).forEach((cluster) => {
+      cluster.forEach((e) => inFlight.add(e.id));
+      safeProcessCluster(gameId, cluster, latestGame)
+        .finally(() => cluster.forEach((e) => inFlight.delete(e.id)));
+    });
+  };
+
   const stopEvents = onSnapshot(qy, (snap) => {
-    snap
-      .docChanges()
-      .filter((c) => c.type === 'added')
-      .forEach((c) => {
-        const ref = c.doc.ref;
-        // process each event in its own microtask to avoid blocking the snapshot thread
-        setTimeout(() => safeProcessEvent(gameId, ref, latestGame), 0);
-      });
+    pendingEvents = snap.docs.map((d) => ({ id: d.id, ...d.data() }));
+    flush();
   });
   stoppers.push(() => stopEvents && stopEvents());
+  const flushTimer = setInterval(flush, DEDUP_TICK_MS);
+  stoppers.push(() => clearInterval(flushTimer));
+
+  // events a previous coordinator claimed but never finished
+  requeueStuckEvents(gameId).catch((e) => console.warn('Requeue failed:', e?.message || e));
 
   // ✅ Return a single cleanup that calls all unsubs
   return () => {
@@ -171,48 +286,79 @@ export const startAutoCoordinator = (gameId) => {
   };
 };
 
-/**
- * Optional: live camera roster for UI status bars.
- */
-export const listenCameras = (gameId, cb) => {
-  const col = collection(db, 'games', gameId, 'cameras');
-  return onSnapshot(col, (snap) => {
-    cb(snap.docs.map((d) => ({ id: d.id, ...d.data() })));
-  });
-};
 
-// ---- Internal helpers -------------------------------------------------------
+const DEDUP_TICK_MS = 500;
+
+// gameId/shotId already written from this device (skips the fuser's repeat passes)
+const submittedProposals = new Set();
+
+// Firestore rejects undefined fields
+const withoutUndefined = (obj) =>
+  Object.fromEntries(Object.entries(obj).filter(([, v]) => v !== undefined));
 
 const clamp01 = (x) => Math.max(0, Math.min(1, Number(x) || 0));
 
+const eventDoc = (gameId, eventId) => doc(db, 'games', gameId, 'auto_events', eventId);
+
 /**
- * Idempotent, transactionally claim an event for processing.
- * Returns the event snapshot data after claiming (or throws if already taken).
+ * Idempotent, transactionally claim a cluster's events for processing.
+ * Returns the ones this device got (the rest were taken or already handled).
  */
-const claimEvent = async (gameId, eventRef) => {
-  await runTransaction(db, async (tx) => {
-    const snap = await tx.get(eventRef);
-    if (!snap.exists()) throw new Error('Event not found');
-    const ev = snap.data();
-    const st = ev.status || 'pending';
-    if (st !== 'pending') throw new Error('Already handled');
-    tx.update(eventRef, {
-      status: 'processing',
-      processingBy: auth.currentUser?.uid || 'system',
-      processingAt: serverTimestamp(),
+const claimEvents = async (gameId, eventIds) => runTransaction(db, async (tx) => {
+  const refs = eventIds.map((id) => eventDoc(gameId, id));
+  const snaps = [];
+  for (const r of refs) snaps.push(await tx.get(r));
+  const claimed = snaps.filter((snap) => snap.exists() && (snap.data().status || 'pending') === 'pending');
+  claimed.forEach((snap) => tx.update(snap.ref, {
+    status: 'processing',
+    processingBy: auth.currentUser?.uid || 'system',
+    processingAt: serverTimestamp(),
+  }));
+  return claimed.map((snap) => ({ id: snap.id, ...snap.data() }));
+});
+
+// The other reports of a shot point at the one that stands for it
+const markDuplicates = async (gameId, primaryId, duplicates) => {
+  if (!duplicates.length) return;
+  const batch = writeBatch(db);
+  duplicates.forEach((e) => batch.update(eventDoc(gameId, e.id), {
+    status: 'duplicate',
+    duplicateOf: primaryId,
+    dedupedAt: serverTimestamp(),
+  }));
+  batch.update(eventDoc(gameId, primaryId), { duplicateIds: duplicates.map((e) => e.id) });
+  await batch.commit();
+};
+
+// Back to 'pending' (the consumer picks them up again) once a claim is older than a lease
+const requeueStuckEvents = async (gameId) => {
+  const evCol = collection(db, 'games', gameId, 'auto_events');
+  const snap = await getDocs(query(evCol, where('status', '==', 'processing')));
+  const stuck = snap.docs.filter((d) => serverNow() - tsMillis(d.data().processingAt) > LEASE_MS);
+  for (const d of stuck) {
+    await runTransaction(db, async (tx) => {
+      const cur = await tx.get(d.ref);
+      if (cur.data()?.status !== 'processing') return;
+      tx.update(d.ref, { status: 'pending', requeuedAt: serverTimestamp() });
     });
-  });
-  const after = await getDoc(eventRef);
-  return { id: after.id, ...after.data() };
+  }
 };
 
-const safeProcessEvent = async (gameId, eventRef, latestGame) => {
-  let ev;
+const safeProcessCluster = async (gameId, cluster, latestGame) => {
+  let claimed;
   try {
-    ev = await claimEvent(gameId, eventRef);
+    claimed = await claimEvents(gameId, cluster.map((e) => e.id));
   } catch {
-    // Someone else took it — fine.
-    return;
+    return; // retried on the next pass while still pending
+  }
+  if (!claimed.length) return; // someone else took it — fine
+
+  const { primary, duplicates, merged: ev, disagreement } = mergeCluster(claimed);
+  const eventRef = eventDoc(gameId, primary.id);
+  try {
+    await markDuplicates(gameId, primary.id, duplicates);
+  } catch (e) {
+    console.warn('Marking duplicates failed:', e?.message || e);
   }
 
   try {
@@ -256,7 +402,18 @@ const safeProcessEvent = async (gameId, eventRef, latestGame) => {
       typeof ev?.confidence === 'number';
 
     if (!basicOk) {
-      const reviewId = await pushToReviewQueue(gameId, ev, eventRef.id, 'bad_shape');
+      const reviewId = await pushToReviewQueue(gameId, game, ev, eventRef.id, 'bad_shape');
+      await updateDoc(eventRef, {
+        status: 'queued',
+        reviewId,
+        queuedAt: serverTimestamp(),
+      });
+      return;
+    }
+
+    // cameras saw different things → a human decides
+    if (disagreement) {
+      const reviewId = await pushToReviewQueue(gameId, game, ev, eventRef.id, 'camera_disagreement');
       await updateDoc(eventRef, {
         status: 'queued',
         reviewId,
@@ -271,11 +428,11 @@ const safeProcessEvent = async (gameId, eventRef, latestGame) => {
 
     // Decide path
     if (conf >= ingestTh) {
-      await ingestShot(gameId, ev, eventRef);
+      await ingestShot(gameId, game, ev, eventRef);
       return;
     }
     if (conf >= reviewTh) {
-      const reviewId = await pushToReviewQueue(gameId, ev, eventRef.id, 'low_confidence');
+      const reviewId = await pushToReviewQueue(gameId, game, ev, eventRef.id, 'low_confidence');
       await updateDoc(eventRef, {
         status: 'queued',
         reviewId,
@@ -298,10 +455,11 @@ const safeProcessEvent = async (gameId, eventRef, latestGame) => {
   }
 };
 
-const pushToReviewQueue = async (gameId, ev, eventId, reason) => {
-  const ref = await addDoc(collection(db, 'games', gameId, 'review_queue'), {
+// The item counts toward the challenge the shot was seen in (approveReviewItem)
+const pushToReviewQueue = async (gameId, game, ev, eventId, reason) => {
+  const { id } = await enqueueReview(gameId, reason, {
     eventId,
-    reason,
+    challengeIndex: Number(game?.currentChallengeIndex ?? 0),
     playerId: ev.playerId ?? null,
     team: ev.team ?? null,
     shotType: ev.shotType ?? null,
@@ -309,40 +467,41 @@ const pushToReviewQueue = async (gameId, ev, eventId, reason) => {
     moneyball: !!ev.moneyball,
     confidence: clamp01(ev.confidence ?? 0),
     zone: ev.zone ?? null,
-    shotKey: deriveShotKey(ev.shotType, ev.zone, ev.shotKey),
+    shotKey: normalizeShotKey(ev.shotType, ev.zone, ev.shotKey),
     spotNumber: ev.spotNumber ?? null,
     startSpotId: ev.startSpotId ?? null,
     shotSpotId: ev.shotSpotId ?? null,
     sourceCamera: ev.sourceCamera ?? null,
-    createdAt: serverTimestamp(),
-    createdBy: auth.currentUser?.uid || 'system',
+    evidence: eventEvidence(ev, eventId),
   });
-  return ref.id;
+  return id;
 };
 
-const ingestShot = async (gameId, ev, eventRef) => {
-  // Load game + current challenge for rule check
-  const gameSnap = await getDoc(doc(db, 'games', gameId));
-  const challenge = await loadCurrentChallenge(gameSnap);
+// Links to every camera report behind a (deduplicated) event
+const eventEvidence = (ev, eventId) => ({
+  eventId,
+  eventIds: ev.eventIds || [eventId],
+  cameras: ev.cameras || (ev.sourceCamera ? [ev.sourceCamera] : []),
+});
 
-  // Build a canonical key for the rule system
+const ingestShot = async (gameId, game, ev, eventRef) => {
   const key = normalizeShotKey(ev.shotType, ev.zone, ev.shotKey);
 
-  // If there is a rule and it doesn't match, send to review
-  const ruleRes = shotMatchesRule(challenge, {
-    shotType: ev.shotType,
-    zone: ev.zone,
-    shotKey: key,
-  });
-  if (!ruleRes.ok) {
-    const reviewId = await pushToReviewQueue(gameId, { ...ev, shotKey: key }, eventRef.id, 'rule_violation');
-    await updateDoc(eventRef, {
-      status: 'queued',
-      reviewId,
-      error: ruleRes.reason || 'rule_violation',
-      queuedAt: serverTimestamp(),
-    });
-    return;
+  // The rule check logShot makes: a shot the challenge forbids is queued as a
+  // rule violation rather than failing in logShot. Bonus shots have no rule.
+  if (!isBonusType(ev.shotType)) {
+    const challenge = await loadCurrentChallenge(game);
+    const ruleRes = shotMatchesRule({ shotType: ev.shotType, zone: ev.zone ?? null, shotKey: key }, challenge?.shotRule);
+    if (!ruleRes.ok) {
+      const reviewId = await pushToReviewQueue(gameId, game, { ...ev, shotKey: key }, eventRef.id, 'rule_violation');
+      await updateDoc(eventRef, {
+        status: 'queued',
+        reviewId,
+        error: ruleRes.reason || 'rule_violation',
+        queuedAt: serverTimestamp(),
+      });
+      return;
+    }
   }
 
   try {
@@ -354,13 +513,14 @@ const ingestShot = async (gameId, ev, eventRef) => {
 
       source: 'auto',
       confidence: clamp01(ev.confidence ?? 0),
-      evidence: ev.sourceCamera ? { camera: ev.sourceCamera, eventId: eventRef.id } : { eventId: eventRef.id },
+      evidence: { ...eventEvidence(ev, eventRef.id), ...(ev.sourceCamera ? { camera: ev.sourceCamera } : {}) },
 
       zone: ev.zone ?? null,
       shotKey: key,
       spotNumber: ev.spotNumber ?? null,
       startSpotId: ev.startSpotId ?? null,
       shotSpotId: ev.shotSpotId ?? null,
+      expectChallengeIndex: Number(game.currentChallengeIndex ?? 0), // the challenge the rule was checked against
     });
 
     await updateDoc(eventRef, {
@@ -369,7 +529,7 @@ const ingestShot = async (gameId, ev, eventRef) => {
       ingestedBy: auth.currentUser?.uid || 'system',
     });
   } catch (e) {
-    const reviewId = await pushToReviewQueue(gameId, { ...ev, shotKey: key }, eventRef.id, 'blocked');
+    const reviewId = await pushToReviewQueue(gameId, game, { ...ev, shotKey: key }, eventRef.id, 'blocked');
     await updateDoc(eventRef, {
       status: 'queued',
       reviewId,
@@ -379,18 +539,3 @@ const ingestShot = async (gameId, ev, eventRef) => {
   }
 };
 
-// Derive a descriptive key when the detector didn’t provide one.
-const deriveShotKey = (shotType, zone, provided) => {
-  if (provided) return provided;
-  if (!shotType) return null;
-  if (shotType === 'gamechanger' || shotType === 'bonus_gc') return 'gc';
-  const range =
-    shotType === 'mid' || shotType === 'bonus_mid'
-      ? 'mid'
-      : shotType === 'long' || shotType === 'bonus_long'
-      ? 'long'
-      : null;
-  if (!range) return null;
-  const z = zone || 'unknown';
-  return `${range}_${z}`; // e.g. "mid_corner", "long_top"
-};
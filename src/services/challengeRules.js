@@ -46,6 +46,19 @@ const matchOne = (pattern, shot) => {
   return `${shot.shotType}_${shot.zone}` === pattern;
 };
 
+/**
+ * Canonical shotKey for a shot ('mid_corner', 'long_*', 'gamechanger'): the
+ * detector's own key if it sent one, else built from range + zone. Bonus shots
+ * key by their range.
+ */
+export const normalizeShotKey = (shotType, zone, provided) => {
+  if (provided) return provided;
+  const range = String(shotType || '').replace(/^bonus_/, '');
+  if (range === 'gamechanger' || range === 'gc' || zone === 'gc') return 'gamechanger';
+  if (range !== 'mid' && range !== 'long') return null;
+  return shotToKey({ shotType: range, zone });
+};
+
 export const shotMatchesRule = (shot, rawRule, { degradeWhenZoneUnknown = true } = {}) => {
   const rule = normRule(rawRule);
   // If validation disabled or no items → allow.
@@ -16,6 +16,7 @@ challenges/{id} = {
   difficulty: 'easy'|'normal'|'hard',
   targetScore: number,              // challenge target
   pointsForWin: number,             // match points awarded on win
+  durationSeconds?: number|null,    // clock for this challenge (auto-advance resets to it)
   shotRule: {                       // pattern-based rule (matches challengeRules.js)
     mode: 'allow'|'deny',
     items: string[],                // e.g. ['mid_*','long_corner','gamechanger']
@@ -180,6 +181,7 @@ export const createChallenge = async (data) => {
     difficulty = 'normal',
     targetScore = 0,
     pointsForWin = 1,
+    durationSeconds = null,
     shotRule = DEFAULT_SHOT_RULE,
     active = true,
   } = data || {};
@@ -196,6 +198,7 @@ export const createChallenge = async (data) => {
     difficulty: ['easy','normal','hard'].includes(difficulty) ? difficulty : 'normal',
     targetScore: Math.max(0, Number(targetScore) || 0),
     pointsForWin: Math.max(0, Number(pointsForWin) || 0),
+    durationSeconds: Number(durationSeconds) > 0 ? Number(durationSeconds) : null,
     shotRule: cleanRule,
     tags,
     active: !!active,
@@ -229,6 +232,19 @@ export const getChallenge = async (id) => {
   return s.exists() ? { id: s.id, ...s.data() } : null;
 };
 
+/**
+ * The challenge a game is on (game doc or its snapshot): the challenge doc, or
+ * for freestyle its settings ({ name, shotRule }). Resolves to null when there
+ * is none.
+ */
+export const loadCurrentChallenge = async (gameOrSnap) => {
+  const game = typeof gameOrSnap?.data === 'function' ? gameOrSnap.data() : gameOrSnap;
+  if (!game) return null;
+  if (game.mode === 'freestyle') return { name: 'Freestyle', shotRule: game.freestyle?.shotRule || null };
+  const id = game.sequenceChallengeIds?.[Number(game.currentChallengeIndex ?? 0)];
+  return id ? getChallenge(id) : null;
+};
+
 // filters: { difficulty?: 'easy'|'normal'|'hard', range?: 'mid'|'long'|'gc', activeOnly?: boolean }
 export const listChallenges = async (filters = {}) => {
   let q = challengesCol;
@@ -0,0 +1,71 @@
+// src/services/clockService.js
+// Server-time helpers for the game clock.
+// The clock lives on the game doc as clockSeconds + lastStartAt (a server timestamp),
+// so every device has to measure elapsed time against *server* time, not its own
+// Date.now(), or two tablets with skewed clocks show different values.
+// Expiry at 0:00 is done server-side (functions/index.js → expireGameClock).
+
+import { doc, getDocFromServer, serverTimestamp, setDoc } from 'firebase/firestore';
+import { auth, db } from './firebase';
+
+/* ------------------------------------------------------------------
+clockSync/{uid} = { at: serverTimestamp }   // scratch doc used to measure the offset
+--------------------------------------------------------------------- */
+
+let serverOffsetMs = 0;   // serverTime - localTime
+let lastSyncAt = 0;
+let inflight = null;
+
+const RESYNC_MS = 5 * 60 * 1000;
+
+export const getServerOffset = () => serverOffsetMs;
+
+export const serverNow = () => Date.now() + serverOffsetMs;
+
+/**
+ * Measure the server offset by writing a server timestamp and reading it back.
+ * The round trip midpoint is taken as the local time the server stamped it.
+ * Cached for a few minutes; pass { force: true } to re-measure.
+ * @returns {Promise<number>} offset in ms (0 if it could not be measured)
+ */
+export const syncServerOffset = async ({ force = false } = {}) => {
+  if (!force && lastSyncAt && Date.now() - lastSyncAt < RESYNC_MS) return serverOffsetMs;
+  if (inflight) return inflight;
+
+  const uid = auth.currentUser?.uid;
+  if (!uid) return serverOffsetMs;
+
+  inflight = (async () => {
+    try {
+      const ref = doc(db, 'clockSync', uid);
+      const t0 = Date.now();
+      await setDoc(ref, { at: serverTimestamp() });
+      const snap = await getDocFromServer(ref);
+      const t1 = Date.now();
+      const at = snap.data()?.at;
+      if (at?.toMillis) {
+        serverOffsetMs = at.toMillis() - Math.round((t0 + t1) / 2);
+        lastSyncAt = t1;
+      }
+    } catch (e) {
+      // offline etc. — keep the previous offset
+      console.warn('clock sync failed:', e?.message || e);
+    } finally {
+      inflight = null;
+    }
+    return serverOffsetMs;
+  })();
+  return inflight;
+};
+
+const toMillis = (ts) => (ts?.toMillis ? ts.toMillis() : Date.parse(ts));
+
+// Seconds left on a clock doc, measured against server time.
+export const computeDisplayedSeconds = (clockSeconds, running, lastStartAt, nowMs = serverNow()) => {
+  const base = Number(clockSeconds || 0);
+  if (!running || !lastStartAt) return base;
+  const lastMs = toMillis(lastStartAt);
+  if (!Number.isFinite(lastMs)) return base;
+  const elapsed = Math.max(0, Math.floor((nowMs - lastMs) / 1000));
+  return Math.max(0, base - elapsed);
+};
@@ -1,21 +1,36 @@
 // src/services/coordinatorFuser.js
 import { submitProposal } from './autoTrackingService';
-import { md5 } from './hashTiny';
+import { sha256Hex } from './sha256';
+import { TIME_WINDOW_MS } from './autoDedup';
+
+// Shot ids before fusedShotId: 8 hex chars of a 32-bit hash (functions' migrateReviewQueue re-keys them)
+export const LEGACY_SHOT_ID = /^[0-9a-f]{8}$/;
+
+/**
+ * Id of a fused shot, also its review_queue doc id and (once accepted) log id.
+ * Derived from what groups the shot — ball track + time bucket — so every fuser
+ * pass yields the same id however many camera events have arrived; the time
+ * prefix keeps ids in shot order. 96 bits of SHA-256 make collisions a non-issue.
+ */
+export const fusedShotId = (ballTrackId, bucket) => {
+  const ms = Math.max(0, Math.floor(Number(bucket) * TIME_WINDOW_MS)) || 0;
+  return `${ms.toString(36).padStart(9, '0')}-${sha256Hex(`fused|${ballTrackId}|${bucket}`).slice(0, 24)}`;
+};
 
-const TIME_WINDOW_MS = 320;
 const toBonusType = (zone) => zone === 'mid' ? 'bonus_mid' : zone === 'long' ? 'bonus_long' : 'bonus_gc';
 
 export function fuseEventsToProposals({ game, events, rosterMap={}, thresholds={} }) {
   const buckets = new Map();
   for (const ev of events) {
     if (!ev.ballTrackId || !ev.t) continue;
-    const key = `${ev.ballTrackId}|${Math.round(ev.t / TIME_WINDOW_MS)}`;
-    if (!buckets.has(key)) buckets.set(key, []);
-    buckets.get(key).push(ev);
+    const bucket = Math.round(ev.t / TIME_WINDOW_MS);
+    const key = `${ev.ballTrackId}|${bucket}`;
+    if (!buckets.has(key)) buckets.set(key, { ballTrackId: ev.ballTrackId, bucket, events: [] });
+    buckets.get(key).events.push(ev);
   }
 
   const proposals = [];
-  for (const group of buckets.values()) {
+  for (const { ballTrackId, bucket, events: group } of buckets.values()) {
     const rim = group.find(g => g.kind === 'net' || g.kind === 'rim');
     const shooters = group.filter(g => g.kind === 'release');
     if (!shooters.length) continue;
@@ -50,10 +65,10 @@ export function fuseEventsToProposals({ game, events, rosterMap={}, thresholds={
     const overall = 0.4*conf.shooter + 0.4*conf.outcome + 0.2*conf.zone;
 
     const t = Math.min(...group.map(g => g.t));
-    const shotId = md5(`${t}|${shooterEv?.playerTrackId||'p?'}|${group[0].ballTrackId}|${zone}|${made?'1':'0'}`);
+    const shotId = fusedShotId(ballTrackId, bucket);
 
     proposals.push({
-      shotId, t, playerId, team, shotType, made, moneyball, zone, spotId,
+      shotId, t, ballTrackId, challengeIndex: Number(game?.currentChallengeIndex ?? 0), playerId, team, shotType, made, moneyball, zone, spotId,
       confidence: { overall, ...conf },
       evidence: { cams: [...new Set(group.map(g=>g.sourceCam))], clipPaths: group.map(g=>g.clipPath).filter(Boolean) }
     });
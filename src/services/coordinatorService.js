@@ -0,0 +1,147 @@
+// src/services/coordinatorService.js
+// Leader election for auto tracking. Every keeper's StatEntryScreen competes for
+// one lease doc; only the holder consumes auto_events and runs the fuser
+// (autoTrackingService.js, useAutoCoordinator). The holder renews the lease every
+// few seconds; once it stops (app closed, offline), the lease lapses and another
+// keeper's device takes over.
+
+import { collection, doc, onSnapshot, runTransaction, serverTimestamp } from 'firebase/firestore';
+import { db, auth } from './firebase';
+import { serverNow } from './clockService';
+import { canKeeper } from './keeperRoles';
+
+/* ------------------------------------------------------------------
+games/{id}/config/coordinator = {
+  holder: uid|null,
+  sessionId: string|null,   // one per app run: the same keeper on two devices is two candidates
+  expiresAt: number,        // serverNow() ms; once past, any keeper may take over
+  term: number,             // +1 whenever the holder changes
+  acquiredAt, renewedAt, releasedAt?
+}
+Only keepers (main or secondary) are candidates: auto ingest logs shots for
+both teams, which a team tracker may not.
+--------------------------------------------------------------------- */
+
+export const LEASE_MS = 15000;
+const RENEW_MS = 5000;
+
+const SESSION_ID = doc(collection(db, 'games')).id;
+
+const leaseRef = (gameId) => doc(db, 'games', gameId, 'config', 'coordinator');
+
+// gameIds this device coordinates right now
+const leading = new Set();
+
+export const isCoordinatorLeader = (gameId) => leading.has(gameId);
+
+export const isMyLease = (lease) => !!lease?.sessionId && lease.sessionId === SESSION_ID;
+
+export const isLeaseLive = (lease) => !!lease?.holder && Number(lease.expiresAt) > serverNow();
+
+/**
+ * Take the lease if it is free or lapsed, or renew it if it is ours.
+ * Resolves to the expiry written (serverNow() ms), or 0 when someone else holds it.
+ */
+export const claimCoordinator = async (gameId) => {
+  const uid = auth.currentUser?.uid;
+  if (!uid) return 0;
+  const gameRef = doc(db, 'games', gameId);
+  const ref = leaseRef(gameId);
+  return runTransaction(db, async (tx) => {
+    const gameSnap = await tx.get(gameRef);
+    const snap = await tx.get(ref);
+    const lease = snap.exists() ? snap.data() : null;
+    const mine = isMyLease(lease);
+    const term = Number(lease?.term) || 0;
+
+    if (!gameSnap.exists() || !canKeeper(gameSnap.data(), uid, 'review')) {
+      // lost the keeper role while holding the lease → hand it on
+      if (mine) tx.set(ref, { holder: null, sessionId: null, expiresAt: 0, term, releasedAt: serverTimestamp() });
+      return 0;
+    }
+    if (!mine && isLeaseLive(lease)) return 0;
+
+    const expiresAt = serverNow() + LEASE_MS;
+    tx.set(ref, {
+      holder: uid,
+      sessionId: SESSION_ID,
+      expiresAt,
+      term: mine ? term : term + 1,
+      acquiredAt: mine ? (lease.acquiredAt ?? serverTimestamp()) : serverTimestamp(),
+      renewedAt: serverTimestamp(),
+    });
+    return expiresAt;
+  });
+};
+
+// Give the lease up right away (screen closing) so failover doesn't wait for expiry
+export const releaseCoordinator = async (gameId) => {
+  const ref = leaseRef(gameId);
+  await runTransaction(db, async (tx) => {
+    const snap = await tx.get(ref);
+    const lease = snap.exists() ? snap.data() : null;
+    if (!isMyLease(lease)) return;
+    tx.set(ref, {
+      holder: null,
+      sessionId: null,
+      expiresAt: 0,
+      term: Number(lease.term) || 0,
+      releasedAt: serverTimestamp(),
+    });
+  });
+};
+
+// Lease doc (or null), plus whether this device holds it
+export const listenCoordinator = (gameId, cb) =>
+  onSnapshot(leaseRef(gameId), (snap) => {
+    const lease = snap.exists() ? snap.data() : null;
+    cb(lease, isMyLease(lease));
+  });
+
+/**
+ * Compete for the lease until stopped. onLead / onStepDown fire when this
+ * device starts or stops coordinating. Returns a stop() function (which also
+ * releases the lease).
+ */
+export const startCoordinatorElection = (gameId, { onLead, onStepDown } = {}) => {
+  if (!gameId) return () => {};
+  let stopped = false;
+  let until = 0;
+
+  const setLeading = (on) => {
+    if (on === leading.has(gameId)) return;
+    if (on) {
+      leading.add(gameId);
+      onLead && onLead();
+    } else {
+      leading.delete(gameId);
+      onStepDown && onStepDown();
+    }
+  };
+
+  const tick = async () => {
+    try {
+      const expiresAt = await claimCoordinator(gameId);
+      if (stopped) {
+        if (expiresAt) releaseCoordinator(gameId).catch(() => {});
+        return;
+      }
+      until = expiresAt;
+      setLeading(!!expiresAt);
+    } catch (e) {
+      // offline: keep going only while the lease we last wrote still holds
+      if (!stopped && serverNow() >= until) setLeading(false);
+    }
+  };
+
+  tick();
+  const timer = setInterval(tick, RENEW_MS);
+
+  return () => {
+    stopped = true;
+    clearInterval(timer);
+    const was = leading.has(gameId);
+    setLeading(false);
+    if (was) releaseCoordinator(gameId).catch(() => {});
+  };
+};
@@ -149,6 +149,14 @@ export const saveCourtConfig = async (gameId, config) => {
   return clean;
 };
 
+// Rematch: copy a game's court config (no-op when it never saved one)
+export const copyCourtConfig = async (fromGameId, toGameId) => {
+  const snap = await getDoc(courtDocRef(fromGameId));
+  if (!snap.exists()) return false;
+  await saveCourtConfig(toGameId, snap.data());
+  return true;
+};
+
 // Backward-compat: returns only the base shotType (mid/long/gamechanger)
 export const spotToShotType = (spotNumber, courtCfg) => {
   const s = Number(spotNumber);
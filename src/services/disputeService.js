@@ -0,0 +1,229 @@
+// src/services/disputeService.js
+// Structured disputes: what was contested, by whom, the evidence and the ruling.
+// Opening a dispute pauses the game (same as Pause / Dispute) and holds the
+// disputeLock; resolving it applies any score correction and resumes.
+
+import {
+  collection, doc, getDoc, onSnapshot, orderBy, query, runTransaction, serverTimestamp, updateDoc,
+} from 'firebase/firestore';
+import { db, auth } from './firebase';
+import { amendLog, revokeViolation } from './gameService';
+import { isShotLog } from './gameReducer';
+import { isViolationLog } from './violations';
+import { keeperRoleOf } from './keeperRoles';
+import { holdsTeamLock } from './verification';
+import { computeDisplayedSeconds } from './clockService';
+import { recordAudit } from './auditService';
+
+/* ----------------------------------------------------------------------------
+games/{gameId}/disputes/{disputeId} = {
+  status: 'open' | 'resolved',
+  team: 'A'|'B',                 // raising team
+  logIds: [logId],               // contested log entries (shots, violations)
+  snapshot: { [logId]: { shot, violation, made, voidedBy } },  // the entries as contested
+  reason: string,
+  evidence: [{ eventId, camera|null }],   // auto_events clips (collected from the logs + passed in)
+  challengeIndex,
+  raisedBy, createdAt,
+  applying?: outcome, applied?: { [logId]: correction },   // corrections done so far (retry skips them)
+  ruling: null | {
+    outcome: 'upheld' | 'overturned' | 'amended',
+    note, by, at,
+    corrections: [{ logId, action: 'made_flipped'|'violation_revoked'|'amended'|'none', patch? }]
+  }
+}
+games/{gameId}.pauseMeta.disputeId points at the open dispute while the game is paused.
+---------------------------------------------------------------------------- */
+
+export const DISPUTE_OUTCOMES = ['upheld', 'overturned', 'amended'];
+
+const LOCK_MS = 60000; // same window as claimDispute
+
+const disputesCol = (gameId) => collection(db, 'games', gameId, 'disputes');
+
+const evidenceOf = (log) => {
+  const ev = log?.evidence;
+  if (!ev?.eventId) return null;
+  return { eventId: ev.eventId, camera: ev.camera || null };
+};
+
+/**
+ * Raise a dispute over one or more log entries. Pauses the game and takes the
+ * dispute lock. Keepers may raise one for either team, a tracker only for
+ * their own. Resolves to the dispute id.
+ */
+export const openDispute = async (gameId, { team, logIds = [], reason = '', evidence = [] } = {}) => {
+  const uid = auth.currentUser?.uid || 'unknown';
+  if (team !== 'A' && team !== 'B') throw new Error('Team must be A or B.');
+  const ids = [...new Set((Array.isArray(logIds) ? logIds : []).filter(Boolean))];
+  if (ids.length === 0) throw new Error('Pick at least one log entry to dispute.');
+
+  const gameRef = doc(db, 'games', gameId);
+  const ref = doc(disputesCol(gameId));
+
+  await runTransaction(db, async (tx) => {
+    const snap = await tx.get(gameRef);
+    if (!snap.exists()) throw new Error('Game not found');
+    const g = snap.data() || {};
+    if (!keeperRoleOf(g, uid) && !holdsTeamLock(g, team, uid)) {
+      throw new Error(`Only a keeper or Team ${team}’s tracker can raise a dispute for Team ${team}.`);
+    }
+
+    const logs = [];
+    for (const id of ids) {
+      const l = await tx.get(doc(db, 'games', gameId, 'logs', id));
+      if (!l.exists()) throw new Error('A disputed log entry no longer exists.');
+      logs.push(l.data());
+    }
+
+    const lock = g.disputeLock;
+    const lockMs = lock?.at?.toMillis?.() || 0;
+    if (lock && lock.by !== uid && Date.now() - lockMs <= LOCK_MS) {
+      throw new Error('Another operator is editing a dispute.');
+    }
+    if (g.pauseMeta?.disputeId) throw new Error('Resolve the open dispute first.');
+
+    const clips = [
+      ...logs.map(evidenceOf).filter(Boolean),
+      ...(Array.isArray(evidence) ? evidence : [])
+        .map(e => (typeof e === 'string' ? { eventId: e, camera: null } : { eventId: e?.eventId, camera: e?.camera || null }))
+        .filter(e => e.eventId),
+    ];
+    const seen = new Set();
+    const uniqueClips = clips.filter(c => (seen.has(c.eventId) ? false : seen.add(c.eventId)));
+
+    tx.set(ref, {
+      status: 'open',
+      team,
+      logIds: ids,
+      snapshot: Object.fromEntries(logs.map((l, i) => [ids[i], {
+        shot: isShotLog(l),
+        violation: isViolationLog(l),
+        made: typeof l.made === 'boolean' ? l.made : null,
+        voidedBy: l.voided ? l.voidedBy || null : null,
+      }])),
+      reason: String(reason || ''),
+      evidence: uniqueClips,
+      challengeIndex: Number(g.currentChallengeIndex ?? 0),
+      raisedBy: uid,
+      createdAt: serverTimestamp(),
+      ruling: null,
+    });
+    const updates = {
+      paused: true,
+      pauseMeta: { by: uid, reason: String(reason || ''), at: serverTimestamp(), disputeId: ref.id },
+      disputeLock: { by: uid, at: serverTimestamp() },
+      clockSeconds: computeDisplayedSeconds(g.clockSeconds, g.clockRunning, g.lastStartAt),
+      clockRunning: false,
+      lastStartAt: null,
+    };
+    tx.update(gameRef, updates);
+    recordAudit(tx, gameId, 'open_dispute', { before: g, updates, context: { disputeId: ref.id, team, logIds: ids } });
+  });
+  return ref.id;
+};
+
+// Overturning reverses the call on each contested entry, as it stood when the
+// dispute was opened, so running it twice lands in the same place. `revoked`
+// keeps a violation from being taken back twice (it and its voided shot both
+// contested).
+const overturnLog = async (gameId, logId, original, revoked) => {
+  const snap = await getDoc(doc(db, 'games', gameId, 'logs', logId));
+  const l = snap.exists() ? snap.data() : null;
+  // disputes opened before snapshots were kept: go by the entry as it is now
+  const o = original || (l && {
+    shot: isShotLog(l), violation: isViolationLog(l), made: l.made, voidedBy: l.voided ? l.voidedBy || null : null,
+  });
+  if (!o) return { logId, action: 'none' };
+
+  const revoke = async (violationId) => {
+    if (!revoked.has(violationId) && (await getDoc(doc(db, 'games', gameId, 'logs', violationId))).exists()) {
+      await revokeViolation(gameId, violationId);
+    }
+    revoked.add(violationId);
+    return { logId, action: 'violation_revoked' };
+  };
+  if (o.violation) return revoke(logId);
+  // the shot was voided by a call → overturning the call restores the shot
+  if (o.voidedBy) return revoke(o.voidedBy);
+  if (o.shot && l && typeof o.made === 'boolean') {
+    await amendLog(gameId, logId, { made: !o.made });
+    return { logId, action: 'made_flipped', patch: { made: !o.made } };
+  }
+  return { logId, action: 'none' };
+};
+
+/**
+ * Main keeper rules on an open dispute.
+ * @param {{ outcome: 'upheld'|'overturned'|'amended', note?: string,
+ *           amendments?: { [logId]: object } }} ruling  amendments: amendLog patches (outcome 'amended')
+ */
+export const resolveDispute = async (gameId, disputeId, { outcome, note = '', amendments = {} } = {}) => {
+  const uid = auth.currentUser?.uid || 'unknown';
+  if (!DISPUTE_OUTCOMES.includes(outcome)) throw new Error(`Unknown ruling “${outcome}”.`);
+
+  const gameRef = doc(db, 'games', gameId);
+  const ref = doc(db, 'games', gameId, 'disputes', disputeId);
+  const [gSnap, dSnap] = await Promise.all([getDoc(gameRef), getDoc(ref)]);
+  if (!gSnap.exists()) throw new Error('Game not found');
+  if (!dSnap.exists()) throw new Error('Dispute not found');
+  if (uid !== gSnap.data()?.roles?.main) throw new Error('Only the main keeper can rule on a dispute.');
+  const d = dSnap.data();
+  if (d.status !== 'open') throw new Error('Dispute already resolved.');
+  if (d.applying && d.applying !== outcome) {
+    throw new Error(`A “${d.applying}” ruling was partly applied — finish that ruling first.`);
+  }
+
+  // score corrections go through the engine (each in its own transaction); each
+  // one is recorded on the dispute as it lands, so a retry after a failure
+  // skips what was already applied
+  const applied = { ...(d.applied || {}) };
+  const corrections = [];
+  const apply = async (logId, run) => {
+    if (!applied[logId]) {
+      applied[logId] = await run();
+      await updateDoc(ref, { applying: outcome, [`applied.${logId}`]: applied[logId] });
+    }
+    corrections.push(applied[logId]);
+  };
+  if (outcome === 'overturned') {
+    const revoked = new Set();
+    for (const logId of d.logIds || []) {
+      await apply(logId, () => overturnLog(gameId, logId, d.snapshot?.[logId], revoked));
+    }
+  }
+  if (outcome === 'amended') {
+    const entries = Object.entries(amendments || {}).filter(([logId]) => (d.logIds || []).includes(logId));
+    if (entries.length === 0) throw new Error('An amended ruling needs at least one correction.');
+    for (const [logId, patch] of entries) {
+      await apply(logId, async () => {
+        await amendLog(gameId, logId, patch);
+        return { logId, action: 'amended', patch };
+      });
+    }
+  }
+
+  await runTransaction(db, async (tx) => {
+    const g = (await tx.get(gameRef)).data() || {};
+    if ((await tx.get(ref)).data()?.status !== 'open') throw new Error('Dispute already resolved.');
+    tx.update(ref, {
+      status: 'resolved',
+      ruling: { outcome, note: String(note || ''), by: uid, at: serverTimestamp(), corrections },
+    });
+    const updates = g.pauseMeta?.disputeId === disputeId ? { paused: false, pauseMeta: null, disputeLock: null } : {};
+    if (Object.keys(updates).length > 0) tx.update(gameRef, updates);
+    recordAudit(tx, gameId, 'resolve_dispute', { before: g, updates, context: { disputeId, outcome } });
+  });
+};
+
+export const listenDisputes = (gameId, cb) =>
+  onSnapshot(query(disputesCol(gameId), orderBy('createdAt', 'asc')), (snap) =>
+    cb(snap.docs.map(d => ({ id: d.id, ...d.data() }))));
+
+// "Upheld" / "Overturned (2 corrections)" / "Open"
+export const describeRuling = (d) => {
+  if (!d?.ruling) return 'Open';
+  const label = d.ruling.outcome.charAt(0).toUpperCase() + d.ruling.outcome.slice(1);
+  const n = (d.ruling.corrections || []).filter(c => c.action !== 'none').length;
+  return n ? `${label} (${n} correction${n === 1 ? '' : 's'})` : label;
+};
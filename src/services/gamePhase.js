@@ -0,0 +1,102 @@
+// src/services/gamePhase.js
+// Game lifecycle as a small state machine (pure, no Firestore).
+// gameService applies transitions inside its transactions; screens go through
+// transitionGame() / the engine functions instead of writing phase fields.
+
+/* ------------------------------------------------------------------
+lobby ─open_warmup→ warmup ─start_match→ live
+live ─challenge_won→ challenge_won ─begin_intermission→ intermission
+challenge_won | intermission ─next_challenge→ live
+challenge_won | intermission ─win_reversed→ live            (undo / amend)
+live | challenge_won | intermission ─start_bonus→ bonus ─start_overtime→ overtime
+bonus | overtime ─end_bonus→ live
+any (not ended) ─end_match→ ended ─reopen→ live            (undo of the end)
+
+games/{id}.phase is the source of truth; games/{id}.status is kept in step
+('lobby' | 'live' | 'ended') because lists and rules query it.
+--------------------------------------------------------------------- */
+
+export const PHASES = ['lobby', 'warmup', 'live', 'challenge_won', 'intermission', 'bonus', 'overtime', 'ended'];
+
+const ACTIVE = ['live', 'challenge_won', 'intermission', 'bonus', 'overtime'];
+
+export const TRANSITIONS = {
+  open_warmup:        { from: ['lobby'], to: 'warmup' },
+  start_match:        { from: ['lobby', 'warmup'], to: 'live' },
+  challenge_won:      { from: ['live'], to: 'challenge_won' },
+  win_reversed:       { from: ['challenge_won', 'intermission'], to: 'live' },
+  begin_intermission: { from: ['challenge_won'], to: 'intermission' },
+  // keepers may skip an unfinished challenge, and Next Challenge also leaves a manual bonus round
+  next_challenge:     { from: ['live', 'challenge_won', 'intermission', 'bonus', 'overtime'], to: 'live' },
+  start_bonus:        { from: ['live', 'challenge_won', 'intermission'], to: 'bonus' },
+  start_overtime:     { from: ['bonus', 'overtime'], to: 'overtime' },
+  end_bonus:          { from: ['bonus', 'overtime'], to: 'live' },
+  end_match:          { from: ['lobby', 'warmup', ...ACTIVE], to: 'ended' },
+  reopen:             { from: ['ended'], to: 'live' },
+};
+
+// Phase of a game doc; older docs without `phase` are derived from the legacy flags.
+export const phaseOf = (g) => {
+  if (PHASES.includes(g?.phase)) return g.phase;
+  if (g?.status === 'ended') return 'ended';
+  if (g?.status === 'lobby') return 'lobby';
+  if (g?.bonusActive) return Number(g.overtimeCount ?? 0) > 0 ? 'overtime' : 'bonus';
+  if (g?.challengeWon) return 'challenge_won';
+  return 'live';
+};
+
+export const statusForPhase = (phase) =>
+  (phase === 'ended' ? 'ended' : phase === 'lobby' || phase === 'warmup' ? 'lobby' : 'live');
+
+export const canTransition = (phase, event) => !!TRANSITIONS[event]?.from.includes(phase);
+
+const PHASE_LABEL = {
+  lobby: 'the lobby',
+  warmup: 'warmup',
+  live: 'a live challenge',
+  challenge_won: 'a won challenge',
+  intermission: 'intermission',
+  bonus: 'the bonus round',
+  overtime: 'overtime',
+  ended: 'an ended match',
+};
+
+export const phaseLabel = (phase) => PHASE_LABEL[phase] || phase;
+
+/**
+ * Target phase for `event` from `phase`, or throws with a message fit for an Alert.
+ */
+export const nextPhase = (phase, event) => {
+  const t = TRANSITIONS[event];
+  if (!t) throw new Error(`Unknown game event “${event}”.`);
+  if (!t.from.includes(phase)) {
+    throw new Error(`Can’t ${event.replace(/_/g, ' ')} during ${phaseLabel(phase)}.`);
+  }
+  return t.to;
+};
+
+// Shots are only taken while play is on
+export const acceptsShots = (phase) => phase === 'live' || phase === 'bonus' || phase === 'overtime';
+
+/* ------------------------------ auto-advance ------------------------------ */
+// games/{id}.autoAdvance: after a win the engine opens an intermission countdown
+// and moves on by itself when it runs out (gameService → completeIntermission).
+
+export const DEFAULT_AUTO_ADVANCE = { enabled: false, intermissionSeconds: 15 };
+
+export const normalizeAutoAdvance = (raw) => {
+  const secs = Math.floor(Number(raw?.intermissionSeconds));
+  return {
+    enabled: !!raw?.enabled,
+    intermissionSeconds: Number.isFinite(secs) && secs >= 0 ? Math.min(secs, 600) : DEFAULT_AUTO_ADVANCE.intermissionSeconds,
+  };
+};
+
+// "Next challenge: Corner Chaos" / "Final result" for the intermission countdown
+export const intermissionLabel = (g) => {
+  const im = g?.intermission;
+  if (!im) return '';
+  const seqLen = Array.isArray(g.sequenceChallengeIds) ? g.sequenceChallengeIds.length : 0;
+  if (g.mode === 'sequence' && seqLen > 0 && Number(im.nextIndex) >= seqLen) return 'Final result';
+  return `Next challenge: ${im.nextName || `Challenge ${Number(im.nextIndex ?? 0) + 1}`}`;
+};
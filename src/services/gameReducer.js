@@ -0,0 +1,222 @@
+// src/services/gameReducer.js
+// Pure replay of games/{gameId}/logs into the scoring fields of the game doc.
+// The live engine (logShot, advanceToNextChallenge, ...) updates the game doc incrementally;
+// this reducer is the source of truth used by rebuildGame() when the scoreboard drifts.
+
+import {
+  consumeSpecial, countsAsMoneyball, emptySpecials, emptyTimeouts, forfeitSpecial, handicapTarget, isBonusType,
+  normalizeRuleset, otherTeam, scoredThisChallenge, shotPoints, startingScores, winAward,
+} from './scoring';
+
+/* ------------------------------------------------------------------
+Log entries understood by the reducer (everything else is ignored):
+
+  shot              { playerId, team, shotType, made, moneyball, challengeIndex }
+  challenge_advance { fromIndex, toIndex }
+  bonus_start       { seconds }
+  bonus_end         {}
+  clock_start       { seconds }   // seconds on the clock when started
+  clock_stop        { seconds }
+  clock_set         { seconds }
+  clock_reset       { seconds }
+  clock_expired     { seconds: 0 } // written by the expireGameClock Cloud Function
+  overtime_started  { overtime, seconds }
+  timeout           { team, seconds, clockSeconds } // clockSeconds left when it stopped the clock
+  violation         { team, penalty: { type, points, target } } // see violations.js
+
+Shots flagged `voided` (by a violation) are not shots any more: isShotLog skips them.
+
+challenge_win logs are NOT read: wins are re-derived from the shots and
+returned in `wins` so the caller can reconcile the win logs.
+
+Legacy games (before meta logs existed) are still handled: a shot with a
+higher challengeIndex implies an advance, and a bonus shot implies bonus mode.
+--------------------------------------------------------------------- */
+
+export const tsMillis = (ts) => {
+  if (!ts) return Number.POSITIVE_INFINITY; // pending serverTimestamp → newest
+  if (typeof ts.toMillis === 'function') return ts.toMillis();
+  if (ts instanceof Date) return ts.getTime();
+  if (typeof ts === 'number') return ts;
+  const d = Date.parse(ts);
+  return Number.isFinite(d) ? d : Number.POSITIVE_INFINITY;
+};
+
+export const sortLogsAsc = (logs = []) =>
+  logs
+    .map((l, i) => ({ l, i }))
+    .sort((a, b) => (tsMillis(a.l.ts) - tsMillis(b.l.ts)) || (a.i - b.i))
+    .map(x => x.l);
+
+export const isShotLog = (l) => typeof l?.made === 'boolean' && (l.team === 'A' || l.team === 'B') && !l.voided;
+
+// handicap: game.handicap — teams start on their matchStart / challengeStart
+const initialState = (handicap) => ({
+  currentChallengeIndex: 0,
+  matchScore: startingScores(handicap, 'matchStart'),
+  challengeScore: startingScores(handicap, 'challengeStart'),
+  challengeWon: null,
+  specials: emptySpecials(),
+  timeoutsUsed: emptyTimeouts(),
+  bonusActive: false,
+  overtimeCount: 0,
+  clock: null, // only set when the logs contain clock events
+  wins: [],
+  ignoredLogIds: [],
+});
+
+const resetChallenge = (s, toIndex, handicap) => {
+  s.currentChallengeIndex = toIndex;
+  s.challengeScore = startingScores(handicap, 'challengeStart');
+  s.challengeWon = null;
+  s.specials = emptySpecials();
+  s.timeoutsUsed = emptyTimeouts();
+  s.bonusActive = false;
+  s.overtimeCount = 0;
+};
+
+const applyShot = (s, l, challengeMeta, rules, handicap) => {
+  const team = l.team;
+  const bonusShot = isBonusType(l.shotType);
+
+  // Legacy inference (no meta logs): shot from a later challenge / bonus shot
+  const idx = Number(l.challengeIndex ?? s.currentChallengeIndex);
+  if (!bonusShot && idx > s.currentChallengeIndex) resetChallenge(s, idx, handicap);
+  if (bonusShot && !s.bonusActive) s.bonusActive = true;
+
+  if (!bonusShot && s.challengeWon) {
+    // Engine blocks these; if one slipped through it never counted.
+    s.ignoredLogIds.push(l.id);
+    return;
+  }
+
+  const moneyball = countsAsMoneyball(l);
+  const pts = Number(shotPoints({ shotType: l.shotType, made: l.made, moneyball }, rules)) || 0;
+
+  if (moneyball) consumeSpecial(s.specials, team, 'moneyball', rules);
+  if (!bonusShot && l.shotType === 'gamechanger') consumeSpecial(s.specials, team, 'gamechanger', rules);
+
+  if (!l.made) return;
+
+  if (bonusShot) {
+    s.matchScore[team] += pts;
+    return;
+  }
+
+  const opp = otherTeam(team);
+  const oppBefore = s.challengeScore[opp];
+  s.challengeScore[team] += pts;
+
+  const { target = 0, pointsForWin = 0 } = challengeMeta(s.currentChallengeIndex) || {};
+  if (target > 0 && s.challengeScore[team] >= handicapTarget(target, handicap, team)) {
+    const shutout = !scoredThisChallenge(oppBefore, handicap, opp);
+    const pointsAwarded = winAward(pointsForWin, shutout, rules);
+    s.matchScore[team] += pointsAwarded;
+    const win = {
+      team,
+      atIndex: s.currentChallengeIndex,
+      scoreA: s.challengeScore.A,
+      scoreB: s.challengeScore.B,
+      pointsForWin,
+      pointsAwarded,
+      shutout,
+      byPlayerId: l.playerId || null,
+      shotLogId: l.id || null,
+      shotTs: l.ts || null,
+    };
+    s.challengeWon = win;
+    s.wins.push(win);
+  }
+};
+
+const applyPenalty = (s, l, rules) => {
+  const team = l.team;
+  if (team !== 'A' && team !== 'B') return;
+  const p = l.penalty || {};
+  if (p.type === 'deduct_points') {
+    const key = p.target === 'match' ? 'matchScore' : 'challengeScore';
+    s[key][team] = Math.max(0, s[key][team] - (Number(p.points) || 0));
+  }
+  if (p.type === 'forfeit_moneyball') forfeitSpecial(s.specials, team, 'moneyball');
+  if (p.type === 'forfeit_gamechanger') forfeitSpecial(s.specials, team, 'gamechanger');
+};
+
+const applyMeta = (s, l, rules, handicap) => {
+  switch (l.type) {
+    case 'violation':
+      applyPenalty(s, l, rules);
+      return;
+    case 'challenge_advance':
+      resetChallenge(s, Number(l.toIndex ?? s.currentChallengeIndex + 1), handicap);
+      return;
+    case 'bonus_start':
+      s.bonusActive = true;
+      s.overtimeCount = 0;
+      s.challengeWon = null;
+      s.clock = { clockSeconds: Number(l.seconds ?? 0) || 0, clockRunning: false, lastStartAt: null };
+      return;
+    case 'bonus_end':
+      s.bonusActive = false;
+      return;
+    case 'overtime_started':
+      s.overtimeCount = Number(l.overtime ?? s.overtimeCount + 1) || 0;
+      s.clock = { clockSeconds: Math.max(0, Number(l.seconds) || 0), clockRunning: false, lastStartAt: null };
+      return;
+    case 'clock_start':
+      s.clock = {
+        clockSeconds: Number(l.seconds ?? s.clock?.clockSeconds ?? 0) || 0,
+        clockRunning: true,
+        lastStartAt: l.ts || null,
+      };
+      return;
+    case 'clock_stop':
+    case 'clock_reset':
+    case 'clock_expired':
+      s.clock = { clockSeconds: Math.max(0, Number(l.seconds) || 0), clockRunning: false, lastStartAt: null };
+      return;
+    case 'timeout':
+      if (l.team === 'A' || l.team === 'B') s.timeoutsUsed[l.team] += 1;
+      s.clock = { clockSeconds: Math.max(0, Number(l.clockSeconds) || 0), clockRunning: false, lastStartAt: null };
+      return;
+    case 'clock_set':
+      s.clock = { ...(s.clock || { clockRunning: false, lastStartAt: null }), clockSeconds: Math.max(0, Number(l.seconds) || 0) };
+      return;
+    default:
+  }
+};
+
+/**
+ * Replay logs into game state.
+ * @param {object} game  current game doc (ruleset and handicap are read, scores are not)
+ * @param {Array} logs   log docs ({ id, ...data }), any order
+ * @param {{ challengeMeta?: (index:number) => ({ target:number, pointsForWin:number }) }} opts
+ * @returns {{ patch: object, wins: Array, ignoredLogIds: string[] }}
+ */
+export const replayGameLogs = (game, logs = [], { challengeMeta = () => ({ target: 0, pointsForWin: 0 }) } = {}) => {
+  const handicap = game?.handicap || null;
+  const s = initialState(handicap);
+  const rules = normalizeRuleset(game?.ruleset);
+
+  for (const l of sortLogsAsc(logs)) {
+    if (isShotLog(l)) applyShot(s, l, challengeMeta, rules, handicap);
+    else if (l?.type) applyMeta(s, l, rules, handicap);
+  }
+
+  const patch = {
+    currentChallengeIndex: s.currentChallengeIndex,
+    matchScore: s.matchScore,
+    challengeWins: {
+      A: s.wins.filter(w => w.team === 'A').length,
+      B: s.wins.filter(w => w.team === 'B').length,
+    },
+    challengeScore: s.challengeScore,
+    challengeWon: s.challengeWon,
+    specials: s.specials,
+    timeoutsUsed: s.timeoutsUsed,
+    bonusActive: s.bonusActive,
+    overtimeCount: s.overtimeCount,
+    ...(s.clock || {}),
+  };
+
+  return { patch, wins: s.wins, ignoredLogIds: s.ignoredLogIds };
+};
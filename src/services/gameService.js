@@ -4,16 +4,39 @@
 
 import {
   collection, doc, getDoc, getDocs, onSnapshot, query, serverTimestamp,
-  setDoc, updateDoc, deleteDoc, runTransaction, where, orderBy, limit
+  setDoc, updateDoc, deleteDoc, runTransaction, where, orderBy, limit, writeBatch, Timestamp, increment
 } from 'firebase/firestore';
 import { auth, db } from './firebase';
 import { shotMatchesRule } from './challengeRules';
+import {
+  consumeSpecial, countsAsMoneyball, emptySpecials, emptyTimeouts, forfeitSpecial, handicapTarget, isBonusType,
+  normalizeHandicap, normalizeRuleset, scoredThisChallenge, shotPoints, specialAvailable, specialUseUpdates,
+  startingScores, timeoutsLeft, winAward,
+} from './scoring';
+import { replayGameLogs, isShotLog, tsMillis } from './gameReducer';
+import { resolveRuleset } from './rulesetService';
+import { computeDisplayedSeconds, serverNow } from './clockService';
+import {
+  checkMatchDecided, isRegulationOver, normalizeMatchFormat, regulationLeader,
+} from './matchFormat';
+import {
+  acceptsShots, nextPhase, normalizeAutoAdvance, phaseLabel, phaseOf, statusForPhase,
+} from './gamePhase';
+import { benchIds, onCourtIds, teamField, teamOfPlayer, teamPlayerIds } from './lineup';
+import { copyRoster, ensureRosterDocsForPlayers } from './playerService';
+import { copyCourtConfig } from './courtService';
+import { VIOLATION_KINDS, isViolationLog, normalizePenalty } from './violations';
+import { recordAudit } from './auditService';
+import { assertKeeper, canKeeper } from './keeperRoles';
+import { LOCK_SLOTS, holdsTeamLock, normalizeVerification, teamOfSlot, trackerSlotOf } from './verification';
 
 /* ------------------------------------------------------------------ */
 /* Data model
 games/{gameId} = {
-  createdBy, roles: { main, secondary|null },
-  teamAIds: [uid], teamBIds: [uid],
+  createdBy, roles: { main, secondary|null },   // what each may do: keeperRoles.js
+  rematchOf: gameId|null,                       // set by cloneGame
+  teamAIds: [uid], teamBIds: [uid],   // players on court right now
+  bench: { A: [uid], B: [uid] },      // substituted out (see "Roster Changes", lineup.js)
 
   // Mode & challenge flow
   mode: 'sequence' | 'freestyle',
@@ -28,18 +51,29 @@ games/{gameId} = {
 
   // Scores
   matchScore: { A:0, B:0 },
+  challengeWins: { A:0, B:0 },   // challenges won (best_of formats)
   challengeScore: { A:0, B:0 },
-  challengeWon: null | { team, atIndex, pointsForWin, scoreA, scoreB, winLogId?, shutout?: boolean, ts },
+  challengeWon: null | { team, atIndex, pointsForWin, pointsAwarded?, scoreA, scoreB, winLogId?, shutout?: boolean, ts },
 
   // UI/UX
   uiFlipSides?: boolean,
 
   // Specialty usage (resets every challenge)
   specials: {
-    A: { moneyUsed: false, gcUsed: false },
-    B: { moneyUsed: false, gcUsed: false },
+    A: { moneyUsed: false, gcUsed: false, moneyCount: 0, gcCount: 0 },
+    B: { moneyUsed: false, gcUsed: false, moneyCount: 0, gcCount: 0 },
   },
 
+  // Scoring rules snapshot taken at createGame (see scoring.js / rulesetService.js)
+  ruleset: { id?, name, points, shutoutMultiplier, limits, overtime, timeouts },
+
+  // Per-team head start / reduced target (scoring.js "Handicaps")
+  handicap: { A: { matchStart, challengeStart, targetMultiplier }, B: { ... } },
+
+  // Team timeouts (see "Timeouts"); the count resets every challenge
+  timeoutsUsed: { A: 0, B: 0 },
+  timeout: null | { team, endsAt, seconds, by },
+
   // Bonus round toggle
   bonusActive: false,
   overtimeCount?: number, // for casting OT helper
@@ -47,25 +81,60 @@ games/{gameId} = {
   // Clock
   clockSeconds: 90,
   clockRunning: false,
-  lastStartAt: Timestamp|null,
+  lastStartAt: Timestamp|null,    // server time; expiry at 0 is written by functions/ (clock_expired)
 
-  // Two-tracker presence & locks
-  trackerLocks: { A: { uid, updatedAt } | null, B: { uid, updatedAt } | null },
+  // Two-tracker presence & locks (heartbeat every 5s; stale after LOCK_STALE_MS).
+  // A2 / B2: each team's second tracker in verification mode (see verification.js)
+  trackerLocks: { A, B, A2, B2 }: { uid, updatedAt } | null,
+  verification: { enabled, windowMs },   // double-entry: taps → pending_shots, pairs → logShot
 
   // Dispute / pause
   paused?: boolean,
-  pauseMeta?: { by, reason, at },
+  pauseMeta?: { by, reason, at, disputeId? },   // disputeId: open dispute (disputeService.js)
   disputeLock?: { by, at } | null,
 
+  // Match end (see matchFormat.js)
+  format: { type: 'sequence'|'first_to'|'best_of', target, bonus, overtime },
+  result: null | { winner: 'A'|'B'|null, finalScore: { A, B }, decidedBy, matchEndLogId, shotLogId, decidedAt },
+  endedAt?: Timestamp,
+
+  // Auto-advance after a win (see "Intermission")
+  autoAdvance: { enabled: boolean, intermissionSeconds: number },
+  intermission: null | { endsAt, seconds, nextIndex, nextName, cancelled },
+  defaultClockSeconds: number,
+
+  // Lifecycle (see gamePhase.js); status mirrors it for queries
+  phase: 'lobby'|'warmup'|'live'|'challenge_won'|'intermission'|'bonus'|'overtime'|'ended',
+  phaseMeta: null | { event, from, by, at },
   status: 'lobby' | 'live' | 'ended',
   createdAt
 }
-games/{gameId}/logs/{logId}   // shot actions + meta
+games/{gameId}/logs/{logId}   // shot actions + meta (challenge_win, challenge_advance,
+                              // bonus_start/end, clock_*, clock_expired, overtime_started,
+                              // match_end, substitution, timeout, violation)
+                              // — replayable, see gameReducer.js
 games/{gameId}/trackers/{uid} // presence: { team, role, lastSeen }
+games/{gameId}/notifications/{id} // { to: uid, type: 'tracker_handoff', team, fromUid, toUid, silentMs, read, createdAt }
+games/{gameId}/history/{id}   // undo/redo stack, see "Undo / Redo"
+games/{gameId}/transitions/{id} // phase changes: { event, from, to, by, ts }
+games/{gameId}/disputes/{id}  // contested logs + ruling, see disputeService.js
+games/{gameId}/audit/{id}     // who changed what (before/after), see auditService.js
+games/{gameId}/pending_shots/{id} // verification-mode taps, see verification.js
 --------------------------------------------------------------------- */
 
 /* ========================= Presence & Locks ========================= */
 
+// No heartbeat for this long → the tablet is gone; a standby tracker may take the lock.
+export const LOCK_STALE_MS = 20000;
+
+// ms since a heartbeat-refreshed timestamp (0 while its write is still pending)
+const silentMs = (ts) => Math.max(0, serverNow() - tsMillis(ts));
+
+export const isLockStale = (lock) => !!lock?.uid && silentMs(lock.updatedAt) > LOCK_STALE_MS;
+
+// trackers/{uid} presence doc → online while its heartbeat is fresh
+export const isTrackerOnline = (t) => !!t && silentMs(t.lastSeen) <= LOCK_STALE_MS;
+
 export const listenTrackers = (gameId, cb) => {
   const col = collection(db, 'games', gameId, 'trackers');
   return onSnapshot(col, snap => cb(snap.docs.map(d => ({ id: d.id, ...d.data() }))));
@@ -81,11 +150,9 @@ export const heartbeat = async (gameId) => {
   await runTransaction(db, async (tx) => {
     const snap = await tx.get(gameRef);
     if (!snap.exists()) return;
-    const g = snap.data() || {};
-    const team = g?.trackerLocks?.A?.uid === uid ? 'A'
-               : g?.trackerLocks?.B?.uid === uid ? 'B'
-               : null;
-    if (team) tx.update(gameRef, { [`trackerLocks.${team}.updatedAt`]: serverTimestamp() });
+    const slot = trackerSlotOf(snap.data(), uid);
+    // presence ping only — not audited (see auditService.js)
+    if (slot) tx.update(gameRef, { [`trackerLocks.${slot}.updatedAt`]: serverTimestamp() });
   });
 };
 
@@ -102,46 +169,135 @@ export const leaveTracking = async (gameId) => {
 
   const gameRef = doc(db, 'games', gameId);
   const g = (await getDoc(gameRef)).data();
-  const myTeam = g?.trackerLocks?.A?.uid === uid ? 'A'
-               : g?.trackerLocks?.B?.uid === uid ? 'B'
-               : null;
+  const mySlot = trackerSlotOf(g, uid);
+
+  const release = async () => {
+    const batch = writeBatch(db);
+    updateGame(batch, gameId, g, { [`trackerLocks.${mySlot}`]: null }, 'leave_tracking', { team: teamOfSlot(mySlot), slot: mySlot });
+    await batch.commit();
+  };
 
   await Promise.allSettled([
     deleteDoc(doc(db, 'games', gameId, 'trackers', uid)),
-    myTeam ? updateDoc(gameRef, { [`trackerLocks.${myTeam}`]: null }) : Promise.resolve(),
+    mySlot ? release() : Promise.resolve(),
   ]);
 };
 
-export const setTeamLock = async (gameId, team, uidOrNull) => {
-  if (!['A','B'].includes(team)) throw new Error('Invalid team');
+// slot: 'A' | 'B', or 'A2' | 'B2' for the second tracker in verification mode
+export const setTeamLock = async (gameId, slot, uidOrNull) => {
+  const team = teamOfSlot(slot);
+  if (!team) throw new Error('Invalid team');
   const gameRef = doc(db, 'games', gameId);
   await runTransaction(db, async (tx) => {
     const snap = await tx.get(gameRef);
     if (!snap.exists()) throw new Error('Game not found');
-    const locks = (snap.data()?.trackerLocks) || {};
-    locks[team] = uidOrNull ? { uid: uidOrNull, updatedAt: serverTimestamp() } : null;
-    tx.update(gameRef, { trackerLocks: locks });
+    const g = snap.data() || {};
+    if (slot !== team && !normalizeVerification(g.verification).enabled) {
+      throw new Error('A second tracker per team needs verification mode.');
+    }
+    const locks = { ...(g.trackerLocks || {}) };
+    // one slot per uid within a team
+    LOCK_SLOTS[team].forEach((k) => { if (uidOrNull && k !== slot && locks[k]?.uid === uidOrNull) locks[k] = null; });
+    locks[slot] = uidOrNull ? { uid: uidOrNull, updatedAt: serverTimestamp() } : null;
+    updateGame(tx, gameId, g, { trackerLocks: locks }, 'set_team_lock', { team, slot, uid: uidOrNull || null });
   });
 };
 
+// Main keeper hands the secondary keeper role to a user (null clears it).
+export const setSecondaryKeeper = async (gameId, uidOrNull) => {
+  const gameRef = doc(db, 'games', gameId);
+  await runTransaction(db, async (tx) => {
+    const snap = await tx.get(gameRef);
+    if (!snap.exists()) throw new Error('Game not found');
+    const g = snap.data() || {};
+    assertKeeper(g, auth.currentUser?.uid, 'assign_roles');
+    if (uidOrNull && uidOrNull === g.roles?.main) throw new Error('The main keeper can’t also be the secondary keeper.');
+    updateGame(tx, gameId, g, { 'roles.secondary': uidOrNull || null }, 'set_secondary_keeper', { uid: uidOrNull || null });
+  });
+};
+
+// Double-entry verification on/off (main keeper). Turning it off frees the second slots.
+export const setVerificationMode = async (gameId, { enabled, windowMs } = {}) => {
+  const gameRef = doc(db, 'games', gameId);
+  await runTransaction(db, async (tx) => {
+    const snap = await tx.get(gameRef);
+    if (!snap.exists()) throw new Error('Game not found');
+    const g = snap.data() || {};
+    if (auth.currentUser?.uid !== g.roles?.main) throw new Error('Only the main keeper can change verification mode.');
+    const verification = normalizeVerification({ ...g.verification, enabled, ...(windowMs !== undefined ? { windowMs } : {}) });
+    const updates = { verification };
+    if (!verification.enabled) {
+      updates['trackerLocks.A2'] = null;
+      updates['trackerLocks.B2'] = null;
+    }
+    updateGame(tx, gameId, g, updates, 'set_verification_mode', verification);
+  });
+};
+
+/**
+ * Take the team's lock if it is free, already ours, or stale (holder stopped
+ * heartbeating). In verification mode either of the team's two slots will do.
+ * Taking over a stale lock is a handoff: audited as 'tracker_handoff' and the
+ * main keeper is notified. Resolves to true when we hold it.
+ */
 export const tryClaimTeam = async (gameId, team) => {
   const uid = auth.currentUser?.uid;
   if (!uid) throw new Error('Not signed in');
-  if (!['A','B'].includes(team)) throw new Error('Invalid team');
+  if (!LOCK_SLOTS[team]) throw new Error('Invalid team');
   const gameRef = doc(db, 'games', gameId);
-  await runTransaction(db, async (tx) => {
+  return runTransaction(db, async (tx) => {
     const snap = await tx.get(gameRef);
     if (!snap.exists()) throw new Error('Game not found');
     const g = snap.data();
-    const locks = g.trackerLocks || {};
-    const cur = locks[team];
-    if (!cur || cur.uid === uid) {
-      locks[team] = { uid, updatedAt: serverTimestamp() };
-      tx.update(gameRef, { trackerLocks: locks });
+    const locks = { ...(g.trackerLocks || {}) };
+    const slots = normalizeVerification(g.verification).enabled ? LOCK_SLOTS[team] : [team];
+    const slot = slots.find(k => locks[k]?.uid === uid)
+      || slots.find(k => !locks[k]?.uid)
+      || slots.find(k => isLockStale(locks[k]));
+    if (!slot) return false;
+
+    const cur = locks[slot];
+    locks[slot] = { uid, updatedAt: serverTimestamp() };
+    if (!cur?.uid || cur.uid === uid) {
+      updateGame(tx, gameId, g, { trackerLocks: locks }, 'claim_team', { team, slot });
+      return true;
+    }
+
+    const handoff = { team, slot, fromUid: cur.uid, toUid: uid, silentMs: silentMs(cur.updatedAt) };
+    updateGame(tx, gameId, g, { trackerLocks: locks }, 'tracker_handoff', handoff);
+    if (g.roles?.main && g.roles.main !== uid) {
+      tx.set(doc(collection(db, 'games', gameId, 'notifications')), {
+        to: g.roles.main,
+        type: 'tracker_handoff',
+        ...handoff,
+        read: false,
+        createdAt: serverTimestamp(),
+      });
     }
+    return true;
   });
 };
 
+// Unread notifications for the signed-in user, newest first.
+export const listenNotifications = (gameId, cb) => {
+  const uid = auth.currentUser?.uid;
+  if (!uid) return () => {};
+  const qy = query(
+    collection(db, 'games', gameId, 'notifications'),
+    where('to', '==', uid),
+    where('read', '==', false),
+  );
+  return onSnapshot(qy, snap => cb(
+    snap.docs.map(d => ({ id: d.id, ...d.data() })).sort((a, b) => tsMillis(b.createdAt) - tsMillis(a.createdAt)),
+  ));
+};
+
+export const dismissNotification = async (gameId, notificationId) =>
+  updateDoc(doc(db, 'games', gameId, 'notifications', notificationId), {
+    read: true,
+    readAt: serverTimestamp(),
+  });
+
 export const listenMyTrackerAssignment = (gameId, cb) => {
   const uid = auth.currentUser?.uid;
   if (!uid) return () => {};
@@ -161,19 +317,28 @@ export const createGame = async ({
   eventId = null,
   mode = 'sequence',
   freestyle = null, // { targetScore, pointsForWin }
+  rulesetId = null,
+  rulesetOverrides = null, // partial ruleset applied on top of rulesetId/default
+  format = null,           // match format, see matchFormat.js
+  autoAdvance = null,      // { enabled, intermissionSeconds }, see gamePhase.js
+  verification = null,     // { enabled, windowMs }, see verification.js
+  rematchOf = null,        // source game id (cloneGame)
+  handicap = null,         // { A?, B? }: { matchStart, challengeStart, targetMultiplier }, see scoring.js
 }) => {
   const creator = auth.currentUser?.uid || 'unknown';
   const ref = doc(collection(db, 'games'));
+  const ruleset = await resolveRuleset(rulesetId, rulesetOverrides);
 
   const fsTarget = Number((freestyle && freestyle.targetScore) ?? null);
   const fsWorth  = Number((freestyle && freestyle.pointsForWin) ?? null);
 
-  await setDoc(ref, {
+  const data = {
     createdBy: creator,
-    roles: { main: creator, secondary: secondaryKeeper },
+    roles: { main: creator, secondary: secondaryKeeper && secondaryKeeper !== creator ? secondaryKeeper : null },
 
     teamAIds,
     teamBIds,
+    bench: { A: [], B: [] },
 
     mode,
     sequenceId,
@@ -191,11 +356,23 @@ export const createGame = async ({
     freestyleTarget: Number.isFinite(fsTarget) ? fsTarget : 0,
     freestyleWorth:  Number.isFinite(fsWorth)  ? fsWorth  : 0,
 
-    matchScore: { A: 0, B: 0 },
-    challengeScore: { A: 0, B: 0 },
+    handicap: normalizeHandicap(handicap),
+    matchScore: startingScores(handicap, 'matchStart'),
+    challengeWins: { A: 0, B: 0 },
+    challengeScore: startingScores(handicap, 'challengeStart'),
     challengeWon: null,
 
-    specials: { A: { moneyUsed: false, gcUsed: false }, B: { moneyUsed: false, gcUsed: false } },
+    format: normalizeMatchFormat(format),
+    result: null,
+
+    autoAdvance: normalizeAutoAdvance(autoAdvance),
+    intermission: null,
+
+    specials: emptySpecials(),
+    ruleset,
+
+    timeoutsUsed: emptyTimeouts(),
+    timeout: null,
 
     uiFlipSides: false,
 
@@ -203,21 +380,76 @@ export const createGame = async ({
     overtimeCount: 0,
 
     clockSeconds,
+    defaultClockSeconds: clockSeconds, // used when a challenge has no durationSeconds
     clockRunning: false,
     lastStartAt: null,
 
-    trackerLocks: { A: null, B: null },
+    trackerLocks: { A: null, B: null, A2: null, B2: null },
+    verification: normalizeVerification(verification),
     paused: false,
     pauseMeta: null,
     disputeLock: null,
 
     eventId,
-    status: 'live',
+    rematchOf,
+    phase: 'lobby',
+    phaseMeta: null,
+    status: 'lobby',
     createdAt: serverTimestamp(),
-  });
+  };
+  const batch = writeBatch(db);
+  batch.set(ref, data);
+  recordAudit(batch, ref.id, 'create_game', { updates: data });
+  await batch.commit();
   return ref.id;
 };
 
+/**
+ * Rematch: a fresh game (lobby, starting scores) set up like an existing one — same
+ * players, ruleset snapshot, format, handicaps, keepers and, optionally, sequence / freestyle
+ * params, court config and roster (jersey numbers + faces). Resolves to the new id.
+ * @param {{ swapTeams?: boolean, keepSequence?: boolean, keepCourtConfig?: boolean, keepRoster?: boolean }} opts
+ */
+export const cloneGame = async (gameId, {
+  swapTeams = false,
+  keepSequence = true,
+  keepCourtConfig = true,
+  keepRoster = true,
+} = {}) => {
+  const snap = await getDoc(doc(db, 'games', gameId));
+  if (!snap.exists()) throw new Error('Game not found');
+  const g = snap.data() || {};
+
+  // substituted-out players start the rematch back on court
+  const teamA = teamPlayerIds(g, 'A');
+  const teamB = teamPlayerIds(g, 'B');
+  const mode = keepSequence ? (g.mode || 'sequence') : 'sequence';
+
+  const newId = await createGame({
+    teamAIds: swapTeams ? teamB : teamA,
+    teamBIds: swapTeams ? teamA : teamB,
+    sequenceId: keepSequence ? (g.sequenceId ?? null) : null,
+    sequenceChallengeIds: keepSequence && Array.isArray(g.sequenceChallengeIds) ? g.sequenceChallengeIds : [],
+    clockSeconds: Number(g.defaultClockSeconds ?? g.clockSeconds ?? 90) || 90,
+    secondaryKeeper: g.roles?.secondary || null,
+    eventId: g.eventId ?? null,
+    mode,
+    freestyle: mode === 'freestyle'
+      ? { targetScore: g.freestyle?.targetScore ?? g.freestyleTarget, pointsForWin: g.freestyle?.pointsForWin ?? g.freestyleWorth }
+      : null,
+    rulesetOverrides: g.ruleset || null, // the snapshot: overrides, id and overridden flag carry over
+    format: g.format || null,
+    autoAdvance: g.autoAdvance || null,
+    verification: g.verification || null,
+    handicap: swapTeams ? { A: g.handicap?.B, B: g.handicap?.A } : (g.handicap || null),
+    rematchOf: gameId,
+  });
+
+  if (keepCourtConfig) await copyCourtConfig(gameId, newId);
+  if (keepRoster) await copyRoster(gameId, newId, [...teamA, ...teamB]);
+  return newId;
+};
+
 export const listenToGame = (gameId, cb) =>
   onSnapshot(doc(db, 'games', gameId), snap => cb(snap.exists() ? ({ id: snap.id, ...snap.data() }) : null));
 
@@ -229,57 +461,155 @@ export const listenToLogs = (gameId, cb, team = null) => {
 
 /* ========================= Scoring Helpers ========================= */
 
-const shotPoints = ({ shotType, made, moneyball }) => {
-  if (!made) return 0;
+// Every new log bumps the game's logSeq in the same transaction: rebuildGame()
+// lists the logs before its transaction and checks this counter inside it.
+const bumpLogSeq = (tx, gameId) => {
+  tx.update(doc(db, 'games', gameId), { logSeq: increment(1) });
+};
 
-  // Bonus round variants
-  if (shotType === 'bonus_mid')  return 1;
-  if (shotType === 'bonus_long') return 2;
-  if (shotType === 'bonus_gc')   return 4;
+// Non-shot log entry (advance, bonus, clock, ...) written in the same transaction
+// as the game update so rebuildGame() can replay the full game from its logs.
+const addMetaLog = (tx, gameId, type, fields = {}) => {
+  const ref = doc(collection(db, 'games', gameId, 'logs'));
+  bumpLogSeq(tx, gameId);
+  tx.set(ref, {
+    type,
+    ...fields,
+    by: auth.currentUser?.uid || 'unknown',
+    ts: serverTimestamp(),
+  });
+  return ref;
+};
 
-  // Legacy single bonus
-  if (shotType === 'bonus') return 1;
+// Game-doc update plus its audit entry, in the same transaction/batch. Every
+// mutating function below goes through here, even when only logs change.
+const updateGame = (tx, gameId, g, updates, action, context = null) => {
+  if (Object.keys(updates).length > 0) tx.update(doc(db, 'games', gameId), updates);
+  recordAudit(tx, gameId, action, { before: g, updates, context });
+};
 
-  // Normal challenge
-  if (shotType === 'gamechanger') return 5;
-  if (shotType === 'mid' || shotType === 'long') return moneyball ? 2 : 1;
+// Snapshot of a few game fields (undefined → null, Firestore rejects undefined)
+const pick = (obj, keys) => {
+  const out = {};
+  keys.forEach((k) => { out[k] = obj?.[k] === undefined ? null : obj[k]; });
+  return out;
+};
+
+// Everything an action writes, so undo restores a consistent state
+const PHASE_FIELDS = ['phase', 'status', 'phaseMeta', 'intermission'];
+const CLOCK_FIELDS = ['clockSeconds', 'clockRunning', 'lastStartAt'];
+const ADVANCE_FIELDS = [
+  'currentChallengeIndex', 'challengeScore', 'challengeWon', 'specials', 'timeoutsUsed', 'timeout',
+  'bonusActive', 'overtimeCount', ...CLOCK_FIELDS, ...PHASE_FIELDS,
+];
+const BONUS_FIELDS = [...CLOCK_FIELDS, 'bonusActive', 'overtimeCount', 'challengeWon', ...PHASE_FIELDS];
+const MATCH_END_FIELDS = ['result', 'endedAt', ...CLOCK_FIELDS, ...PHASE_FIELDS];
+
+// Append-only record of lifecycle transitions (who moved the game, when)
+const recordTransition = (tx, gameId, { event, from, to }) => {
+  tx.set(doc(collection(db, 'games', gameId, 'transitions')), {
+    event, from, to,
+    by: auth.currentUser?.uid || 'unknown',
+    ts: serverTimestamp(),
+  });
+};
 
-  return 0;
+// Guarded phase move (see gamePhase.js). Throws on an illegal move; returns the
+// game-doc fields for the caller to merge into its own update.
+const phaseUpdates = (tx, gameId, g, event) => {
+  const from = phaseOf(g);
+  const to = nextPhase(from, event);
+  recordTransition(tx, gameId, { event, from, to });
+  return {
+    phase: to,
+    status: statusForPhase(to),
+    phaseMeta: { event, from, by: auth.currentUser?.uid || 'unknown', at: serverTimestamp() },
+    ...(to !== 'intermission' && g.intermission ? { intermission: null } : {}),
+  };
 };
 
-const isBonusType = (t) => t === 'bonus' || (typeof t === 'string' && t.startsWith('bonus_'));
+// Ending the match: writes the match_end log and returns the game-doc updates
+// (merged by the caller so the game is updated once per transaction).
+const matchEndUpdates = (tx, gameId, g, { winner = null, decidedBy, shotLogId = null, matchScore = g.matchScore }) => {
+  const finalScore = { A: Number(matchScore?.A ?? 0) || 0, B: Number(matchScore?.B ?? 0) || 0 };
+  const phase = phaseUpdates(tx, gameId, g, 'end_match');
+  const logRef = addMetaLog(tx, gameId, 'match_end', { winner, finalScore, decidedBy });
+  return {
+    ...phase,
+    result: { winner, finalScore, decidedBy, matchEndLogId: logRef.id, shotLogId, decidedAt: serverTimestamp() },
+    endedAt: serverTimestamp(),
+    clockSeconds: remainingSeconds(g),
+    clockRunning: false,
+    lastStartAt: null,
+  };
+};
 
-const playerTeamKey = (game, playerId) => {
-  if (game.teamAIds?.includes(playerId)) return 'A';
-  if (game.teamBIds?.includes(playerId)) return 'B';
-  return null;
+// Undo/redo history entry (see "Undo / Redo" below). With historyId the existing
+// entry is re-armed (redo) so the stack keeps its original order.
+const recordAction = (tx, gameId, entry, historyId = null) => {
+  const col = collection(db, 'games', gameId, 'history');
+  if (historyId) {
+    tx.update(doc(col, historyId), {
+      ...entry,
+      undone: false,
+      redoneAt: serverTimestamp(),
+      redoneBy: auth.currentUser?.uid || 'unknown',
+    });
+    return;
+  }
+  tx.set(doc(col), {
+    ...entry,
+    by: auth.currentUser?.uid || 'unknown',
+    undone: false,
+    ts: serverTimestamp(),
+  });
 };
 
-// Get target, pointsForWin, and (optional) shotRule from the current challenge
-const getCurrentChallengeMeta = async (tx, game) => {
+// Shots are only taken by players on court; amending an older shot may name a benched player.
+const playerTeamKey = (game, playerId, { includeBench = false } = {}) =>
+  teamOfPlayer(game, playerId, { includeBench });
+
+// Get target, pointsForWin, and (optional) shotRule for a challenge of the game
+const getChallengeMetaAt = async (tx, game, index) => {
   if (game.mode === 'freestyle') {
     return {
       target: Number(game?.freestyle?.targetScore ?? 0) || 0,
       pointsForWin: Number(game?.freestyle?.pointsForWin ?? 0) || 0,
       shotRule: game?.freestyle?.shotRule || null, // optional future support
+      name: 'Freestyle',
+      durationSeconds: null,
     };
   }
-  const currentChallengeId = game.sequenceChallengeIds?.[game.currentChallengeIndex];
-  if (!currentChallengeId) return { target: 0, pointsForWin: 0, shotRule: null };
-  const challSnap = await tx.get(doc(db, 'challenges', currentChallengeId));
-  if (!challSnap.exists()) return { target: 0, pointsForWin: 0, shotRule: null };
+  const empty = { target: 0, pointsForWin: 0, shotRule: null, name: null, durationSeconds: null };
+  const challengeId = game.sequenceChallengeIds?.[index];
+  if (!challengeId) return empty;
+  const challSnap = await tx.get(doc(db, 'challenges', challengeId));
+  if (!challSnap.exists()) return empty;
   const chall = challSnap.data() || {};
+  const duration = Number(chall?.durationSeconds);
   return {
     target: Number(chall?.targetScore ?? 0) || 0,
     pointsForWin: Number(chall?.pointsForWin ?? 0) || 0,
     shotRule: chall?.shotRule || null,
+    name: chall?.name || null,
+    durationSeconds: Number.isFinite(duration) && duration > 0 ? duration : null,
   };
 };
 
+const getCurrentChallengeMeta = (tx, game) =>
+  getChallengeMetaAt(tx, game, Number(game.currentChallengeIndex ?? 0));
+
 /* ========================= Shots & Undo ========================= */
 
-// Log a shot and update scores atomically
-export const logShot = async (gameId, params) => {
+// Sources a keeper logs for either team: review decisions, and auto ingest from
+// the elected coordinator (coordinatorService.js), which is always a keeper
+const KEEPER_SOURCES = ['review', 'review_edit', 'auto'];
+
+// Log a shot and update scores atomically. Resolves to the new shot log id.
+// opts.historyId is used by redo to re-arm an existing history entry instead of adding one.
+// Replays from the offline shot outbox (outboxService.js) pass clientActionId (becomes the
+// log id, so a replay that already landed is a no-op) and expectChallengeIndex.
+export const logShot = async (gameId, params, { historyId = null } = {}) => {
   const {
     playerId,
     shotType,
@@ -289,33 +619,47 @@ export const logShot = async (gameId, params) => {
     // OPTIONAL meta for auto/vision pipeline
     zone = null,            // 'corner'|'wing'|'elbow'|'top'|'gc'
     shotKey = null,         // e.g. 'mid_corner'
-    source = 'manual',      // 'manual'|'auto'
+    source = 'manual',      // 'manual'|'auto'|'review'|'review_edit'|'verified' (verificationService)
     confidence = null,      // number 0..1
     evidence = null,        // any reference/URL/blobId
     startSpotId = null,     // courtSpot id where player started (optional)
     shotSpotId = null,      // courtSpot id where shot released (optional)
     spotNumber = null,      // 1..18 if known
+
+    // OPTIONAL offline replay (outboxService.js)
+    clientActionId = null,       // becomes the log id
+    expectChallengeIndex = null, // challenge the shot was tapped in
   } = params || {};
 
   const uid = auth.currentUser?.uid || 'unknown';
   const gameRef = doc(db, 'games', gameId);
   const logsRef = collection(db, 'games', gameId, 'logs');
+  const attemptRef = clientActionId ? doc(logsRef, clientActionId) : doc(logsRef);
 
-  await runTransaction(db, async (tx) => {
+  return runTransaction(db, async (tx) => {
     const gameSnap = await tx.get(gameRef);
     if (!gameSnap.exists()) throw new Error('Game not found');
     const game = gameSnap.data();
 
+    if (clientActionId && (await tx.get(attemptRef)).exists()) return attemptRef.id; // already applied
+    if (expectChallengeIndex !== null && Number(game.currentChallengeIndex ?? 0) !== Number(expectChallengeIndex)) {
+      throw new Error('The challenge moved on before this shot was synced.');
+    }
+
     // Clock/paused gating for auto-ingest
-    if (source !== 'manual') {
+    if (source !== 'manual' && source !== 'verified') {
       const clockOk = game.status === 'live' && game.clockRunning === true && game.paused !== true;
       if (!clockOk) {
         throw new Error('Clock not running (or game paused). Auto ingest blocked.');
       }
     }
 
-    // Block any shot after a challenge is marked won (until Next Challenge)
-    if (game.challengeWon) {
+    const phase = phaseOf(game);
+    if (phase === 'ended') throw new Error('Match has ended.');
+    if (phase === 'lobby' || phase === 'warmup') throw new Error('Match hasn’t started yet — tap Start Match.');
+
+    // The phase alone decides: a won challenge blocks shots until Next Challenge
+    if (!acceptsShots(phase)) {
       throw new Error('Challenge completed. Tap “Next Challenge” to continue.');
     }
 
@@ -323,12 +667,17 @@ export const logShot = async (gameId, params) => {
     const teamKey = playerTeamKey(game, playerId);
     if (!teamKey) throw new Error('Player not in game');
 
-    const lock = game.trackerLocks?.[teamKey];
     const isMain = uid === game.roles?.main;
-    if (!isMain) {
-      if (!lock || lock.uid !== uid) {
+    // review-queue approvals and auto ingest come from a keeper, not the team's tracker
+    const keeperReview = KEEPER_SOURCES.includes(source) && canKeeper(game, uid, 'review');
+    if (!isMain && !keeperReview) {
+      if (!holdsTeamLock(game, teamKey, uid)) {
         throw new Error(`You’re not the assigned tracker for Team ${teamKey}`);
       }
+      // verification mode: a tracker's tap only counts once the other tracker agrees
+      if (source === 'manual' && normalizeVerification(game.verification).enabled) {
+        throw new Error('Verification mode is on — taps are logged once both trackers agree.');
+      }
     }
 
     // Bonus usage enforcement
@@ -337,23 +686,31 @@ export const logShot = async (gameId, params) => {
       throw new Error('Bonus round is not active.');
     }
 
-    // Specialty usage one per challenge (NORMAL only)
-    const specials = game.specials || { A: { moneyUsed: false, gcUsed: false }, B: { moneyUsed: false, gcUsed: false } };
-    const willCountMoneyball = !bonusShot && moneyball && (shotType === 'mid' || shotType === 'long');
-    if (willCountMoneyball && (specials?.[teamKey]?.moneyUsed === true)) {
+    // Specialty usage limits per challenge (NORMAL only)
+    const rules = normalizeRuleset(game.ruleset);
+    const specials = game.specials || emptySpecials();
+    const willCountMoneyball = countsAsMoneyball({ shotType, moneyball });
+    if (willCountMoneyball && !specialAvailable(specials, teamKey, 'moneyball', rules)) {
       throw new Error(`Team ${teamKey} has already used Moneyball this challenge.`);
     }
     const willUseGC = !bonusShot && (shotType === 'gamechanger');
-    if (willUseGC && (specials?.[teamKey]?.gcUsed === true)) {
+    if (willUseGC && !specialAvailable(specials, teamKey, 'gamechanger', rules)) {
       throw new Error(`Team ${teamKey} has already used Gamechanger this challenge.`);
     }
 
-    const pts = Number(shotPoints({ shotType, made, moneyball: willCountMoneyball })) || 0;
+    const pts = Number(shotPoints({ shotType, made, moneyball: willCountMoneyball }, rules)) || 0;
 
     // Pre-read challenge meta + enforce shotRule for non-bonus attempts
     let target = 0;
     let pointsForWin = 0;
     let shotRule = null;
+    let ruleMeta = { ok: true, reason: null };
+
+    // Read ahead for a possible auto-advance intermission (reads must precede writes)
+    const autoAdvance = normalizeAutoAdvance(game.autoAdvance);
+    const nextMeta = autoAdvance.enabled && !bonusShot && phase === 'live'
+      ? await getChallengeMetaAt(tx, game, Number(game.currentChallengeIndex ?? 0) + 1)
+      : null;
 
     if (!bonusShot) {
       const meta = await getCurrentChallengeMeta(tx, game);
@@ -366,16 +723,16 @@ export const logShot = async (gameId, params) => {
         // We accept range/zone in the optional second arg from callers (auto-tracking),
         // and degrade gracefully if manual buttons didn’t provide a zone.
         const attemptMeta = {
-          shotType,                         // 'mid' | 'long' | 'gamechanger'
-          zone: arguments[1]?.zone || null, // 'corner' | 'wing' | 'elbow' | 'top' | 'gc'
-          shotKey: arguments[1]?.shotKey || null,
+          shotType, // 'mid' | 'long' | 'gamechanger'
+          zone,     // 'corner' | 'wing' | 'elbow' | 'top' | 'gc'
+          shotKey,
         };
         const check = shotMatchesRule(attemptMeta, shotRule);
         if (!check.ok && shotRule.validation === 'strict') {
           throw new Error('That shot is not allowed by the current challenge.');
         }
-        // For 'soft' validation we still allow, but you could tag logs if you want:
-        // e.g., add attemptMeta.validationReason = check.reason and save on the log.
+        // For 'soft' validation we still allow; the result is kept on the log (ruleCheck).
+        ruleMeta = check;
       }
     }
 
@@ -394,10 +751,10 @@ export const logShot = async (gameId, params) => {
 
     // Mark specialty usage (NORMAL only)
     if (willCountMoneyball) {
-      updates[`specials.${teamKey}.moneyUsed`] = true;
+      Object.assign(updates, specialUseUpdates(specials, teamKey, 'moneyball', rules));
     }
     if (willUseGC) {
-      updates[`specials.${teamKey}.gcUsed`] = true;
+      Object.assign(updates, specialUseUpdates(specials, teamKey, 'gamechanger', rules));
     }
 
     // Win check (NORMAL only)
@@ -406,10 +763,11 @@ export const logShot = async (gameId, params) => {
     if (made && !bonusShot && target > 0) {
       const newChallengeScore = curChal(teamKey) + pts;
 
-      if (newChallengeScore >= target) {
+      // handicaps: per-team target, and a head start doesn't count as scoring
+      if (newChallengeScore >= handicapTarget(target, game.handicap, teamKey)) {
         const opp = teamKey === 'A' ? 'B' : 'A';
-        const opponentHadZero = curChal(opp) === 0;
-        const pfwAward = pointsForWin * (opponentHadZero ? 2 : 1);
+        const opponentHadZero = !scoredThisChallenge(curChal(opp), game.handicap, opp);
+        const pfwAward = winAward(pointsForWin, opponentHadZero, rules);
 
         updates[`matchScore.${teamKey}`] =
           (updates[`matchScore.${teamKey}`] ?? curMatch(teamKey)) + pfwAward;
@@ -421,18 +779,45 @@ export const logShot = async (gameId, params) => {
           scoreA: teamKey === 'A' ? newChallengeScore : curChal('A'),
           scoreB: teamKey === 'B' ? newChallengeScore : curChal('B'),
           pointsForWin,                 // base pfw
+          pointsAwarded: pfwAward,      // after shutout multiplier
           shutout: opponentHadZero || false,
           winLogId: winLogRef.id,
           ts: serverTimestamp(),
         };
         updates['challengeWon'] = wonNow;
+        updates[`challengeWins.${teamKey}`] = (Number(game.challengeWins?.[teamKey] ?? 0) || 0) + 1;
+        if (phase === 'live') Object.assign(updates, phaseUpdates(tx, gameId, game, 'challenge_won'));
       }
     }
 
-    if (Object.keys(updates).length > 0) tx.update(gameRef, updates);
+    // first_to / best_of can be decided by this win
+    if (wonNow) {
+      const after = (k) => ({
+        A: updates[`${k}.A`] ?? Number(game[k]?.A ?? 0),
+        B: updates[`${k}.B`] ?? Number(game[k]?.B ?? 0),
+      });
+      const matchScore = after('matchScore');
+      const decided = checkMatchDecided(game.format, { matchScore, challengeWins: after('challengeWins') });
+      if (decided) {
+        const afterWin = { ...game, phase: updates.phase || phase };
+        Object.assign(updates, matchEndUpdates(tx, gameId, afterWin, { ...decided, shotLogId: attemptRef.id, matchScore }));
+      } else if (nextMeta && updates.phase === 'challenge_won') {
+        // auto-advance: count down, then completeIntermission() moves on
+        const seconds = autoAdvance.intermissionSeconds;
+        Object.assign(updates, phaseUpdates(tx, gameId, { ...game, phase: 'challenge_won' }, 'begin_intermission'), {
+          intermission: {
+            endsAt: Timestamp.fromMillis(serverNow() + seconds * 1000),
+            seconds,
+            nextIndex: Number(game.currentChallengeIndex ?? 0) + 1,
+            nextName: nextMeta.name,
+            cancelled: false,
+          },
+        });
+      }
+    }
+
+    updateGame(tx, gameId, game, updates, 'log_shot', { logId: attemptRef.id, playerId, shotType, made, source });
 
-    // Write attempt log (include annotations)
-    const attemptRef = doc(logsRef);
     tx.set(attemptRef, {
       playerId, shotType, made,
       moneyball: !!moneyball,
@@ -449,6 +834,7 @@ export const logShot = async (gameId, params) => {
       // rule audit
       ruleCheck: { ok: !!ruleMeta.ok, reason: ruleMeta.reason || null },
     });
+    bumpLogSeq(tx, gameId);
 
     // Win log
     if (wonNow && winLogRef) {
@@ -458,16 +844,26 @@ export const logShot = async (gameId, params) => {
         team: teamKey,
         challengeIndex: game.currentChallengeIndex,
         pointsForWin: wonNow.pointsForWin,
+        pointsAwarded: wonNow.pointsAwarded,
         shutout: !!wonNow.shutout,
         ts: serverTimestamp(),
         tag: 'GameWinner',
       });
     }
-  });
-};
 
-export const undoLastActionForPlayer = async () => {
-  throw new Error('For MVP, pass a specific logId to undo using deleteLogAndReverse');
+    recordAction(tx, gameId, {
+      kind: 'shot',
+      scope: teamKey,
+      logId: attemptRef.id,
+      params: {
+        playerId, shotType, made, moneyball: !!moneyball,
+        zone, shotKey, source, confidence, evidence: evidence ?? null,
+        startSpotId, shotSpotId, spotNumber,
+      },
+    }, historyId);
+
+    return attemptRef.id;
+  });
 };
 
 const recomputeSpecialsForChallenge = async (gameId, challengeIndex) => {
@@ -479,16 +875,25 @@ const recomputeSpecialsForChallenge = async (gameId, challengeIndex) => {
       orderBy('ts', 'asc'),
       limit(400)
     );
+    const gameRef = doc(db, 'games', gameId);
+    const game = (await getDoc(gameRef)).data() || {};
+    // specials only describe the current challenge
+    if (Number(game.currentChallengeIndex ?? 0) !== Number(challengeIndex)) return;
+    const rules = normalizeRuleset(game.ruleset);
     const snap = await getDocs(qy);
-    const flags = { A: { moneyUsed: false, gcUsed: false }, B: { moneyUsed: false, gcUsed: false } };
+    const flags = emptySpecials();
     snap.forEach(d => {
       const l = d.data();
-      if (l?.team === 'A' || l?.team === 'B') {
-        if (l.moneyball) flags[l.team].moneyUsed = true;
-        if (l.shotType === 'gamechanger') flags[l.team].gcUsed = true;
+      if (isShotLog(l) && !isBonusType(l.shotType)) {
+        if (countsAsMoneyball(l)) consumeSpecial(flags, l.team, 'moneyball', rules);
+        if (l.shotType === 'gamechanger') consumeSpecial(flags, l.team, 'gamechanger', rules);
       }
+      if (isViolationLog(l) && l.penalty?.type === 'forfeit_moneyball') forfeitSpecial(flags, l.team, 'moneyball');
+      if (isViolationLog(l) && l.penalty?.type === 'forfeit_gamechanger') forfeitSpecial(flags, l.team, 'gamechanger');
     });
-    await updateDoc(doc(db, 'games', gameId), { specials: flags });
+    const batch = writeBatch(db);
+    updateGame(batch, gameId, game, { specials: flags }, 'recompute_specials', { challengeIndex: Number(challengeIndex) });
+    await batch.commit();
   } catch (e) {
     console.warn('recomputeSpecialsForChallenge failed:', e?.message || e);
   }
@@ -508,8 +913,16 @@ export const deleteLogAndReverse = async (gameId, log) => {
     if (!gameSnap.exists()) throw new Error('Game not found');
     const game = gameSnap.data();
 
-    const { shotType, made, moneyball, team, challengeIndex } = log;
-    const pts = Number(shotPoints({ shotType, made, moneyball })) || 0;
+    // a voided shot no longer counts for anything
+    if (log.voided) {
+      tx.delete(logRef);
+      updateGame(tx, gameId, game, {}, 'delete_log', { logId: log.id });
+      return;
+    }
+
+    const { shotType, made, team, challengeIndex } = log;
+    const rules = normalizeRuleset(game.ruleset);
+    const pts = Number(shotPoints({ shotType, made, moneyball: countsAsMoneyball(log) }, rules)) || 0;
     challengeIndexForSpecials = Number(challengeIndex ?? 0);
 
     const curMatch = (k) => Number(game.matchScore?.[k] ?? 0) || 0;
@@ -534,9 +947,9 @@ export const deleteLogAndReverse = async (gameId, log) => {
       Number(cw.atIndex ?? -1) === Number(challengeIndex ?? -2);
 
     if (wasWinningShot) {
-      const basePfw = Number(cw.pointsForWin ?? 0) || 0;
-      const pfwApplied = basePfw * (cw.shutout ? 2 : 1);
+      const pfwApplied = Number(cw.pointsAwarded ?? winAward(cw.pointsForWin, cw.shutout, rules)) || 0;
       updates[`matchScore.${team}`] = Math.max(0, (updates[`matchScore.${team}`] ?? curMatch(team)) - pfwApplied);
+      updates[`challengeWins.${team}`] = Math.max(0, (Number(game.challengeWins?.[team] ?? 0) || 0) - 1);
       updates['challengeWon'] = null;
 
       if (cw.winLogId) {
@@ -549,7 +962,18 @@ export const deleteLogAndReverse = async (gameId, log) => {
       }
     }
 
-    if (Object.keys(updates).length > 0) tx.update(gameRef, updates);
+    // The shot that decided the match is gone → the match is live again
+    const phase = phaseOf(game);
+    if (phase === 'ended' && game.result?.shotLogId === log.id) {
+      Object.assign(updates, phaseUpdates(tx, gameId, game, 'reopen'));
+      updates.result = null;
+      updates.endedAt = null;
+      if (game.result.matchEndLogId) tx.delete(doc(db, 'games', gameId, 'logs', game.result.matchEndLogId));
+    } else if (wasWinningShot && (phase === 'challenge_won' || phase === 'intermission')) {
+      Object.assign(updates, phaseUpdates(tx, gameId, game, 'win_reversed'));
+    }
+
+    updateGame(tx, gameId, game, updates, 'delete_log', { logId: log.id, playerId: log.playerId ?? null, shotType, made });
 
     tx.delete(logRef);
   });
@@ -579,48 +1003,818 @@ export const deleteLogAndReverse = async (gameId, log) => {
   }
 };
 
+/* ========================= Amend ========================= */
+
+// Shots and penalties are what a challenge replay needs (the win log is re-derived)
+const isChallengeReplayLog = (l) => isShotLog(l) || isViolationLog(l);
+
+// Replay one challenge before/after a change to its logs (amend, violation) and
+// return the game-doc updates for the caller to merge. Rewrites the challenge_win
+// log when the winner changes. Writes only: the caller has done all its reads.
+const challengeReplayUpdates = (tx, gameId, game, { challengeIndex, meta, logs, before, after }) => {
+  const logsCol = collection(db, 'games', gameId, 'logs');
+  const challengeMeta = () => meta;
+  const prev = replayGameLogs(game, before, { challengeMeta });
+  const next = replayGameLogs(game, after, { challengeMeta });
+
+  const updates = {};
+  ['matchScore', 'challengeWins'].forEach((k) => ['A', 'B'].forEach((t) => {
+    const delta = next.patch[k][t] - prev.patch[k][t];
+    if (delta !== 0) updates[`${k}.${t}`] = Math.max(0, (Number(game[k]?.[t] ?? 0) || 0) + delta);
+  }));
+
+  // Win log: keep the old one if the same team still wins, else swap it
+  const oldWin = prev.wins[0] || null;
+  const newWin = next.wins[0] || null;
+  const oldWinLog = logs.find(l => l.type === 'challenge_win') || null;
+  let winLogId = oldWinLog?.id || null;
+  if (oldWinLog && (!newWin || newWin.team !== oldWinLog.team)) {
+    tx.delete(doc(logsCol, oldWinLog.id));
+    winLogId = null;
+  }
+  if (newWin) {
+    const fields = {
+      type: 'challenge_win',
+      byPlayerId: newWin.byPlayerId,
+      team: newWin.team,
+      challengeIndex,
+      pointsForWin: newWin.pointsForWin,
+      pointsAwarded: newWin.pointsAwarded,
+      shutout: !!newWin.shutout,
+      tag: 'GameWinner',
+    };
+    if (winLogId) {
+      tx.update(doc(logsCol, winLogId), fields);
+    } else {
+      const ref = doc(logsCol);
+      tx.set(ref, { ...fields, ts: newWin.shotTs || serverTimestamp() });
+      bumpLogSeq(tx, gameId);
+      winLogId = ref.id;
+    }
+  }
+
+  if (challengeIndex === Number(game.currentChallengeIndex ?? 0)) {
+    updates.challengeScore = next.patch.challengeScore;
+    updates.specials = next.patch.specials;
+    const sameWin = oldWin && newWin && oldWin.team === newWin.team && game.challengeWon;
+    updates.challengeWon = newWin
+      ? {
+          team: newWin.team,
+          atIndex: challengeIndex,
+          scoreA: newWin.scoreA,
+          scoreB: newWin.scoreB,
+          pointsForWin: newWin.pointsForWin,
+          pointsAwarded: newWin.pointsAwarded,
+          shutout: !!newWin.shutout,
+          winLogId,
+          ts: sameWin ? game.challengeWon.ts : serverTimestamp(),
+        }
+      : null;
+
+    // a win appearing / disappearing moves the phase with it
+    const phase = phaseOf(game);
+    if (newWin && phase === 'live') {
+      Object.assign(updates, phaseUpdates(tx, gameId, game, 'challenge_won'));
+    } else if (!newWin && (phase === 'challenge_won' || phase === 'intermission')) {
+      Object.assign(updates, phaseUpdates(tx, gameId, game, 'win_reversed'));
+    }
+  }
+  return updates;
+};
+
+const AMENDABLE_FIELDS = ['playerId', 'made', 'moneyball', 'shotType', 'zone'];
+
+/**
+ * Correct a logged shot in place (keeps its id and timestamp).
+ * patch: any of { playerId, made, moneyball, shotType, zone }.
+ * The shot's challenge is replayed before/after the change in one transaction, so
+ * challenge/match scores, specials, challengeWon (incl. shutout) and the
+ * challenge_win log all follow. Previous values go to log.amendments[].
+ */
+export const amendLog = async (gameId, logId, patch = {}) => {
+  const uid = auth.currentUser?.uid || 'unknown';
+  const clean = {};
+  AMENDABLE_FIELDS.forEach((k) => { if (patch[k] !== undefined) clean[k] = patch[k]; });
+  if (Object.keys(clean).length === 0) throw new Error('Nothing to amend');
+  if ('made' in clean) clean.made = !!clean.made;
+  if ('moneyball' in clean) clean.moneyball = !!clean.moneyball;
+
+  const gameRef = doc(db, 'games', gameId);
+  const logsCol = collection(db, 'games', gameId, 'logs');
+  const logRef = doc(logsCol, logId);
+
+  // Locate every log of the same challenge (shots + its win log) up front;
+  // the transaction re-reads them so the replay sees a consistent snapshot.
+  const first = await getDoc(logRef);
+  if (!first.exists()) throw new Error('Log not found');
+  if (!isShotLog(first.data())) throw new Error('Only shots can be amended');
+  const challengeIndex = Number(first.data().challengeIndex ?? 0);
+  const siblings = await getDocs(query(logsCol, where('challengeIndex', '==', challengeIndex)));
+  const histSnap = await getDocs(query(collection(db, 'games', gameId, 'history'), where('logId', '==', logId), limit(1)));
+
+  await runTransaction(db, async (tx) => {
+    const gameSnap = await tx.get(gameRef);
+    if (!gameSnap.exists()) throw new Error('Game not found');
+    const game = gameSnap.data();
+
+    const logs = [];
+    for (const d of siblings.docs) {
+      const snap = await tx.get(d.ref);
+      if (snap.exists()) logs.push({ id: snap.id, ...snap.data() });
+    }
+    const original = logs.find(l => l.id === logId);
+    if (!original) throw new Error('Log not found');
+
+    const meta = await getChallengeMetaAt(tx, game, challengeIndex);
+
+    const amended = { ...original, ...clean };
+    if (isBonusType(amended.shotType) !== isBonusType(original.shotType)) {
+      throw new Error('A bonus shot can only be amended to another bonus shot.');
+    }
+    const team = playerTeamKey(game, amended.playerId, { includeBench: true });
+    if (!team) throw new Error('Player not in game');
+    amended.team = team;
+
+    // Same ownership rule as logShot, for the old and the new team
+    const isMain = uid === game.roles?.main;
+    if (!isMain) {
+      [original.team, team].forEach((t) => {
+        if (!holdsTeamLock(game, t, uid)) {
+          throw new Error(`You’re not the assigned tracker for Team ${t}`);
+        }
+      });
+    }
+
+    const rules = normalizeRuleset(game.ruleset);
+    const shotsAfter = logs.map(l => (l.id === logId ? amended : l)).filter(isShotLog);
+    ['A', 'B'].forEach((t) => {
+      const mine = shotsAfter.filter(l => l.team === t && !isBonusType(l.shotType));
+      const over = (n, kind) => rules.limits[kind] !== null && n > rules.limits[kind];
+      if (over(mine.filter(countsAsMoneyball).length, 'moneyball')) {
+        throw new Error(`Team ${t} would go over the Moneyball limit this challenge.`);
+      }
+      if (over(mine.filter(l => l.shotType === 'gamechanger').length, 'gamechanger')) {
+        throw new Error(`Team ${t} would go over the Gamechanger limit this challenge.`);
+      }
+    });
+
+    // Replay this challenge with and without the amendment
+    const updates = challengeReplayUpdates(tx, gameId, game, {
+      challengeIndex,
+      meta,
+      logs,
+      before: logs.filter(isChallengeReplayLog),
+      after: logs.map(l => (l.id === logId ? amended : l)).filter(isChallengeReplayLog),
+    });
+
+    updateGame(tx, gameId, game, updates, 'amend_log', { logId, patch: clean });
+
+    const previous = {};
+    Object.keys(clean).forEach((k) => { previous[k] = original[k] === undefined ? null : original[k]; });
+    if (clean.playerId !== undefined) previous.team = original.team;
+    tx.update(logRef, {
+      ...clean,
+      team,
+      amendments: [
+        ...(Array.isArray(original.amendments) ? original.amendments : []),
+        { by: uid, at: new Date(), previous },
+      ],
+    });
+
+    // keep redo in step with the corrected shot
+    const hist = histSnap.docs[0];
+    if (hist) {
+      const params = { ...(hist.data().params || {}), ...clean };
+      tx.update(hist.ref, { params, scope: team });
+    }
+  });
+};
+
+/* ========================= Violations ========================= */
+/*
+A referee call against a team (see violations.js). The penalty is applied by
+replaying the challenge with the violation log added, exactly like amendLog, so
+voiding the winning shot also takes the win (and its match points) back.
+*/
+
+// Both violation paths read the challenge's logs up front and again in the transaction.
+const loadChallengeLogs = async (tx, gameId, challengeIndex, preRead) => {
+  const logs = [];
+  for (const d of preRead.docs) {
+    const snap = await tx.get(d.ref);
+    if (snap.exists()) logs.push({ id: snap.id, ...snap.data() });
+  }
+  return logs;
+};
+
+const newestFirst = (a, b) => tsMillis(b.ts) - tsMillis(a.ts);
+
+/**
+ * Log a violation and apply its penalty.
+ * @param {{ team: 'A'|'B', playerId?: string|null, kind: string,
+ *           penalty: string | { type, points? } }} v
+ *   penalty.type: 'none' | 'void_last_shot' | 'deduct_points' | 'forfeit_moneyball' | 'forfeit_gamechanger'
+ * Resolves to the violation log id.
+ */
+export const logViolation = async (gameId, v = {}, { historyId = null } = {}) => {
+  const { team, playerId = null, kind = 'other', penalty = 'none' } = v || {};
+  if (team !== 'A' && team !== 'B') throw new Error('Team must be A or B.');
+  if (!VIOLATION_KINDS.includes(kind)) throw new Error(`Unknown violation “${kind}”.`);
+
+  const uid = auth.currentUser?.uid || 'unknown';
+  const gameRef = doc(db, 'games', gameId);
+  const logsCol = collection(db, 'games', gameId, 'logs');
+
+  const first = await getDoc(gameRef);
+  if (!first.exists()) throw new Error('Game not found');
+  const challengeIndex = Number(first.data()?.currentChallengeIndex ?? 0);
+  const siblings = await getDocs(query(logsCol, where('challengeIndex', '==', challengeIndex)));
+
+  return runTransaction(db, async (tx) => {
+    const gameSnap = await tx.get(gameRef);
+    if (!gameSnap.exists()) throw new Error('Game not found');
+    const game = gameSnap.data() || {};
+    if (Number(game.currentChallengeIndex ?? 0) !== challengeIndex) throw new Error('The challenge changed — try again.');
+
+    const phase = phaseOf(game);
+    if (phase === 'ended') throw new Error('Match has ended.');
+    if (phase === 'lobby' || phase === 'warmup') throw new Error('Match hasn’t started yet.');
+    if (uid !== game.roles?.main && !holdsTeamLock(game, team, uid)) {
+      throw new Error(`You’re not the assigned tracker for Team ${team}`);
+    }
+    if (playerId && playerTeamKey(game, playerId, { includeBench: true }) !== team) {
+      throw new Error(`That player isn’t on Team ${team}.`);
+    }
+
+    const pen = normalizePenalty(penalty, { bonusActive: !!game.bonusActive });
+    const logs = await loadChallengeLogs(tx, gameId, challengeIndex, siblings);
+
+    let voidedShotId = null;
+    if (pen.type === 'void_last_shot') {
+      const last = logs
+        .filter(l => isShotLog(l) && l.team === team && (!playerId || l.playerId === playerId))
+        .sort(newestFirst)[0];
+      if (!last) throw new Error('No shot to void in this challenge.');
+      voidedShotId = last.id;
+    }
+
+    const meta = await getChallengeMetaAt(tx, game, challengeIndex);
+
+    // ---- writes ----
+    const fields = { team, playerId, kind, penalty: pen, voidedShotId, challengeIndex };
+    const updates = challengeReplayUpdates(tx, gameId, game, {
+      challengeIndex,
+      meta,
+      logs,
+      before: logs.filter(isChallengeReplayLog),
+      after: [
+        ...logs.map(l => (l.id === voidedShotId ? { ...l, voided: true } : l)),
+        { type: 'violation', ...fields, ts: null }, // ts null sorts last
+      ].filter(isChallengeReplayLog),
+    });
+    const logRef = addMetaLog(tx, gameId, 'violation', fields);
+    updateGame(tx, gameId, game, updates, 'log_violation', { logId: logRef.id, ...fields });
+    if (voidedShotId) tx.update(doc(logsCol, voidedShotId), { voided: true, voidedBy: logRef.id });
+
+    recordAction(tx, gameId, {
+      kind: 'violation',
+      scope: team,
+      logId: logRef.id,
+      params: { team, playerId, kind, penalty: { type: pen.type, points: pen.points } },
+    }, historyId);
+    return logRef.id;
+  });
+};
+
+// Take a violation back: its penalty is reversed and a voided shot counts again.
+export const revokeViolation = async (gameId, logId) => {
+  const uid = auth.currentUser?.uid || 'unknown';
+  const gameRef = doc(db, 'games', gameId);
+  const logsCol = collection(db, 'games', gameId, 'logs');
+
+  const first = await getDoc(doc(logsCol, logId));
+  if (!first.exists()) throw new Error('Log not found');
+  if (!isViolationLog(first.data())) throw new Error('Not a violation');
+  const challengeIndex = Number(first.data().challengeIndex ?? 0);
+  const siblings = await getDocs(query(logsCol, where('challengeIndex', '==', challengeIndex)));
+
+  await runTransaction(db, async (tx) => {
+    const gameSnap = await tx.get(gameRef);
+    if (!gameSnap.exists()) throw new Error('Game not found');
+    const game = gameSnap.data() || {};
+    if (phaseOf(game) === 'ended') throw new Error('Match has ended.');
+
+    const logs = await loadChallengeLogs(tx, gameId, challengeIndex, siblings);
+    const v = logs.find(l => l.id === logId);
+    if (!v) throw new Error('Log not found');
+    if (uid !== game.roles?.main && !holdsTeamLock(game, v.team, uid)) {
+      throw new Error(`You’re not the assigned tracker for Team ${v.team}`);
+    }
+
+    const meta = await getChallengeMetaAt(tx, game, challengeIndex);
+
+    const updates = challengeReplayUpdates(tx, gameId, game, {
+      challengeIndex,
+      meta,
+      logs,
+      before: logs.filter(isChallengeReplayLog),
+      after: logs
+        .filter(l => l.id !== logId)
+        .map(l => (l.id === v.voidedShotId ? { ...l, voided: false } : l))
+        .filter(isChallengeReplayLog),
+    });
+    updateGame(tx, gameId, game, updates, 'revoke_violation', { logId, voidedShotId: v.voidedShotId || null });
+
+    tx.delete(doc(logsCol, logId));
+    if (v.voidedShotId && logs.some(l => l.id === v.voidedShotId)) {
+      tx.update(doc(logsCol, v.voidedShotId), { voided: false, voidedBy: null });
+    }
+  });
+};
+
+/* ========================= Undo / Redo ========================= */
+/*
+games/{gameId}/history/{entryId} = {
+  kind: 'shot'|'advance'|'bonus_start'|'bonus_end'|'clock_set'|'clock_reset'|'flip'|'match_end'|'substitution'|'timeout'|'violation',
+  scope: 'A'|'B'|'game',     // shots, violations, timeouts and substitutions belong to their team, the rest to the game
+  logId?,                    // log written by the action (deleted on undo)
+  params?,                   // arguments needed to re-apply it (redo)
+  before?,                   // game fields restored on undo (non-shot kinds)
+  undone: boolean, voided?: boolean,
+  by, ts, undoneAt?, undoneBy?, redoneAt?, redoneBy?
+}
+Newest live entry = undo target. Undone entries newer than it form the redo stack,
+so a new action after an undo drops the redo stack without extra writes.
+*/
+
+const HISTORY_DEPTH = 100;
+
+// Redo re-applies through the same transactional path as the original action.
+const REDO_BY_KIND = {
+  shot:        (gameId, e, opts) => logShot(gameId, e.params, opts),
+  advance:     (gameId, e, opts) => advanceToNextChallenge(gameId, opts),
+  bonus_start: (gameId, e, opts) => startBonusMode(gameId, opts),
+  bonus_end:   (gameId, e, opts) => endBonusMode(gameId, opts),
+  clock_set:   (gameId, e, opts) => setClockSeconds(gameId, e.params?.seconds, opts),
+  clock_reset: (gameId, e, opts) => resetClockSeconds(gameId, e.params?.seconds, opts),
+  flip:        (gameId, e, opts) => toggleFlipSides(gameId, opts),
+  match_end:   (gameId, e, opts) => endGame(gameId, opts),
+  substitution: (gameId, e, opts) => (e.params?.outId
+    ? substitutePlayer(gameId, e.params.team, e.params.outId, e.params.inId, opts)
+    : addPlayerToTeam(gameId, e.params?.team, e.params?.inId, opts)),
+  timeout:     (gameId, e, opts) => callTimeout(gameId, e.params?.team, opts),
+  violation:   (gameId, e, opts) => logViolation(gameId, e.params, opts),
+};
+
+// Main keeper works on the whole game; a tracker only on their locked team.
+const resolveHistoryScope = async (gameId) => {
+  const uid = auth.currentUser?.uid;
+  if (!uid) throw new Error('Not signed in');
+  const snap = await getDoc(doc(db, 'games', gameId));
+  if (!snap.exists()) throw new Error('Game not found');
+  const g = snap.data() || {};
+  if (uid === g.roles?.main) return null;
+  const team = teamOfSlot(trackerSlotOf(g, uid));
+  if (!team) throw new Error('You’re not the assigned tracker for a team.');
+  return team;
+};
+
+// newest → oldest
+const loadHistory = async (gameId, scope) => {
+  const col = collection(db, 'games', gameId, 'history');
+  const qy = scope
+    ? query(col, where('scope', '==', scope), orderBy('ts', 'desc'), limit(HISTORY_DEPTH))
+    : query(col, orderBy('ts', 'desc'), limit(HISTORY_DEPTH));
+  const snap = await getDocs(qy);
+  return snap.docs.map(d => ({ id: d.id, ...d.data() })).filter(e => !e.voided);
+};
+
+const splitHistory = (entries) => {
+  const liveIdx = entries.findIndex(e => !e.undone);
+  const redoStack = liveIdx === -1 ? entries : entries.slice(0, liveIdx);
+  return {
+    undoTarget: liveIdx === -1 ? null : entries[liveIdx],
+    redoTarget: redoStack.length ? redoStack[redoStack.length - 1] : null,
+  };
+};
+
+// Returns false when the entry no longer applies (its shot was already removed).
+const undoEntry = async (gameId, e) => {
+  const histRef = doc(db, 'games', gameId, 'history', e.id);
+  const undoneMeta = {
+    undone: true,
+    undoneAt: serverTimestamp(),
+    undoneBy: auth.currentUser?.uid || 'unknown',
+  };
+
+  if (e.kind === 'shot') {
+    const logSnap = await getDoc(doc(db, 'games', gameId, 'logs', e.logId));
+    if (!logSnap.exists()) {
+      await updateDoc(histRef, { voided: true });
+      return false;
+    }
+    await deleteLogAndReverse(gameId, { id: logSnap.id, ...logSnap.data() });
+    await updateDoc(histRef, undoneMeta);
+    return true;
+  }
+
+  if (e.kind === 'violation') {
+    const logSnap = await getDoc(doc(db, 'games', gameId, 'logs', e.logId));
+    if (!logSnap.exists()) {
+      await updateDoc(histRef, { voided: true });
+      return false;
+    }
+    await revokeViolation(gameId, e.logId);
+    await updateDoc(histRef, undoneMeta);
+    return true;
+  }
+
+  if (e.kind === 'advance' && e.after?.currentChallengeIndex !== undefined) {
+    const toIndex = Number(e.after.currentChallengeIndex);
+    const newer = await getDocs(query(
+      collection(db, 'games', gameId, 'logs'),
+      where('challengeIndex', '==', toIndex),
+      limit(20)
+    ));
+    if (newer.docs.some(d => isShotLog(d.data()))) {
+      throw new Error('Undo the shots in the new challenge first.');
+    }
+  }
+
+  const gameRef = doc(db, 'games', gameId);
+  await runTransaction(db, async (tx) => {
+    const snap = await tx.get(gameRef);
+    if (!snap.exists()) throw new Error('Game not found');
+    const cur = snap.data() || {};
+    const before = { ...(e.before || {}) };
+    // a restored intermission that has run out must not auto-advance again
+    if (before.intermission && tsMillis(before.intermission.endsAt) <= serverNow()) {
+      before.intermission = { ...before.intermission, cancelled: true };
+    }
+    if (e.before) {
+      const from = phaseOf(cur);
+      const to = phaseOf({ ...cur, ...before });
+      if (from !== to) recordTransition(tx, gameId, { event: 'undo', from, to });
+    }
+    updateGame(tx, gameId, cur, before, 'undo', { kind: e.kind, historyId: e.id, logId: e.logId || null });
+    if (e.logId) tx.delete(doc(db, 'games', gameId, 'logs', e.logId));
+    tx.update(histRef, undoneMeta);
+  });
+  return true;
+};
+
+/**
+ * Undo the caller's most recent action (trackers: their team; main keeper: anything).
+ * Resolves to the history entry that was undone.
+ */
+export const undoLastAction = async (gameId) => {
+  const scope = await resolveHistoryScope(gameId);
+  let entries = await loadHistory(gameId, scope);
+  let { undoTarget } = splitHistory(entries);
+  while (undoTarget) {
+    if (await undoEntry(gameId, undoTarget)) return undoTarget;
+    const skipped = undoTarget;
+    entries = entries.filter(e => e !== skipped);
+    ({ undoTarget } = splitHistory(entries));
+  }
+  throw new Error('Nothing to undo');
+};
+
+/**
+ * Re-apply the most recently undone action in the caller's scope.
+ * Resolves to the history entry that was redone.
+ */
+export const redoLastAction = async (gameId) => {
+  const scope = await resolveHistoryScope(gameId);
+  const { redoTarget } = splitHistory(await loadHistory(gameId, scope));
+  if (!redoTarget) throw new Error('Nothing to redo');
+  const run = REDO_BY_KIND[redoTarget.kind];
+  if (!run) throw new Error(`Cannot redo “${redoTarget.kind}”.`);
+  await run(gameId, redoTarget, { historyId: redoTarget.id });
+  return redoTarget;
+};
+
+/* ========================= Rebuild from Logs ========================= */
+
+// Prefetch { target, pointsForWin } for every challenge the game can reach.
+const loadChallengeMetas = async (game) => {
+  if (game.mode === 'freestyle') {
+    const meta = {
+      target: Number(game?.freestyle?.targetScore ?? game?.freestyleTarget ?? 0) || 0,
+      pointsForWin: Number(game?.freestyle?.pointsForWin ?? game?.freestyleWorth ?? 0) || 0,
+    };
+    return () => meta;
+  }
+  const ids = Array.isArray(game.sequenceChallengeIds) ? game.sequenceChallengeIds : [];
+  const metas = await Promise.all(ids.map(async (id) => {
+    const snap = await getDoc(doc(db, 'challenges', id));
+    const c = snap.exists() ? (snap.data() || {}) : {};
+    return {
+      target: Number(c?.targetScore ?? 0) || 0,
+      pointsForWin: Number(c?.pointsForWin ?? 0) || 0,
+    };
+  }));
+  return (index) => metas[index] || { target: 0, pointsForWin: 0 };
+};
+
+/**
+ * Recompute the game doc's scoring state purely from games/{gameId}/logs
+ * and reconcile the challenge_win logs with the re-derived wins.
+ * Main-keeper tool for when the scoreboard drifts (e.g. after a run of undos).
+ * The replay and its write share one transaction; a log written meanwhile
+ * moves the game's logSeq and makes it fail rather than be overwritten.
+ * The clock is not touched.
+ * Returns { before, after } score summaries.
+ */
+export const rebuildGame = async (gameId) => {
+  const uid = auth.currentUser?.uid;
+  const gameRef = doc(db, 'games', gameId);
+  const logsCol = collection(db, 'games', gameId, 'logs');
+  const first = await getDoc(gameRef);
+  if (!first.exists()) throw new Error('Game not found');
+  assertKeeper(first.data(), uid, 'rebuild');
+  const logSeq = Number(first.data()?.logSeq || 0);
+
+  // queries can't run inside a transaction: list the logs up front, re-read them in it
+  const logIds = (await getDocs(query(logsCol, orderBy('ts', 'asc')))).docs.map(d => d.id);
+  const challengeMeta = await loadChallengeMetas(first.data() || {});
+
+  return runTransaction(db, async (tx) => {
+    const gameSnap = await tx.get(gameRef);
+    if (!gameSnap.exists()) throw new Error('Game not found');
+    const game = gameSnap.data() || {};
+    assertKeeper(game, uid, 'rebuild');
+    // the game doc is in the read set: a log landing from here on retries this callback
+    if (Number(game.logSeq || 0) !== logSeq) {
+      throw new Error('New log entries arrived during the rebuild — try again.');
+    }
+
+    const logs = [];
+    for (const id of logIds) {
+      const snap = await tx.get(doc(logsCol, id));
+      if (snap.exists()) logs.push({ id: snap.id, ...snap.data() });
+    }
+
+    const { patch, wins } = replayGameLogs(game, logs, { challengeMeta });
+    CLOCK_FIELDS.forEach((k) => { delete patch[k]; }); // the clock is live state, not derived
+
+    // Keep a win log per derived win; drop the stale ones.
+    const winKey = (team, index) => `${team}|${Number(index)}`;
+    const existingWins = new Map();
+    logs.filter(l => l.type === 'challenge_win').forEach((l) => {
+      const key = winKey(l.team, l.challengeIndex);
+      if (existingWins.has(key)) tx.delete(doc(logsCol, l.id));
+      else existingWins.set(key, l);
+    });
+
+    const winLogIds = {};
+    for (const w of wins) {
+      const key = winKey(w.team, w.atIndex);
+      const fields = {
+        type: 'challenge_win',
+        byPlayerId: w.byPlayerId,
+        team: w.team,
+        challengeIndex: w.atIndex,
+        pointsForWin: w.pointsForWin,
+        pointsAwarded: w.pointsAwarded,
+        shutout: !!w.shutout,
+        tag: 'GameWinner',
+      };
+      const existing = existingWins.get(key);
+      if (existing) {
+        tx.update(doc(logsCol, existing.id), fields);
+        winLogIds[key] = existing.id;
+        existingWins.delete(key);
+      } else {
+        const ref = doc(logsCol);
+        tx.set(ref, { ...fields, ts: w.shotTs || serverTimestamp() });
+        bumpLogSeq(tx, gameId);
+        winLogIds[key] = ref.id;
+      }
+    }
+    existingWins.forEach((l) => tx.delete(doc(logsCol, l.id)));
+
+    // scores may have moved the phase (won / not won, bonus, overtime)
+    const curPhase = phaseOf(game);
+    const derivedPhase = phaseOf({ ...patch, status: 'live' });
+    const phase = ['lobby', 'warmup', 'ended'].includes(curPhase)
+      || (curPhase === 'intermission' && derivedPhase === 'challenge_won')
+      ? curPhase : derivedPhase;
+    if (phase !== curPhase) recordTransition(tx, gameId, { event: 'rebuild', from: curPhase, to: phase });
+
+    const cw = patch.challengeWon;
+    updateGame(tx, gameId, game, {
+      ...patch,
+      phase,
+      status: statusForPhase(phase),
+      challengeWon: cw
+        ? {
+            team: cw.team,
+            atIndex: cw.atIndex,
+            scoreA: cw.scoreA,
+            scoreB: cw.scoreB,
+            pointsForWin: cw.pointsForWin,
+            pointsAwarded: cw.pointsAwarded,
+            shutout: !!cw.shutout,
+            winLogId: winLogIds[winKey(cw.team, cw.atIndex)] || null,
+            ts: cw.shotTs || serverTimestamp(),
+          }
+        : null,
+      rebuiltAt: serverTimestamp(),
+      rebuiltBy: uid || 'unknown',
+    }, 'rebuild_game', { logCount: logs.length });
+
+    return {
+      before: { matchScore: game.matchScore || null, challengeScore: game.challengeScore || null },
+      after: { matchScore: patch.matchScore, challengeScore: patch.challengeScore },
+      shotCount: logs.filter(isShotLog).length,
+    };
+  });
+};
+
 /* ========================= Bonus / End / Clock ========================= */
 
-export const startBonusMode = async (gameId) => {
+const BONUS_SECONDS = 180;
+
+// measured against server time (clockService) so every device agrees
+const remainingSeconds = (g) => computeDisplayedSeconds(g.clockSeconds, g.clockRunning, g.lastStartAt);
+
+export const startBonusMode = async (gameId, { historyId = null } = {}) => {
   const gameRef = doc(db, 'games', gameId);
   await runTransaction(db, async (tx) => {
     const snap = await tx.get(gameRef);
     if (!snap.exists()) throw new Error('Game not found');
     const g = snap.data() || {};
-    // compute remaining and stop
-    const base = Number(g.clockSeconds || 0);
-    const last = g.lastStartAt;
-    let remaining = base;
-    if (g.clockRunning && last) {
-      const lastMs = last.toMillis ? last.toMillis() : Date.parse(last);
-      const elapsed = Math.max(0, Math.floor((Date.now() - lastMs) / 1000));
-      remaining = Math.max(0, base - elapsed);
-    }
-    tx.update(gameRef, {
-      clockSeconds: 180,
+    assertKeeper(g, auth.currentUser?.uid, 'bonus');
+    updateGame(tx, gameId, g, {
+      clockSeconds: BONUS_SECONDS,
       clockRunning: false,
       lastStartAt: null,
       bonusActive: true,
       overtimeCount: 0,
-    });
+      challengeWon: null, // started from a won challenge: that win is settled
+      intermission: null,
+      ...phaseUpdates(tx, gameId, g, 'start_bonus'),
+    }, 'start_bonus');
+    const logRef = addMetaLog(tx, gameId, 'bonus_start', { seconds: BONUS_SECONDS });
+    recordAction(tx, gameId, {
+      kind: 'bonus_start',
+      scope: 'game',
+      logId: logRef.id,
+      before: pick(g, BONUS_FIELDS),
+    }, historyId);
   });
 };
 
-export const endBonusMode = async (gameId) =>
-  updateDoc(doc(db, 'games', gameId), { bonusActive: false });
+export const endBonusMode = async (gameId, { historyId = null } = {}) => {
+  const gameRef = doc(db, 'games', gameId);
+  await runTransaction(db, async (tx) => {
+    const snap = await tx.get(gameRef);
+    if (!snap.exists()) throw new Error('Game not found');
+    const g = snap.data() || {};
+    assertKeeper(g, auth.currentUser?.uid, 'bonus');
+    updateGame(tx, gameId, g, { bonusActive: false, ...phaseUpdates(tx, gameId, g, 'end_bonus') }, 'end_bonus');
+    const logRef = addMetaLog(tx, gameId, 'bonus_end');
+    recordAction(tx, gameId, {
+      kind: 'bonus_end',
+      scope: 'game',
+      logId: logRef.id,
+      before: pick(g, ['bonusActive', ...PHASE_FIELDS]),
+    }, historyId);
+  });
+};
 
-export const endGame = async (gameId) =>
-  updateDoc(doc(db, 'games', gameId), { status: 'ended' });
+/* ------------------------------ Overtime ------------------------------ */
+// Bonus clock at 0 with tied match scores → next overtime period.
+// Durations come from the game's ruleset snapshot (ruleset.overtime).
+
+/**
+ * Resolve a bonus round whose clock has run out. Safe to call from every
+ * screen at once: the transaction only acts while the bonus clock reads 0, and
+ * starting overtime puts time back on it / ending the match sets status
+ * 'ended', so later calls are no-ops.
+ * A lead ends the match; a tie starts overtime, or is a draw when the match
+ * format has overtime off.
+ * @param {string} gameId
+ * @param {{ atCount?: number }} opts  optional guard: only act if overtimeCount still equals atCount
+ * @returns {Promise<{ action: 'none'|'overtime'|'ended', overtime?: number, seconds?: number, winner?: 'A'|'B'|null }>}
+ */
+export const resolveBonusExpiry = async (gameId, { atCount } = {}) => {
+  const gameRef = doc(db, 'games', gameId);
+  return runTransaction(db, async (tx) => {
+    const snap = await tx.get(gameRef);
+    if (!snap.exists()) throw new Error('Game not found');
+    const g = snap.data() || {};
 
-export const setClockSeconds = async (gameId, seconds) => {
+    const phase = phaseOf(g);
+    if (!g.bonusActive || (phase !== 'bonus' && phase !== 'overtime')) return { action: 'none' };
+    const count = Number(g.overtimeCount ?? 0) || 0;
+    if (atCount !== undefined && Number(atCount) !== count) return { action: 'none' };
+    if (remainingSeconds(g) > 0) return { action: 'none' };
+
+    const a = Number(g.matchScore?.A ?? 0) || 0;
+    const b = Number(g.matchScore?.B ?? 0) || 0;
+    const decidedBy = count > 0 ? 'overtime' : 'bonus';
+    if (a !== b || !normalizeMatchFormat(g.format).overtime) {
+      const winner = a > b ? 'A' : b > a ? 'B' : null;
+      updateGame(tx, gameId, g, matchEndUpdates(tx, gameId, g, { winner, decidedBy }), 'bonus_expired', { winner, decidedBy });
+      return { action: 'ended', winner };
+    }
+
+    const rules = normalizeRuleset(g.ruleset);
+    const seconds = count === 0 ? rules.overtime.firstSeconds : rules.overtime.nextSeconds;
+    const overtime = count + 1;
+    updateGame(tx, gameId, g, {
+      // bonusActive stays true
+      clockSeconds: seconds,
+      clockRunning: false,
+      lastStartAt: null,
+      overtimeCount: overtime,
+      ...phaseUpdates(tx, gameId, g, 'start_overtime'),
+    }, 'start_overtime', { overtime, seconds });
+    addMetaLog(tx, gameId, 'overtime_started', { overtime, seconds });
+    return { action: 'overtime', overtime, seconds };
+  });
+};
+
+// Per-game override of the overtime durations (game.ruleset.overtime only; the
+// rulesets/{id} doc it was copied from is untouched).
+export const setOvertimeDurations = async (gameId, { firstSeconds, nextSeconds }) => {
+  const gameRef = doc(db, 'games', gameId);
+  await runTransaction(db, async (tx) => {
+    const snap = await tx.get(gameRef);
+    if (!snap.exists()) throw new Error('Game not found');
+    const g = snap.data() || {};
+    assertKeeper(g, auth.currentUser?.uid, 'bonus');
+    const current = normalizeRuleset(g.ruleset);
+    const { overtime } = normalizeRuleset({
+      overtime: {
+        firstSeconds: firstSeconds ?? current.overtime.firstSeconds,
+        nextSeconds: nextSeconds ?? current.overtime.nextSeconds,
+      },
+    });
+    updateGame(tx, gameId, g, { ruleset: { ...current, overtime } }, 'set_overtime_durations');
+  });
+};
+
+// Manual end: whoever leads on match points wins (null on a tie).
+export const endGame = async (gameId, { historyId = null } = {}) => {
+  const gameRef = doc(db, 'games', gameId);
+  await runTransaction(db, async (tx) => {
+    const snap = await tx.get(gameRef);
+    if (!snap.exists()) throw new Error('Game not found');
+    const g = snap.data() || {};
+    assertKeeper(g, auth.currentUser?.uid, 'end_match');
+    if (phaseOf(g) === 'ended') return;
+    const a = Number(g.matchScore?.A ?? 0) || 0;
+    const b = Number(g.matchScore?.B ?? 0) || 0;
+    const winner = a > b ? 'A' : b > a ? 'B' : null;
+    const updates = matchEndUpdates(tx, gameId, g, { winner, decidedBy: 'manual' });
+    updateGame(tx, gameId, g, updates, 'end_game', { winner });
+    recordAction(tx, gameId, {
+      kind: 'match_end',
+      scope: 'game',
+      logId: updates.result.matchEndLogId,
+      before: pick(g, MATCH_END_FIELDS),
+    }, historyId);
+  });
+};
+
+export const setClockSeconds = async (gameId, seconds, { historyId = null } = {}) => {
   const secs = Math.max(0, Number(seconds) || 0);
-  await updateDoc(doc(db, 'games', gameId), { clockSeconds: secs });
+  const gameRef = doc(db, 'games', gameId);
+  await runTransaction(db, async (tx) => {
+    const snap = await tx.get(gameRef);
+    if (!snap.exists()) throw new Error('Game not found');
+    const g = snap.data() || {};
+    assertKeeper(g, auth.currentUser?.uid, 'clock');
+    updateGame(tx, gameId, g, { clockSeconds: secs }, 'set_clock_seconds', { seconds: secs });
+    const logRef = addMetaLog(tx, gameId, 'clock_set', { seconds: secs });
+    recordAction(tx, gameId, {
+      kind: 'clock_set',
+      scope: 'game',
+      logId: logRef.id,
+      params: { seconds: secs },
+      before: pick(g, ['clockSeconds']),
+    }, historyId);
+  });
 };
 
 export const startClock = async (gameId) => {
-  await updateDoc(doc(db, 'games', gameId), {
-    clockRunning: true,
-    lastStartAt: serverTimestamp(),
+  const gameRef = doc(db, 'games', gameId);
+  await runTransaction(db, async (tx) => {
+    const snap = await tx.get(gameRef);
+    if (!snap.exists()) throw new Error('Game not found');
+    const g = snap.data() || {};
+    assertKeeper(g, auth.currentUser?.uid, 'clock');
+    const phase = phaseOf(g);
+    if (!acceptsShots(phase)) throw new Error(`Can’t start the clock during ${phaseLabel(phase)}.`);
+    updateGame(tx, gameId, g, {
+      clockRunning: true,
+      lastStartAt: serverTimestamp(),
+      ...(g.timeout ? { timeout: null } : {}), // restarting play ends a timeout
+    }, 'start_clock');
+    addMetaLog(tx, gameId, 'clock_start', { seconds: Number(g.clockSeconds || 0) });
   });
 };
 
@@ -630,28 +1824,121 @@ export const stopClock = async (gameId) => {
     const snap = await tx.get(gameRef);
     if (!snap.exists()) throw new Error('Game not found');
     const g = snap.data() || {};
-    const base = Number(g.clockSeconds || 0);
-    const last = g.lastStartAt;
-    let remaining = base;
-    if (g.clockRunning && last) {
-      const lastMs = last.toMillis ? last.toMillis() : Date.parse(last);
-      const elapsed = Math.max(0, Math.floor((Date.now() - lastMs) / 1000));
-      remaining = Math.max(0, base - elapsed);
-    }
-    tx.update(gameRef, {
+    assertKeeper(g, auth.currentUser?.uid, 'clock');
+    // a won challenge or intermission may still have the clock running; before and after the match it never runs
+    const phase = phaseOf(g);
+    if (['lobby', 'warmup', 'ended'].includes(phase)) throw new Error(`Can’t stop the clock during ${phaseLabel(phase)}.`);
+    const remaining = remainingSeconds(g);
+    updateGame(tx, gameId, g, {
       clockSeconds: remaining,
       clockRunning: false,
       lastStartAt: null,
-    });
+    }, 'stop_clock');
+    addMetaLog(tx, gameId, 'clock_stop', { seconds: remaining });
   });
 };
 
-export const resetClockSeconds = async (gameId, seconds) => {
+export const resetClockSeconds = async (gameId, seconds, { historyId = null } = {}) => {
   const secs = Math.max(0, Number(seconds) || 0);
-  await updateDoc(doc(db, 'games', gameId), {
-    clockSeconds: secs,
-    clockRunning: false,
-    lastStartAt: null,
+  const gameRef = doc(db, 'games', gameId);
+  await runTransaction(db, async (tx) => {
+    const snap = await tx.get(gameRef);
+    if (!snap.exists()) throw new Error('Game not found');
+    const g = snap.data() || {};
+    assertKeeper(g, auth.currentUser?.uid, 'clock');
+    updateGame(tx, gameId, g, {
+      clockSeconds: secs,
+      clockRunning: false,
+      lastStartAt: null,
+    }, 'reset_clock_seconds', { seconds: secs });
+    const logRef = addMetaLog(tx, gameId, 'clock_reset', { seconds: secs });
+    recordAction(tx, gameId, {
+      kind: 'clock_reset',
+      scope: 'game',
+      logId: logRef.id,
+      params: { seconds: secs },
+      // a running clock is restored stopped at the time it showed
+      before: { clockSeconds: remainingSeconds(g), clockRunning: false, lastStartAt: null },
+    }, historyId);
+  });
+};
+
+/* ------------------------------ Timeouts ------------------------------ */
+/*
+ruleset.timeouts: { perChallenge, seconds }   // allowance per team, reset every challenge
+timeoutsUsed: { A, B }
+timeout: null | { team, endsAt: Timestamp, seconds, by }
+A timeout stops the clock like stopClock(); the countdown is display-only and
+the clock stays stopped until a keeper starts it (which clears `timeout`).
+*/
+
+const TIMEOUT_FIELDS = ['clockSeconds', 'clockRunning', 'lastStartAt', 'timeoutsUsed', 'timeout'];
+
+/**
+ * Team `team` calls a timeout (main keeper or that team's tracker).
+ * Resolves to the timeouts the team has left this challenge (null = unlimited).
+ */
+export const callTimeout = async (gameId, team, { historyId = null } = {}) => {
+  if (team !== 'A' && team !== 'B') throw new Error('Team must be A or B.');
+  const uid = auth.currentUser?.uid || 'unknown';
+  const gameRef = doc(db, 'games', gameId);
+  return runTransaction(db, async (tx) => {
+    const snap = await tx.get(gameRef);
+    if (!snap.exists()) throw new Error('Game not found');
+    const g = snap.data() || {};
+    if (uid !== g.roles?.main && !holdsTeamLock(g, team, uid)) {
+      throw new Error(`You’re not the assigned tracker for Team ${team}`);
+    }
+    if (!acceptsShots(phaseOf(g))) throw new Error('Timeouts can only be called while play is on.');
+    if (g.timeout && tsMillis(g.timeout.endsAt) > serverNow()) throw new Error('A timeout is already running.');
+
+    const rules = normalizeRuleset(g.ruleset);
+    const left = timeoutsLeft(g.timeoutsUsed, team, rules);
+    if (left === 0) throw new Error(`Team ${team} has no timeouts left this challenge.`);
+
+    const used = { ...emptyTimeouts(), ...(g.timeoutsUsed || {}) };
+    used[team] = (Number(used[team]) || 0) + 1;
+    const seconds = rules.timeouts.seconds;
+    const remaining = remainingSeconds(g);
+
+    updateGame(tx, gameId, g, {
+      clockSeconds: remaining,
+      clockRunning: false,
+      lastStartAt: null,
+      timeoutsUsed: used,
+      timeout: { team, endsAt: Timestamp.fromMillis(serverNow() + seconds * 1000), seconds, by: uid },
+    }, 'call_timeout', { team });
+    const logRef = addMetaLog(tx, gameId, 'timeout', {
+      team,
+      seconds,
+      clockSeconds: remaining,
+      challengeIndex: Number(g.currentChallengeIndex ?? 0),
+    });
+    recordAction(tx, gameId, {
+      kind: 'timeout',
+      scope: team, // the calling team's tracker can take it back
+      logId: logRef.id,
+      params: { team },
+      // like clock_reset: a running clock comes back stopped at the time it showed
+      before: { ...pick(g, TIMEOUT_FIELDS), clockSeconds: remaining, clockRunning: false, lastStartAt: null },
+    }, historyId);
+    return left === null ? null : left - 1;
+  });
+};
+
+// Clear the countdown early (the clock stays stopped; Start resumes play).
+export const endTimeout = async (gameId) => {
+  const uid = auth.currentUser?.uid || 'unknown';
+  const gameRef = doc(db, 'games', gameId);
+  await runTransaction(db, async (tx) => {
+    const snap = await tx.get(gameRef);
+    if (!snap.exists()) throw new Error('Game not found');
+    const g = snap.data() || {};
+    if (!g.timeout) return;
+    if (uid !== g.roles?.main && !holdsTeamLock(g, g.timeout.team, uid)) {
+      throw new Error(`You’re not the assigned tracker for Team ${g.timeout.team}`);
+    }
+    updateGame(tx, gameId, g, { timeout: null }, 'end_timeout', { team: g.timeout.team });
   });
 };
 
@@ -660,49 +1947,287 @@ export const resetClockSeconds = async (gameId, seconds) => {
 export const setFreestyleParams = async (gameId, { targetScore, pointsForWin }) => {
   const t = Math.max(0, Number(targetScore) || 0);
   const p = Math.max(0, Number(pointsForWin) || 0);
-  await updateDoc(doc(db, 'games', gameId), {
-    freestyle: { targetScore: t, pointsForWin: p },
-    freestyleTarget: t,
-    freestyleWorth: p,
+  const gameRef = doc(db, 'games', gameId);
+  await runTransaction(db, async (tx) => {
+    const snap = await tx.get(gameRef);
+    if (!snap.exists()) throw new Error('Game not found');
+    updateGame(tx, gameId, snap.data() || {}, {
+      freestyle: { ...(snap.data()?.freestyle || {}), targetScore: t, pointsForWin: p },
+      freestyleTarget: t,
+      freestyleWorth: p,
+    }, 'set_freestyle_params');
   });
 };
 
 /* ========================= Challenge Progression ========================= */
 
-export const advanceToNextChallenge = async (gameId) => {
+// Transaction body shared by the manual advance and the intermission auto-advance.
+// Writes only (the caller has done its reads). `clockSeconds` also resets the clock
+// when a new challenge starts. Ending the match takes the main keeper.
+const applyAdvance = (tx, gameId, g, { historyId = null, clockSeconds = null, action = 'advance_challenge' } = {}) => {
+  const uid = auth.currentUser?.uid;
+  assertKeeper(g, uid, 'advance');
+  if (phaseOf(g) === 'ended') throw new Error('Match has ended.');
+  const cur = Number(g.currentChallengeIndex ?? 0);
+  const total = Number(g.sequenceChallengeIds?.length ?? 1);
+
+  const regulationOver = isRegulationOver(g.format, {
+    index: cur, mode: g.mode, sequenceLength: total,
+  });
+  if (regulationOver && g.bonusActive) {
+    throw new Error('Bonus round in progress — it is decided when the clock runs out.');
+  }
+  if (regulationOver) {
+    const format = normalizeMatchFormat(g.format);
+    const lead = regulationLeader(format, g);
+    if (!lead && format.bonus) {
+      // tie → bonus round (same as startBonusMode); the last challenge's win is settled
+      updateGame(tx, gameId, g, {
+        clockSeconds: BONUS_SECONDS,
+        clockRunning: false,
+        lastStartAt: null,
+        bonusActive: true,
+        overtimeCount: 0,
+        challengeWon: null,
+        intermission: null,
+        ...phaseUpdates(tx, gameId, g, 'start_bonus'),
+      }, action, { result: 'bonus' });
+      const logRef = addMetaLog(tx, gameId, 'bonus_start', { seconds: BONUS_SECONDS, reason: 'regulation_tie' });
+      recordAction(tx, gameId, {
+        kind: 'advance',
+        scope: 'game',
+        logId: logRef.id,
+        before: pick(g, BONUS_FIELDS),
+      }, historyId);
+      return 'bonus';
+    }
+    assertKeeper(g, uid, 'end_match');
+    const decidedBy = lead?.decidedBy || (format.type === 'best_of' ? 'best_of' : 'sequence');
+    const updates = matchEndUpdates(tx, gameId, g, { winner: lead?.winner || null, decidedBy });
+    updateGame(tx, gameId, g, updates, action, { result: 'ended', winner: lead?.winner || null });
+    recordAction(tx, gameId, {
+      kind: 'advance',
+      scope: 'game',
+      logId: updates.result.matchEndLogId,
+      before: pick(g, MATCH_END_FIELDS),
+    }, historyId);
+    return 'ended';
+  }
+
+  const next = g.mode === 'sequence'
+    ? Math.min(cur + 1, Math.max(0, total - 1))
+    : cur + 1;
+
+  const updates = {
+    currentChallengeIndex: next,
+    challengeScore: startingScores(g.handicap, 'challengeStart'),
+    challengeWon: null,
+    specials: emptySpecials(),
+    timeoutsUsed: emptyTimeouts(),
+    timeout: null,
+    bonusActive: false,
+    overtimeCount: 0,
+    ...phaseUpdates(tx, gameId, g, 'next_challenge'),
+  };
+  if (clockSeconds !== null) {
+    updates.clockSeconds = clockSeconds;
+    updates.clockRunning = false;
+    updates.lastStartAt = null;
+  }
+
+  updateGame(tx, gameId, g, updates, action, { result: 'advanced', fromIndex: cur, toIndex: next });
+  const logRef = addMetaLog(tx, gameId, 'challenge_advance', { fromIndex: cur, toIndex: next });
+  recordAction(tx, gameId, {
+    kind: 'advance',
+    scope: 'game',
+    logId: logRef.id,
+    before: pick(g, ADVANCE_FIELDS),
+    after: { currentChallengeIndex: next },
+  }, historyId);
+  return 'advanced';
+};
+
+/**
+ * Move to the next challenge — or, when the match format says regulation is
+ * over, end the match (leader wins) or start the bonus round on a tie.
+ * Resolves to 'advanced' | 'bonus' | 'ended'.
+ */
+export const advanceToNextChallenge = async (gameId, { historyId = null } = {}) => {
+  const gameRef = doc(db, 'games', gameId);
+  return runTransaction(db, async (tx) => {
+    const snap = await tx.get(gameRef);
+    if (!snap.exists()) throw new Error('Game not found');
+    return applyAdvance(tx, gameId, snap.data() || {}, { historyId });
+  });
+};
+
+/* ------------------------------ Intermission ------------------------------ */
+/*
+autoAdvance: { enabled, intermissionSeconds }       // policy, see gamePhase.js
+intermission: null | {                               // set when a win starts one
+  endsAt: Timestamp, seconds, nextIndex, nextName|null, cancelled: boolean
+}
+Any keeper's screen may call completeIntermission() once endsAt passes; the
+transaction makes sure only the first one advances.
+*/
+
+export const completeIntermission = async (gameId) => {
+  const gameRef = doc(db, 'games', gameId);
+  return runTransaction(db, async (tx) => {
+    const snap = await tx.get(gameRef);
+    if (!snap.exists()) throw new Error('Game not found');
+    const g = snap.data() || {};
+    const im = g.intermission;
+    if (phaseOf(g) !== 'intermission' || !im || im.cancelled) return 'none';
+    if (tsMillis(im.endsAt) > serverNow() + 250) return 'none';
+
+    const next = await getChallengeMetaAt(tx, g, Number(g.currentChallengeIndex ?? 0) + 1);
+    const clockSeconds = Number(next.durationSeconds ?? g.defaultClockSeconds ?? g.clockSeconds ?? 0) || 0;
+    return applyAdvance(tx, gameId, g, { clockSeconds, action: 'complete_intermission' });
+  });
+};
+
+// Keeper stops the countdown; the game stays in intermission until Next Challenge.
+export const cancelAutoAdvance = async (gameId) => {
   const gameRef = doc(db, 'games', gameId);
   await runTransaction(db, async (tx) => {
     const snap = await tx.get(gameRef);
     if (!snap.exists()) throw new Error('Game not found');
     const g = snap.data() || {};
-    const cur = Number(g.currentChallengeIndex ?? 0);
-    const total = Number(g.sequenceChallengeIds?.length ?? 1);
-    const next = g.mode === 'sequence'
-      ? Math.min(cur + 1, Math.max(0, total - 1))
-      : cur + 1;
-
-    const updates = {
-      currentChallengeIndex: next,
-      challengeScore: { A: 0, B: 0 },
-      challengeWon: null,
-      specials: { A: { moneyUsed: false, gcUsed: false }, B: { moneyUsed: false, gcUsed: false } },
-      bonusActive: false,
-      overtimeCount: 0,
+    if (auth.currentUser?.uid !== g.roles?.main) throw new Error('Only the main keeper can cancel auto-advance.');
+    if (phaseOf(g) !== 'intermission' || !g.intermission) throw new Error('No intermission countdown running.');
+    updateGame(tx, gameId, g, { 'intermission.cancelled': true }, 'cancel_auto_advance');
+    recordTransition(tx, gameId, { event: 'cancel_auto_advance', from: 'intermission', to: 'intermission' });
+  });
+};
+
+export const setAutoAdvancePolicy = async (gameId, policy) => {
+  const gameRef = doc(db, 'games', gameId);
+  await runTransaction(db, async (tx) => {
+    const snap = await tx.get(gameRef);
+    if (!snap.exists()) throw new Error('Game not found');
+    const g = snap.data() || {};
+    if (auth.currentUser?.uid !== g.roles?.main) throw new Error('Only the main keeper can change auto-advance.');
+    updateGame(tx, gameId, g, { autoAdvance: normalizeAutoAdvance(policy) }, 'set_auto_advance_policy');
+  });
+};
+
+/* ========================= Lifecycle ========================= */
+
+// Events with scoring side effects run through their engine function; the rest
+// (lobby → warmup → live, intermission) only move the phase.
+const ENGINE_EVENTS = {
+  next_challenge: (gameId, opts) => advanceToNextChallenge(gameId, opts),
+  start_bonus:    (gameId, opts) => startBonusMode(gameId, opts),
+  end_bonus:      (gameId, opts) => endBonusMode(gameId, opts),
+  start_overtime: (gameId, opts) => resolveBonusExpiry(gameId, opts),
+  end_match:      (gameId, opts) => endGame(gameId, opts),
+};
+// Applied by the scoring engine itself (wins, undo), never requested directly
+const ENGINE_ONLY = ['challenge_won', 'win_reversed', 'reopen'];
+
+/**
+ * The one entry point for moving a game through its lifecycle (see gamePhase.js).
+ * Illegal moves throw; every move is recorded in games/{id}/transitions.
+ * @param {string} gameId
+ * @param {string} event  e.g. 'open_warmup' | 'start_match' | 'begin_intermission' | 'next_challenge' | 'end_match'
+ */
+export const transitionGame = async (gameId, event, opts = {}) => {
+  if (ENGINE_ONLY.includes(event)) throw new Error(`“${event}” is applied by the scoring engine.`);
+  if (ENGINE_EVENTS[event]) return ENGINE_EVENTS[event](gameId, opts);
+
+  const gameRef = doc(db, 'games', gameId);
+  return runTransaction(db, async (tx) => {
+    const snap = await tx.get(gameRef);
+    if (!snap.exists()) throw new Error('Game not found');
+    const g = snap.data() || {};
+    if (auth.currentUser?.uid !== g.roles?.main) throw new Error('Only the main keeper can change the game phase.');
+    const updates = phaseUpdates(tx, gameId, g, event);
+    if (event === 'start_match') updates.startedAt = serverTimestamp();
+    updateGame(tx, gameId, g, updates, 'transition', { event });
+    return updates.phase;
+  });
+};
+
+/* ========================= Roster Changes ========================= */
+/*
+teamAIds / teamBIds are the players on court; a substituted-out player moves to
+bench[team] so their shots still count for the team. Every change writes a
+`substitution` log (lineup.js replays who was on court when) and is undoable.
+*/
+
+const LINEUP_FIELDS = ['teamAIds', 'teamBIds', 'bench'];
+
+const applyLineupChange = async (gameId, team, { outId = null, inId }, historyId = null) => {
+  if (team !== 'A' && team !== 'B') throw new Error('Team must be A or B.');
+  if (!inId) throw new Error('Pick the player coming in.');
+  if (outId && outId === inId) throw new Error('A player can’t replace themselves.');
+
+  const uid = auth.currentUser?.uid || 'unknown';
+  const gameRef = doc(db, 'games', gameId);
+  await runTransaction(db, async (tx) => {
+    const snap = await tx.get(gameRef);
+    if (!snap.exists()) throw new Error('Game not found');
+    const g = snap.data() || {};
+    if (phaseOf(g) === 'ended') throw new Error('Match has ended.');
+    if (uid !== g.roles?.main && !holdsTeamLock(g, team, uid)) {
+      throw new Error(`You’re not the assigned tracker for Team ${team}`);
+    }
+
+    const other = team === 'A' ? 'B' : 'A';
+    const onCourt = onCourtIds(g, team);
+    if (outId && !onCourt.includes(outId)) throw new Error(`That player isn’t on court for Team ${team}.`);
+    if (teamOfPlayer(g, inId)) throw new Error('That player is already on court.');
+    if (benchIds(g, other).includes(inId)) throw new Error(`That player has already played for Team ${other}.`);
+
+    const nextOnCourt = outId ? onCourt.map(pid => (pid === outId ? inId : pid)) : [...onCourt, inId];
+    const nextBench = {
+      A: benchIds(g, 'A'),
+      B: benchIds(g, 'B'),
+      [team]: [...benchIds(g, team).filter(pid => pid !== inId), ...(outId ? [outId] : [])],
     };
 
-    tx.update(gameRef, updates);
+    updateGame(tx, gameId, g, { [teamField(team)]: nextOnCourt, bench: nextBench }, outId ? 'substitute_player' : 'add_player', { team, outId, inId });
+    const logRef = addMetaLog(tx, gameId, 'substitution', {
+      team, outId, inId,
+      onCourt: nextOnCourt,
+      challengeIndex: Number(g.currentChallengeIndex ?? 0),
+    });
+    recordAction(tx, gameId, {
+      kind: 'substitution',
+      scope: team, // the team's tracker can take it back
+      logId: logRef.id,
+      params: { team, outId, inId },
+      before: pick(g, LINEUP_FIELDS),
+    }, historyId);
   });
+
+  await ensureRosterDocsForPlayers(gameId, [inId]);
+};
+
+/**
+ * Swap a player on court for another (injury, rotation). The player going out
+ * moves to the bench; `inId` may come from the bench or be new to the game.
+ */
+export const substitutePlayer = async (gameId, team, outId, inId, { historyId = null } = {}) => {
+  if (!outId) throw new Error('Pick the player going out.');
+  return applyLineupChange(gameId, team, { outId, inId }, historyId);
 };
 
+// Late arrival (or a benched player coming back) without anyone leaving.
+export const addPlayerToTeam = async (gameId, team, playerId, { historyId = null } = {}) =>
+  applyLineupChange(gameId, team, { inId: playerId }, historyId);
+
 /* ========================= Casting UI Helpers ========================= */
 
-export const toggleFlipSides = async (gameId) => {
+export const toggleFlipSides = async (gameId, { historyId = null } = {}) => {
   const ref = doc(db, 'games', gameId);
   await runTransaction(db, async (tx) => {
     const snap = await tx.get(ref);
     if (!snap.exists()) throw new Error('Game not found');
     const cur = !!snap.data()?.uiFlipSides;
-    tx.update(ref, { uiFlipSides: !cur });
+    updateGame(tx, gameId, snap.data() || {}, { uiFlipSides: !cur }, 'toggle_flip_sides');
+    recordAction(tx, gameId, { kind: 'flip', scope: 'game', before: { uiFlipSides: cur } }, historyId);
   });
 };
 
@@ -710,7 +2235,12 @@ export const setPaused = async (gameId, paused, reason = '') => {
   const patch = paused
     ? { paused: true, pauseMeta: { by: auth.currentUser?.uid || 'unknown', reason, at: serverTimestamp() }, clockRunning: false, lastStartAt: null }
     : { paused: false, pauseMeta: null, disputeLock: null };
-  await updateDoc(doc(db, 'games', gameId), patch);
+  const ref = doc(db, 'games', gameId);
+  await runTransaction(db, async (tx) => {
+    const snap = await tx.get(ref);
+    if (!snap.exists()) throw new Error('Game not found');
+    updateGame(tx, gameId, snap.data() || {}, patch, paused ? 'pause' : 'resume', reason ? { reason } : null);
+  });
 };
 
 export const claimDispute = async (gameId) => {
@@ -722,12 +2252,18 @@ export const claimDispute = async (gameId) => {
     const now = Date.now();
     const curMs = cur?.at?.toMillis?.() || 0;
     if (!cur || (now - curMs) > 60000 || cur.by === auth.currentUser?.uid) {
-      tx.update(ref, { disputeLock: { by: auth.currentUser?.uid || 'unknown', at: serverTimestamp() } });
+      updateGame(tx, gameId, snap.data() || {}, { disputeLock: { by: auth.currentUser?.uid || 'unknown', at: serverTimestamp() } }, 'claim_dispute');
     } else {
       throw new Error('Another operator is editing a dispute.');
     }
   });
 };
 
-export const releaseDispute = async (gameId) =>
-  updateDoc(doc(db, 'games', gameId), { disputeLock: null });
+export const releaseDispute = async (gameId) => {
+  const ref = doc(db, 'games', gameId);
+  await runTransaction(db, async (tx) => {
+    const snap = await tx.get(ref);
+    if (!snap.exists()) return;
+    updateGame(tx, gameId, snap.data() || {}, { disputeLock: null }, 'release_dispute');
+  });
+};
@@ -0,0 +1,52 @@
+// src/services/keeperRoles.js
+// What each keeper may do on a game (pure, no Firestore). gameService and
+// reviewQueueService enforce these; StatEntryScreen uses the same checks to
+// show or hide controls.
+
+/* ------------------------------------------------------------------
+games/{id}.roles: { main: uid, secondary: uid|null }
+main keeper       everything
+secondary keeper  clock (start / stop / set / reset), bonus round on/off,
+                  next challenge (unless that ends the match), review queue (and so auto-tracking coordination, see
+                  coordinatorService.js) — not ending the match, rebuilding scores or
+                  changing roles
+Team trackers are separate (trackerLocks) and only log for their team.
+--------------------------------------------------------------------- */
+
+export const KEEPER_PERMISSIONS = {
+  clock: ['main', 'secondary'],
+  bonus: ['main', 'secondary'],
+  advance: ['main', 'secondary'],
+  review: ['main', 'secondary'],
+  end_match: ['main'],
+  rebuild: ['main'],
+  assign_roles: ['main'],
+};
+
+const PERMISSION_LABEL = {
+  clock: 'run the clock',
+  bonus: 'start or end the bonus round',
+  advance: 'move to the next challenge',
+  review: 'resolve the review queue',
+  end_match: 'end the match',
+  rebuild: 'rebuild the scores from the log',
+  assign_roles: 'assign keeper roles',
+};
+
+// 'main' | 'secondary' | null
+export const keeperRoleOf = (game, uid) => {
+  if (!uid) return null;
+  if (uid === game?.roles?.main) return 'main';
+  if (uid === game?.roles?.secondary) return 'secondary';
+  return null;
+};
+
+export const canKeeper = (game, uid, permission) =>
+  !!KEEPER_PERMISSIONS[permission]?.includes(keeperRoleOf(game, uid));
+
+// Throws with a message fit for an Alert
+export const assertKeeper = (game, uid, permission) => {
+  if (canKeeper(game, uid, permission)) return;
+  const who = KEEPER_PERMISSIONS[permission]?.includes('secondary') ? 'a keeper' : 'the main keeper';
+  throw new Error(`Only ${who} can ${PERMISSION_LABEL[permission] || permission}.`);
+};
@@ -0,0 +1,80 @@
+// src/services/lineup.js
+// Who is on court (pure, no Firestore). teamAIds / teamBIds hold the players
+// currently on court; substituted-out players move to games/{id}.bench.
+// gameService writes a `substitution` log for every change, so the lineup at
+// any moment can be replayed from the logs.
+
+import { sortLogsAsc, tsMillis } from './gameReducer';
+
+/* ------------------------------------------------------------------
+substitution log: { team, outId: uid|null, inId: uid, onCourt: [uid], challengeIndex }
+  outId null → player added (late arrival / back from the bench)
+--------------------------------------------------------------------- */
+
+export const TEAM_KEYS = ['A', 'B'];
+
+export const teamField = (team) => (team === 'A' ? 'teamAIds' : 'teamBIds');
+
+export const onCourtIds = (game, team) =>
+  (Array.isArray(game?.[teamField(team)]) ? game[teamField(team)] : []);
+
+export const benchIds = (game, team) =>
+  (Array.isArray(game?.bench?.[team]) ? game.bench[team] : []);
+
+// Everyone who has played for the team (on court first, then bench)
+export const teamPlayerIds = (game, team) =>
+  [...new Set([...onCourtIds(game, team), ...benchIds(game, team)])];
+
+// 'A' | 'B' | null — on court only unless { includeBench: true }
+export const teamOfPlayer = (game, playerId, { includeBench = false } = {}) => {
+  for (const t of TEAM_KEYS) {
+    if (onCourtIds(game, t).includes(playerId)) return t;
+    if (includeBench && benchIds(game, t).includes(playerId)) return t;
+  }
+  return null;
+};
+
+export const isSubstitutionLog = (l) => l?.type === 'substitution' && (l.team === 'A' || l.team === 'B');
+
+/**
+ * On-court stints per team, replayed backwards from the current lineup so it
+ * also works for games created before substitutions existed.
+ * @returns {{ A: Array<{ playerId, fromMs: number|null, toMs: number|null }>, B: [...] }}
+ *          fromMs null = since the start, toMs null = still on court
+ */
+export const lineupTimeline = (game, logs = []) => {
+  const subs = sortLogsAsc(logs.filter(isSubstitutionLog));
+  const out = { A: [], B: [] };
+  for (const team of TEAM_KEYS) {
+    // lineup before the first substitution
+    let lineup = [...onCourtIds(game, team)];
+    const teamSubs = subs.filter(s => s.team === team);
+    for (let i = teamSubs.length - 1; i >= 0; i--) {
+      const s = teamSubs[i];
+      lineup = lineup.filter(pid => pid !== s.inId);
+      if (s.outId && !lineup.includes(s.outId)) lineup.push(s.outId);
+    }
+
+    const open = {};
+    lineup.forEach((pid) => { open[pid] = null; });
+    for (const s of teamSubs) {
+      const ms = tsMillis(s.ts);
+      const at = Number.isFinite(ms) ? ms : null;
+      if (s.outId && s.outId in open) {
+        out[team].push({ playerId: s.outId, fromMs: open[s.outId], toMs: at });
+        delete open[s.outId];
+      }
+      if (s.inId && !(s.inId in open)) open[s.inId] = at;
+    }
+    Object.entries(open).forEach(([playerId, fromMs]) => out[team].push({ playerId, fromMs, toMs: null }));
+  }
+  return out;
+};
+
+// "Team A: Sam in for Alex" / "Team B: Sam joins"
+export const describeSubstitution = (l, nameFor = (id) => id, teamName = (t) => `Team ${t}`) => {
+  if (!isSubstitutionLog(l)) return '';
+  const team = teamName(l.team);
+  if (l.inId && l.outId) return `${team}: ${nameFor(l.inId)} in for ${nameFor(l.outId)}`;
+  return `${team}: ${nameFor(l.inId)} joins`;
+};
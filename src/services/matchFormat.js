@@ -0,0 +1,107 @@
+// src/services/matchFormat.js
+// Pure match-end rules (no Firestore). gameService decides *when* to ask;
+// these helpers only answer "is the match over, and who won?".
+
+/* ------------------------------------------------------------------
+Match format (games/{id}.format, chosen at createGame):
+{
+  type: 'sequence' | 'first_to' | 'best_of',
+  target: number|null,   // first_to: match points to win; best_of: number of challenges
+  bonus: boolean,        // tie at end of regulation → bonus round (else draw)
+  overtime: boolean,     // tie when the bonus clock runs out → overtime (else draw)
+}
+
+result (written when the match ends):
+{ winner: 'A'|'B'|null, finalScore: { A, B }, decidedBy, matchEndLogId, shotLogId, decidedAt }
+decidedBy: 'sequence' | 'first_to' | 'best_of' | 'bonus' | 'overtime' | 'manual'
+--------------------------------------------------------------------- */
+
+export const FORMAT_TYPES = ['sequence', 'first_to', 'best_of'];
+
+export const DEFAULT_FORMAT = { type: 'sequence', target: null, bonus: true, overtime: true };
+
+export const normalizeMatchFormat = (raw) => {
+  const type = FORMAT_TYPES.includes(raw?.type) ? raw.type : DEFAULT_FORMAT.type;
+  const n = Math.floor(Number(raw?.target));
+  const target = type === 'sequence' ? null : (Number.isFinite(n) && n > 0 ? n : null);
+  return {
+    type: target === null && type !== 'sequence' ? 'sequence' : type,
+    target,
+    bonus: raw?.bonus === undefined ? DEFAULT_FORMAT.bonus : !!raw.bonus,
+    overtime: raw?.overtime === undefined ? DEFAULT_FORMAT.overtime : !!raw.overtime,
+  };
+};
+
+export const describeFormat = (format) => {
+  const f = normalizeMatchFormat(format);
+  if (f.type === 'first_to') return `First to ${f.target}`;
+  if (f.type === 'best_of') return `Best of ${f.target}`;
+  return 'Full sequence';
+};
+
+const n = (v) => Number(v ?? 0) || 0;
+
+const leader = (a, b) => (a > b ? 'A' : b > a ? 'B' : null);
+
+/**
+ * Called right after a challenge win. Only first_to / best_of can end the
+ * match mid-sequence.
+ * @returns {{ winner: 'A'|'B', decidedBy: string } | null}
+ */
+export const checkMatchDecided = (format, { matchScore, challengeWins }) => {
+  const f = normalizeMatchFormat(format);
+  if (f.type === 'first_to') {
+    const w = leader(n(matchScore?.A), n(matchScore?.B));
+    if (w && n(matchScore?.[w]) >= f.target) return { winner: w, decidedBy: 'first_to' };
+  }
+  if (f.type === 'best_of') {
+    const needed = Math.floor(f.target / 2) + 1;
+    const w = leader(n(challengeWins?.A), n(challengeWins?.B));
+    if (w && n(challengeWins?.[w]) >= needed) return { winner: w, decidedBy: 'best_of' };
+  }
+  return null;
+};
+
+/**
+ * Has regulation run out once the challenge at `index` is finished?
+ * (last challenge of the sequence, or the N-th challenge of a best-of-N)
+ */
+export const isRegulationOver = (format, { index, mode, sequenceLength }) => {
+  const f = normalizeMatchFormat(format);
+  if (f.type === 'best_of' && index + 1 >= f.target) return true;
+  return mode === 'sequence' && sequenceLength > 0 && index >= sequenceLength - 1;
+};
+
+/**
+ * Winner at the end of regulation (null = tied).
+ * best_of compares challenges won first, then match points.
+ */
+export const regulationLeader = (format, { matchScore, challengeWins }) => {
+  const f = normalizeMatchFormat(format);
+  if (f.type === 'best_of') {
+    const w = leader(n(challengeWins?.A), n(challengeWins?.B));
+    if (w) return { winner: w, decidedBy: 'best_of' };
+  }
+  const w = leader(n(matchScore?.A), n(matchScore?.B));
+  return w ? { winner: w, decidedBy: f.type === 'best_of' ? 'best_of' : 'sequence' } : null;
+};
+
+const DECIDED_BY_LABEL = {
+  sequence: 'sequence complete',
+  first_to: 'first to target',
+  best_of: 'best of',
+  bonus: 'bonus round',
+  overtime: 'overtime',
+  manual: 'ended by keeper',
+};
+
+// "Team A wins 5–3 (overtime)" / "Draw 4–4 (bonus round)" / null while live
+export const describeResult = (game) => {
+  const r = game?.result;
+  if (!r) return null;
+  const score = `${n(r.finalScore?.A)}–${n(r.finalScore?.B)}`;
+  const how = DECIDED_BY_LABEL[r.decidedBy] || r.decidedBy || '';
+  const name = r.winner === 'A' ? (game.teamAName || 'Team A')
+    : r.winner === 'B' ? (game.teamBName || 'Team B') : null;
+  return `${name ? `${name} wins` : 'Draw'} ${score}${how ? ` (${how})` : ''}`;
+};
@@ -0,0 +1,278 @@
+// src/services/outboxService.js
+// Offline shot outbox for tracker taps. logShot is a Firestore transaction and
+// fails outright without a connection, so StatEntryScreen queues every shot here
+// first: the queue is kept in AsyncStorage, replayed in tap order through logShot
+// when the connection returns, and shown as optimistic scores until it lands.
+// Only shots are queued: violations, timeouts, substitutions and undo still go
+// straight to Firestore and fail while offline.
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { collection, doc } from 'firebase/firestore';
+import { db } from './firebase';
+import { logShot } from './gameService';
+import { enqueueReview } from './reviewQueueService';
+import { countsAsMoneyball, isBonusType, normalizeRuleset, shotPoints } from './scoring';
+import { teamOfPlayer } from './lineup';
+
+/* ----------------------------------------------------------------------------
+AsyncStorage 'outbox:{gameId}' = [{
+  id,                         // client-made log id → a replay that already landed is a no-op
+  kind: 'shot',
+  params: { playerId, shotType, made, moneyball },
+  team, challengeIndex,       // as the tracker saw them when tapping
+  queuedAt: number,           // Date.now()
+  status: 'pending' | 'conflict',
+  error: string|null,         // why a replay was refused (conflict)
+  live: boolean,              // still in the flush it was queued in
+}]
+A refused replay of a queued tap is a conflict (e.g. the other team's tracker won
+the challenge in the meantime): it is set aside for the tracker to discard or send
+to the review queue, and the rest of the queue carries on.
+---------------------------------------------------------------------------- */
+
+const STORAGE_PREFIX = 'outbox:';
+const REPLAY_TIMEOUT_MS = 15000;
+const RETRY_MIN_MS = 2000;
+const RETRY_MAX_MS = 30000;
+
+const NETWORK_CODES = ['unavailable', 'deadline-exceeded', 'network-request-failed'];
+
+// gameId → { entries, loaded, online, syncing, again, flushing, rejected, listeners, timer, retryMs }
+const games = {};
+
+const stateOf = (gameId) => {
+  if (!games[gameId]) {
+    games[gameId] = {
+      entries: [], loaded: null, online: true, syncing: false, again: false, flushing: null,
+      rejected: {}, listeners: new Set(), timer: null, retryMs: RETRY_MIN_MS,
+    };
+  }
+  return games[gameId];
+};
+
+const isNetworkError = (e) =>
+  NETWORK_CODES.includes(e?.code) || /offline|network|timed out/i.test(String(e?.message || ''));
+
+const withTimeout = (promise, ms) => new Promise((resolve, reject) => {
+  const t = setTimeout(() => reject(new Error('Sync timed out')), ms);
+  promise.then(
+    (v) => { clearTimeout(t); resolve(v); },
+    (e) => { clearTimeout(t); reject(e); },
+  );
+});
+
+const load = (gameId) => {
+  const s = stateOf(gameId);
+  if (!s.loaded) {
+    s.loaded = AsyncStorage.getItem(STORAGE_PREFIX + gameId)
+      .then((raw) => {
+        const saved = raw ? JSON.parse(raw) : [];
+        // anything saved was queued in an earlier session
+        s.entries = [...(Array.isArray(saved) ? saved : []).map(e => ({ ...e, live: false })), ...s.entries];
+      })
+      .catch((e) => console.warn('Shot outbox load failed:', e?.message || e));
+  }
+  return s.loaded;
+};
+
+const save = async (gameId) => {
+  try {
+    await AsyncStorage.setItem(STORAGE_PREFIX + gameId, JSON.stringify(stateOf(gameId).entries));
+  } catch (e) {
+    console.warn('Shot outbox save failed:', e?.message || e);
+  }
+};
+
+const snapshotOf = (s) => ({
+  pending: s.entries.filter(e => e.status === 'pending'),
+  conflicts: s.entries.filter(e => e.status === 'conflict'),
+  online: s.online,
+  syncing: s.syncing,
+});
+
+const emit = (gameId) => {
+  const s = stateOf(gameId);
+  const snap = snapshotOf(s);
+  s.listeners.forEach((cb) => cb(snap));
+};
+
+const scheduleRetry = (gameId) => {
+  const s = stateOf(gameId);
+  if (s.timer || s.listeners.size === 0) return;
+  s.timer = setTimeout(() => {
+    s.timer = null;
+    flushOutbox(gameId);
+  }, s.retryMs);
+  s.retryMs = Math.min(RETRY_MAX_MS, s.retryMs * 2);
+};
+
+/**
+ * Replay pending entries in tap order. One flush runs per game at a time; a
+ * request made meanwhile joins it (one more pass). Live taps the engine refused
+ * (not your team, Moneyball used, ...) end up in state.rejected for queueShot.
+ */
+export const flushOutbox = (gameId) => {
+  const s = stateOf(gameId);
+  if (s.flushing) {
+    s.again = true;
+    return s.flushing;
+  }
+  s.flushing = runFlush(gameId).finally(() => { s.flushing = null; });
+  return s.flushing;
+};
+
+const runFlush = async (gameId) => {
+  const s = stateOf(gameId);
+  await load(gameId);
+  s.syncing = true;
+  emit(gameId);
+
+  try {
+    do {
+      s.again = false;
+      for (const e of s.entries.filter(x => x.status === 'pending')) {
+        try {
+          await withTimeout(logShot(gameId, {
+            ...e.params,
+            clientActionId: e.id,
+            expectChallengeIndex: e.challengeIndex,
+          }), REPLAY_TIMEOUT_MS);
+          s.entries = s.entries.filter(x => x.id !== e.id);
+          s.online = true;
+          s.retryMs = RETRY_MIN_MS;
+        } catch (err) {
+          if (isNetworkError(err)) {
+            s.online = false;
+            break; // keep the order: nothing later goes before this one
+          }
+          s.online = true;
+          if (e.live) {
+            s.rejected[e.id] = err;
+            s.entries = s.entries.filter(x => x.id !== e.id);
+          } else {
+            s.entries = s.entries.map(x => (x.id === e.id ? { ...x, status: 'conflict', error: String(err?.message || err) } : x));
+          }
+        }
+        await save(gameId);
+        emit(gameId);
+      }
+    } while (s.again && s.online);
+  } finally {
+    // whatever is left waits for the connection → replays count as queued, not live
+    s.entries = s.entries.map(x => (x.live ? { ...x, live: false } : x));
+    s.syncing = false;
+    await save(gameId);
+    emit(gameId);
+    if (s.entries.some(x => x.status === 'pending')) scheduleRetry(gameId);
+  }
+};
+
+/**
+ * Queue a tracker's shot and try to send it right away.
+ * Resolves to 'synced' | 'queued'; throws when the engine refused a live tap.
+ * @param {object} game  current game doc (for the optimistic team / challenge)
+ */
+export const queueShot = async (gameId, { playerId, shotType, made, moneyball = false }, game) => {
+  const s = stateOf(gameId);
+  await load(gameId);
+  const entry = {
+    id: doc(collection(db, 'games', gameId, 'logs')).id,
+    kind: 'shot',
+    params: { playerId, shotType, made: !!made, moneyball: !!moneyball },
+    team: teamOfPlayer(game, playerId),
+    challengeIndex: Number(game?.currentChallengeIndex ?? 0),
+    queuedAt: Date.now(),
+    status: 'pending',
+    error: null,
+    live: true,
+  };
+  s.entries = [...s.entries, entry];
+  await save(gameId);
+  emit(gameId);
+
+  await flushOutbox(gameId);
+  const err = s.rejected[entry.id];
+  if (err) {
+    delete s.rejected[entry.id];
+    throw err;
+  }
+  return s.entries.some(x => x.id === entry.id) ? 'queued' : 'synced';
+};
+
+// Undo while taps are still queued takes back the newest one locally.
+export const dropLastPending = async (gameId) => {
+  const s = stateOf(gameId);
+  await load(gameId);
+  const pending = s.entries.filter(e => e.status === 'pending' && !e.live);
+  const last = pending[pending.length - 1];
+  // the oldest one may be on the wire right now
+  if (!last || (s.flushing && pending.length === 1)) return null;
+  s.entries = s.entries.filter(e => e.id !== last.id);
+  await save(gameId);
+  emit(gameId);
+  return last;
+};
+
+/**
+ * Settle a conflicted tap: 'discard' drops it, 'review' hands it to the main
+ * keeper through the review queue.
+ */
+export const resolveConflict = async (gameId, entryId, action) => {
+  const s = stateOf(gameId);
+  await load(gameId);
+  const e = s.entries.find(x => x.id === entryId && x.status === 'conflict');
+  if (!e) return;
+  if (action === 'review') {
+    await enqueueReview(gameId, 'offline_conflict', {
+      playerId: e.params.playerId,
+      team: e.team ?? null,
+      shotType: e.params.shotType,
+      made: e.params.made,
+      moneyball: !!e.params.moneyball,
+      challengeIndex: e.challengeIndex,
+      clientActionId: e.id,
+      queuedAt: e.queuedAt,
+      error: e.error,
+    });
+  }
+  s.entries = s.entries.filter(x => x.id !== entryId);
+  await save(gameId);
+  emit(gameId);
+};
+
+/**
+ * Shot outbox state for a game: { pending, conflicts, online, syncing }.
+ * Subscribing also replays anything left over from an earlier session.
+ */
+export const listenOutbox = (gameId, cb) => {
+  const s = stateOf(gameId);
+  s.listeners.add(cb);
+  cb(snapshotOf(s));
+  load(gameId).then(() => {
+    emit(gameId);
+    if (s.entries.some(e => e.status === 'pending')) flushOutbox(gameId);
+  });
+  return () => {
+    s.listeners.delete(cb);
+    if (s.listeners.size === 0 && s.timer) {
+      clearTimeout(s.timer);
+      s.timer = null;
+    }
+  };
+};
+
+/**
+ * Points the pending taps will add once they land (current challenge only).
+ * @returns {{ challenge: { A, B }, match: { A, B } }}
+ */
+export const pendingScoreDelta = (pending, game) => {
+  const out = { challenge: { A: 0, B: 0 }, match: { A: 0, B: 0 } };
+  const rules = normalizeRuleset(game?.ruleset);
+  const cur = Number(game?.currentChallengeIndex ?? 0);
+  (pending || []).forEach((e) => {
+    if (e.challengeIndex !== cur || (e.team !== 'A' && e.team !== 'B') || !e.params.made) return;
+    const pts = Number(shotPoints({ ...e.params, moneyball: countsAsMoneyball(e.params) }, rules)) || 0;
+    out[isBonusType(e.params.shotType) ? 'match' : 'challenge'][e.team] += pts;
+  });
+  return out;
+};
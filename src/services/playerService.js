@@ -67,6 +67,29 @@ export const ensureRosterDocsForPlayers = async (gameId, playerIds = []) => {
   }
 };
 
+/**
+ * Copy jersey numbers + face photos to another game (rematch). The face files
+ * stay where they are; the new roster points at the same download URLs.
+ * playerIds: only these players (default: the whole roster).
+ */
+export const copyRoster = async (fromGameId, toGameId, playerIds = null) => {
+  const items = await getRoster(fromGameId);
+  const keep = Array.isArray(playerIds) ? new Set(playerIds) : null;
+  const batch = writeBatch(db);
+  items
+    .filter(it => !keep || keep.has(it.id))
+    .forEach((it) => {
+      batch.set(rosterDoc(toGameId, it.id), {
+        jerseyNumber: it.jerseyNumber ?? null,
+        faceUrl: it.faceUrl ?? null,
+        createdAt: serverTimestamp(),
+        createdBy: auth.currentUser?.uid || 'unknown',
+        updatedAt: serverTimestamp(),
+      });
+    });
+  await batch.commit();
+};
+
 /**
  * Set/clear jersey number for one player.
  */
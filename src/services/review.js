@@ -0,0 +1,55 @@
+// src/services/review.js
+// The review queue model (pure, no Firestore). Everything an operator has to
+// look at before it counts — low-confidence camera shots, fused proposals,
+// tracker disagreements, refused offline taps — is one review_queue doc with
+// one status. reviewQueueService.js reads and writes them.
+
+/* ------------------------------------------------------------------
+games/{id}/review_queue/{reviewId} = {
+  reason,                        // REVIEW_REASONS key
+  status: 'pending' | 'accepted' | 'rejected',
+  priority: number,              // higher first (from the reason)
+  playerId, team, shotType, made, moneyball,
+  confidence: number|null,       // 0..1, camera items only
+  zone, shotKey, spotNumber, startSpotId, shotSpotId, challengeIndex,
+  // reason-specific, each field once with the reasons that write it:
+  eventId?, sourceCamera?,       // camera items (autoTrackingService.js)
+  evidence?,                     // camera items, auto_proposal
+  shotId?, t?, ballTrackId?, confidenceDetail?,  // auto_proposal: shotId = doc id (coordinatorFuser.fusedShotId)
+  taps?,                         // tracker_disagreement, verified_refused: the trackers' taps (verificationService.js)
+  disagreement?,                 // tracker_disagreement
+  error?,                        // verified_refused, offline_conflict: why logShot refused it
+  clientActionId?, queuedAt?,    // offline_conflict (outboxService.js)
+  logId?, edits?,                // accepted (edits = fields the reviewer changed)
+  rejectReason?,                 // rejected
+  createdAt, createdBy, decidedAt?, decidedBy?
+}
+Docs written before the status field (resolved / decision) read the same
+through reviewStatusOf; functions' migrateReviewQueue rewrites them.
+--------------------------------------------------------------------- */
+
+export const REVIEW_STATUSES = ['pending', 'accepted', 'rejected'];
+
+// Two humans disagreeing about a scored shot outranks a camera's doubt
+export const REVIEW_REASONS = {
+  tracker_disagreement: { priority: 60, label: 'Trackers disagree' },
+  offline_conflict: { priority: 50, label: 'Offline tap refused' },
+  verified_refused: { priority: 45, label: 'Verified shot refused' },
+  blocked: { priority: 40, label: 'Auto ingest blocked' },
+  camera_disagreement: { priority: 35, label: 'Cameras disagree' },
+  rule_violation: { priority: 30, label: 'Breaks the challenge rule' },
+  low_confidence: { priority: 20, label: 'Low confidence' },
+  bad_shape: { priority: 10, label: 'Incomplete event' },
+  auto_proposal: { priority: 5, label: 'Camera proposal' },
+};
+
+export const reviewPriority = (reason) => REVIEW_REASONS[reason]?.priority ?? 0;
+
+export const reviewReasonLabel = (reason) => REVIEW_REASONS[reason]?.label || reason || 'Review';
+
+// Status of a doc, including ones from before the status field
+export const reviewStatusOf = (item) => {
+  if (REVIEW_STATUSES.includes(item?.status)) return item.status;
+  if (!item?.resolved) return 'pending';
+  return item.decision === 'rejected' ? 'rejected' : 'accepted';
+};
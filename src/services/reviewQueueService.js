@@ -1,72 +1,173 @@
 // src/services/reviewQueueService.js
+// The one review queue (games/{id}/review_queue, model in review.js). Camera
+// events, fused proposals, tracker disagreements and refused offline taps are
+// all queued here; a keeper accepts (through logShot) or rejects them.
 import {
-  collection, doc, getDoc, updateDoc, serverTimestamp, runTransaction
+  addDoc, collection, doc, getDoc, limit, onSnapshot, orderBy, query, runTransaction, serverTimestamp, updateDoc, where,
 } from 'firebase/firestore';
 import { db, auth } from './firebase';
 import { logShot } from './gameService';
+import { assertKeeper } from './keeperRoles';
+import { teamOfPlayer } from './lineup';
+import { REVIEW_REASONS, reviewPriority, reviewStatusOf } from './review';
 
-const markResolved = async (gameId, reviewId, patch = {}) => {
-  await updateDoc(doc(db, 'games', gameId, 'review_queue', reviewId), {
-    resolved: true,
-    resolvedAt: serverTimestamp(),
-    resolvedBy: auth.currentUser?.uid || 'unknown',
-    ...patch,
-  });
-};
+const queueCol = (gameId) => collection(db, 'games', gameId, 'review_queue');
 
-export const approveReviewItem = async (gameId, reviewId) => {
-  const ref = doc(db, 'games', gameId, 'review_queue', reviewId);
-  const snap = await getDoc(ref);
-  if (!snap.exists()) throw new Error('Review item not found');
-  const r = snap.data();
+// fields a reviewer may change when accepting
+const EDIT_FIELDS = ['playerId', 'team', 'shotType', 'made', 'moneyball', 'zone', 'shotKey', 'spotNumber', 'shotSpotId'];
 
-  await logShot(gameId, {
-    playerId: r.playerId,
-    shotType: r.shotType,
-    made: !!r.made,
-    moneyball: !!r.moneyball,
+// main or secondary keeper (keeperRoles.js); resolves to the game
+const assertReviewer = async (gameId) => {
+  const g = await getDoc(doc(db, 'games', gameId));
+  if (!g.exists()) throw new Error('Game not found');
+  const game = g.data();
+  assertKeeper(game, auth.currentUser?.uid, 'review');
+  return game;
+};
 
-    source: 'review',
-    confidence: r.confidence ?? null,
-    evidence: { reviewId },
+// Firestore rejects undefined fields
+const withoutUndefined = (obj) =>
+  Object.fromEntries(Object.entries(obj || {}).filter(([, v]) => v !== undefined));
+
+/**
+ * A new pending review doc. Use with tx.set when the queueing is part of a
+ * transaction (verificationService), otherwise go through enqueueReview.
+ */
+export const reviewItem = (reason, fields = {}) => {
+  if (!REVIEW_REASONS[reason]) throw new Error(`Unknown review reason: ${reason}`);
+  return {
+    playerId: null,
+    team: null,
+    shotType: null,
+    made: null,
+    moneyball: false,
+    confidence: null,
+    challengeIndex: null,
+    ...withoutUndefined(fields),
+    reason,
+    status: 'pending',
+    priority: reviewPriority(reason),
+    createdAt: serverTimestamp(),
+    createdBy: auth.currentUser?.uid || 'system',
+  };
+};
 
-    zone: r.zone ?? null,
-    shotKey: r.shotKey ?? null,
-    spotNumber: r.spotNumber ?? null,
-    startSpotId: r.startSpotId ?? null,
-    shotSpotId: r.shotSpotId ?? null,
+/**
+ * Queue something for review. With an id the write is idempotent (the fused
+ * camera pipeline re-submits the same shot on every pass).
+ * Resolves to { id, created }.
+ */
+export const enqueueReview = async (gameId, reason, fields, { id = null } = {}) => {
+  const data = reviewItem(reason, fields);
+  if (!id) {
+    const ref = await addDoc(queueCol(gameId), data);
+    return { id: ref.id, created: true };
+  }
+  const ref = doc(queueCol(gameId), id);
+  const created = await runTransaction(db, async (tx) => {
+    if ((await tx.get(ref)).exists()) return false;
+    tx.set(ref, data);
+    return true;
   });
+  return { id, created };
+};
 
-  await markResolved(gameId, reviewId, { decision: 'approved' });
+/**
+ * Live review items. status: one status, a list of them, or null for all.
+ * Highest priority first, then oldest.
+ */
+export const listenReviewQueue = (gameId, cb, { status = 'pending', limitN = 100 } = {}) => {
+  const filters = status === null
+    ? []
+    : [Array.isArray(status) ? where('status', 'in', status) : where('status', '==', status)];
+  const qy = query(queueCol(gameId), ...filters, orderBy('priority', 'desc'), orderBy('createdAt', 'asc'), limit(limitN));
+  return onSnapshot(qy, (snap) => cb(snap.docs.map(d => ({ id: d.id, ...d.data() }))));
 };
 
-export const editAndApproveReviewItem = async (gameId, reviewId, patchFields) => {
-  // patchFields may include playerId, shotType, made, moneyball, zone, shotKey, etc.
-  const ref = doc(db, 'games', gameId, 'review_queue', reviewId);
+// Pending count for the StatEntryScreen badge
+export const listenPendingReviewCount = (gameId, cb) =>
+  onSnapshot(query(queueCol(gameId), where('status', '==', 'pending')), (snap) => cb(snap.size));
+
+/**
+ * Accept an item, optionally with the reviewer's edits, through logShot. The
+ * review id is the log id, so accepting twice logs the shot once. The shot
+ * only counts toward the challenge it was taken in; once that one has closed
+ * the item can only be rejected.
+ * Resolves to the log id.
+ */
+export const approveReviewItem = async (gameId, reviewId, edits = {}) => {
+  const game = await assertReviewer(gameId);
+  const ref = doc(queueCol(gameId), reviewId);
   const snap = await getDoc(ref);
   if (!snap.exists()) throw new Error('Review item not found');
-  const r = { ...snap.data(), ...patchFields };
+  const r = snap.data();
+  const status = reviewStatusOf(r);
+  if (status === 'accepted' && r.logId) return r.logId;
+  if (status !== 'pending') throw new Error('This item was already decided.');
+
+  const changed = {};
+  EDIT_FIELDS.forEach((k) => {
+    if (edits?.[k] !== undefined && edits[k] !== r[k]) changed[k] = edits[k];
+  });
+  const m = { ...r, ...changed };
+  if (!m.playerId || !m.shotType || typeof m.made !== 'boolean') {
+    throw new Error('Player, shot type, and made/miss are required.');
+  }
+  const playerTeam = teamOfPlayer(game, m.playerId);
+  if (m.team && playerTeam && m.team !== playerTeam) {
+    throw new Error(`Player ${m.playerId} is on Team ${playerTeam}, not Team ${m.team}.`);
+  }
+  const edited = Object.keys(changed).length > 0;
+  const challengeIndex = r.challengeIndex ?? null;
+  if (challengeIndex !== null && Number(game.currentChallengeIndex ?? 0) !== Number(challengeIndex)) {
+    throw new Error(`This shot was taken in challenge ${Number(challengeIndex) + 1}, which has closed. Reject it instead.`);
+  }
 
-  await logShot(gameId, {
-    playerId: r.playerId,
-    shotType: r.shotType,
-    made: !!r.made,
-    moneyball: !!r.moneyball,
+  const logId = await logShot(gameId, {
+    playerId: m.playerId,
+    shotType: m.shotType,
+    made: m.made,
+    moneyball: !!m.moneyball,
 
-    source: 'review_edit',
+    source: edited ? 'review_edit' : 'review',
     confidence: r.confidence ?? null,
-    evidence: { reviewId, edited: true },
+    evidence: { ...(r.evidence || {}), reviewId, reason: r.reason || null, ...(edited ? { edited: true } : {}) },
 
-    zone: r.zone ?? null,
-    shotKey: r.shotKey ?? null,
-    spotNumber: r.spotNumber ?? null,
-    startSpotId: r.startSpotId ?? null,
-    shotSpotId: r.shotSpotId ?? null,
+    zone: m.zone ?? null,
+    shotKey: m.shotKey ?? null,
+    spotNumber: m.spotNumber ?? null,
+    startSpotId: m.startSpotId ?? null,
+    shotSpotId: m.shotSpotId ?? null,
+    clientActionId: reviewId,
+    expectChallengeIndex: challengeIndex,
   });
 
-  await markResolved(gameId, reviewId, { decision: 'approved_edit', editPatch: patchFields });
+  await updateDoc(ref, {
+    status: 'accepted',
+    logId,
+    edits: edited ? changed : null,
+    decidedAt: serverTimestamp(),
+    decidedBy: auth.currentUser?.uid || 'unknown',
+  });
+  return logId;
 };
 
+// Kept for callers of the old split API
+export const editAndApproveReviewItem = (gameId, reviewId, patchFields) =>
+  approveReviewItem(gameId, reviewId, patchFields);
+
 export const rejectReviewItem = async (gameId, reviewId, reason = 'rejected') => {
-  await markResolved(gameId, reviewId, { decision: 'rejected', rejectReason: reason });
+  await assertReviewer(gameId);
+  const ref = doc(queueCol(gameId), reviewId);
+  await runTransaction(db, async (tx) => {
+    const snap = await tx.get(ref);
+    if (!snap.exists()) throw new Error('Review item not found');
+    if (reviewStatusOf(snap.data()) !== 'pending') throw new Error('This item was already decided.');
+    tx.update(ref, {
+      status: 'rejected',
+      rejectReason: String(reason || 'rejected'),
+      decidedAt: serverTimestamp(),
+      decidedBy: auth.currentUser?.uid || 'unknown',
+    });
+  });
 };
@@ -0,0 +1,95 @@
+// src/services/rulesetService.js
+import {
+  collection, doc, setDoc, updateDoc, getDoc, getDocs,
+  query, orderBy, limit, serverTimestamp, deleteDoc
+} from 'firebase/firestore';
+import { db, auth } from './firebase';
+import { DEFAULT_RULESET, normalizeRuleset } from './scoring';
+
+/* ----------------------------------------------------------------------------
+Data stored:
+
+rulesets/{id} = {
+  name,
+  points: { mid, long, moneyball, gamechanger, bonus_mid, bonus_long, bonus_gc, bonus },
+  shutoutMultiplier,
+  limits: { moneyball, gamechanger },      // null = unlimited
+  overtime: { firstSeconds, nextSeconds },
+  timeouts: { perChallenge, seconds },     // perChallenge null = unlimited
+  createdBy, createdAt, updatedAt
+}
+
+createGame() copies the chosen ruleset onto games/{id}.ruleset, so editing a
+ruleset never changes the scoring of games already created with it.
+---------------------------------------------------------------------------- */
+
+const rulesetsCol = collection(db, 'rulesets');
+
+// strip the snapshot markers so the rule values can be stored as a ruleset
+const ruleFields = (data) => {
+  const { id, overridden, ...rest } = normalizeRuleset(data);
+  return rest;
+};
+
+export const createRuleset = async (data) => {
+  const uid = auth.currentUser?.uid || 'unknown';
+  if (!data?.name?.trim()) throw new Error('Ruleset name is required');
+
+  const ref = doc(rulesetsCol);
+  await setDoc(ref, {
+    ...ruleFields(data),
+    name: String(data.name).trim(),
+    createdBy: uid,
+    createdAt: serverTimestamp(),
+    updatedAt: serverTimestamp(),
+  });
+  return ref.id;
+};
+
+export const updateRuleset = async (id, updates) => {
+  const current = await getRuleset(id);
+  if (!current) throw new Error('Ruleset not found');
+  await updateDoc(doc(db, 'rulesets', id), {
+    ...ruleFields({ ...current, ...updates }),
+    updatedAt: serverTimestamp(),
+  });
+};
+
+export const deleteRuleset = async (id) => {
+  await deleteDoc(doc(db, 'rulesets', id));
+};
+
+export const getRuleset = async (id) => {
+  if (!id) return null;
+  const s = await getDoc(doc(db, 'rulesets', id));
+  return s.exists() ? { id: s.id, ...s.data() } : null;
+};
+
+export const listRulesets = async () => {
+  const snap = await getDocs(query(rulesetsCol, orderBy('name'), limit(200)));
+  return snap.docs.map((d) => ({ id: d.id, ...d.data() }));
+};
+
+/**
+ * Resolve what a new game should snapshot: the stored ruleset (if any) with
+ * optional per-game overrides on top, always fully normalized. The snapshot
+ * keeps the ruleset id and is marked `overridden` when the overrides change
+ * anything. A snapshot passed back in as overrides (rematch) keeps both.
+ */
+export const resolveRuleset = async (rulesetId = null, overrides = null) => {
+  const base = rulesetId ? await getRuleset(rulesetId) : null;
+  if (rulesetId && !base) throw new Error('Ruleset not found');
+  const merged = {
+    ...(base || DEFAULT_RULESET),
+    ...(overrides || {}),
+    points: { ...(base?.points || DEFAULT_RULESET.points), ...(overrides?.points || {}) },
+    limits: { ...(base?.limits || DEFAULT_RULESET.limits), ...(overrides?.limits || {}) },
+    overtime: { ...(base?.overtime || DEFAULT_RULESET.overtime), ...(overrides?.overtime || {}) },
+    timeouts: { ...(base?.timeouts || DEFAULT_RULESET.timeouts), ...(overrides?.timeouts || {}) },
+  };
+  const rules = normalizeRuleset({ ...merged, id: base?.id || overrides?.id || null });
+  const picked = base || (overrides?.id ? null : DEFAULT_RULESET);
+  const overridden = !!overrides?.overridden
+    || (!!picked && JSON.stringify(ruleFields(picked)) !== JSON.stringify(ruleFields(rules)));
+  return overridden ? { ...rules, overridden: true } : rules;
+};
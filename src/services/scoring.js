@@ -0,0 +1,224 @@
+// src/services/scoring.js
+// Pure scoring rules shared by the live engine (gameService) and the log replay (gameReducer).
+// No Firestore access in here — keep it that way so both paths always agree.
+// Point values/limits come from the game's ruleset snapshot (see rulesetService.js).
+
+export const TEAMS = ['A', 'B'];
+
+export const otherTeam = (team) => (team === 'A' ? 'B' : 'A');
+
+/* ------------------------------------------------------------------
+Ruleset shape (rulesets/{id}, snapshotted onto games/{id}.ruleset):
+{
+  id?, overridden?,                        // snapshot only: the ruleset it came from, changed per game
+  name,
+  points: { mid, long, moneyball, gamechanger, bonus_mid, bonus_long, bonus_gc, bonus },
+  shutoutMultiplier,                       // applied to pointsForWin on a shutout
+  limits: { moneyball, gamechanger },      // uses per team per challenge (null = unlimited)
+  overtime: { firstSeconds, nextSeconds }, // bonus-round overtime clock
+  timeouts: { perChallenge, seconds },     // per team per challenge (null = unlimited)
+}
+--------------------------------------------------------------------- */
+
+export const DEFAULT_RULESET = {
+  name: 'Standard',
+  points: {
+    mid: 1,
+    long: 1,
+    moneyball: 2,
+    gamechanger: 5,
+    bonus_mid: 1,
+    bonus_long: 2,
+    bonus_gc: 4,
+    bonus: 1, // legacy single bonus
+  },
+  shutoutMultiplier: 2,
+  limits: { moneyball: 1, gamechanger: 1 },
+  overtime: { firstSeconds: 120, nextSeconds: 60 },
+  timeouts: { perChallenge: 1, seconds: 30 },
+};
+
+const num = (v, fallback) => (Number.isFinite(Number(v)) && v !== null && v !== '' ? Number(v) : fallback);
+const limitOf = (v, fallback) => (v === null ? null : Math.max(0, num(v, fallback)));
+
+// Fill any missing value from DEFAULT_RULESET (older games have no ruleset at all).
+export const normalizeRuleset = (raw) => {
+  const d = DEFAULT_RULESET;
+  const points = {};
+  Object.keys(d.points).forEach((k) => { points[k] = Math.max(0, num(raw?.points?.[k], d.points[k])); });
+  return {
+    ...(raw?.id ? { id: raw.id } : {}),
+    ...(raw?.overridden ? { overridden: true } : {}),
+    name: raw?.name || d.name,
+    points,
+    shutoutMultiplier: Math.max(1, num(raw?.shutoutMultiplier, d.shutoutMultiplier)),
+    limits: {
+      moneyball: limitOf(raw?.limits?.moneyball, d.limits.moneyball),
+      gamechanger: limitOf(raw?.limits?.gamechanger, d.limits.gamechanger),
+    },
+    overtime: {
+      firstSeconds: Math.max(0, num(raw?.overtime?.firstSeconds, d.overtime.firstSeconds)),
+      nextSeconds: Math.max(0, num(raw?.overtime?.nextSeconds, d.overtime.nextSeconds)),
+    },
+    timeouts: {
+      perChallenge: limitOf(raw?.timeouts?.perChallenge, d.timeouts.perChallenge),
+      seconds: Math.max(0, num(raw?.timeouts?.seconds, d.timeouts.seconds)),
+    },
+  };
+};
+
+/* ------------------------------ timeouts ------------------------------ */
+// games/{id}.timeoutsUsed counts calls per team in the current challenge.
+
+export const emptyTimeouts = () => ({ A: 0, B: 0 });
+
+// Timeouts the team may still call this challenge (null = unlimited)
+export const timeoutsLeft = (timeoutsUsed, team, rules) => {
+  const allowed = normalizeRuleset(rules).timeouts.perChallenge;
+  if (allowed === null) return null;
+  return Math.max(0, allowed - (Number(timeoutsUsed?.[team] ?? 0) || 0));
+};
+
+/* ------------------------------ specials ------------------------------ */
+// moneyUsed/gcUsed mean "no uses left this challenge" (what the casting lights show);
+// the counts back them when a ruleset allows more than one use. moneyForfeit/gcForfeit
+// are set by a penalty (see violations.js) and block the special for the challenge.
+
+export const emptySpecials = () => ({
+  A: { moneyUsed: false, gcUsed: false, moneyCount: 0, gcCount: 0 },
+  B: { moneyUsed: false, gcUsed: false, moneyCount: 0, gcCount: 0 },
+});
+
+const SPECIAL_KEYS = {
+  moneyball: { count: 'moneyCount', used: 'moneyUsed', forfeit: 'moneyForfeit' },
+  gamechanger: { count: 'gcCount', used: 'gcUsed', forfeit: 'gcForfeit' },
+};
+
+export const specialCount = (specials, team, kind) => {
+  const k = SPECIAL_KEYS[kind];
+  const t = specials?.[team] || {};
+  return Number.isFinite(Number(t[k.count])) ? Number(t[k.count]) : (t[k.used] ? 1 : 0);
+};
+
+export const specialAvailable = (specials, team, kind, rules = DEFAULT_RULESET) => {
+  if (specials?.[team]?.[SPECIAL_KEYS[kind].forfeit]) return false;
+  const limitN = rules?.limits?.[kind];
+  return limitN === null || limitN === undefined || specialCount(specials, team, kind) < limitN;
+};
+
+// Field updates (dotted paths) for one more use of a special
+export const specialUseUpdates = (specials, team, kind, rules = DEFAULT_RULESET) => {
+  const k = SPECIAL_KEYS[kind];
+  const count = specialCount(specials, team, kind) + 1;
+  const limitN = rules?.limits?.[kind];
+  return {
+    [`specials.${team}.${k.count}`]: count,
+    [`specials.${team}.${k.used}`]: limitN !== null && limitN !== undefined && count >= limitN,
+  };
+};
+
+// Apply one use in place (replay/recompute paths that build a whole specials object)
+export const consumeSpecial = (specials, team, kind, rules = DEFAULT_RULESET) => {
+  const k = SPECIAL_KEYS[kind];
+  const count = specialCount(specials, team, kind) + 1;
+  const limitN = rules?.limits?.[kind];
+  specials[team][k.count] = count;
+  specials[team][k.used] = !!specials[team][k.forfeit] || (limitN !== null && limitN !== undefined && count >= limitN);
+  return specials;
+};
+
+// Penalty: no more uses of `kind` this challenge (in place, like consumeSpecial)
+export const forfeitSpecial = (specials, team, kind) => {
+  const k = SPECIAL_KEYS[kind];
+  specials[team][k.forfeit] = true;
+  specials[team][k.used] = true;
+  return specials;
+};
+
+/* ------------------------------ points ------------------------------ */
+
+export const isBonusType = (t) => t === 'bonus' || (typeof t === 'string' && t.startsWith('bonus_'));
+
+// Moneyball only counts on normal mid/long attempts
+export const countsAsMoneyball = ({ shotType, moneyball }) =>
+  !!moneyball && !isBonusType(shotType) && (shotType === 'mid' || shotType === 'long');
+
+export const shotPoints = ({ shotType, made, moneyball }, rules = DEFAULT_RULESET) => {
+  if (!made) return 0;
+  const p = rules?.points || DEFAULT_RULESET.points;
+
+  // Bonus round variants (+ legacy single bonus)
+  if (shotType === 'bonus_mid')  return p.bonus_mid;
+  if (shotType === 'bonus_long') return p.bonus_long;
+  if (shotType === 'bonus_gc')   return p.bonus_gc;
+  if (shotType === 'bonus')      return p.bonus;
+
+  // Normal challenge
+  if (shotType === 'gamechanger') return p.gamechanger;
+  if (shotType === 'mid' || shotType === 'long') return moneyball ? p.moneyball : p[shotType];
+
+  return 0;
+};
+
+// Match points for a challenge win
+export const winAward = (pointsForWin, shutout, rules = DEFAULT_RULESET) =>
+  (Number(pointsForWin) || 0) * (shutout ? (rules?.shutoutMultiplier ?? DEFAULT_RULESET.shutoutMultiplier) : 1);
+
+/* ------------------------------------------------------------------
+Handicaps (games/{id}.handicap, set at createGame), per team:
+{ matchStart, challengeStart, targetMultiplier }
+  matchStart        match points the team starts the game on
+  challengeStart    challenge points the team starts every challenge on
+  targetMultiplier  scales the challenge target for that team (0.5 → half)
+A shutout means the opponent scored nothing beyond its challengeStart.
+--------------------------------------------------------------------- */
+
+const NO_HANDICAP = { matchStart: 0, challengeStart: 0, targetMultiplier: 1 };
+
+const normalizeTeamHandicap = (raw) => {
+  const start = (v) => Math.max(0, Math.floor(Number(v) || 0));
+  const mult = Number(raw?.targetMultiplier);
+  return {
+    matchStart: start(raw?.matchStart),
+    challengeStart: start(raw?.challengeStart),
+    targetMultiplier: Number.isFinite(mult) && mult > 0 ? Math.min(4, Math.max(0.1, mult)) : 1,
+  };
+};
+
+export const normalizeHandicap = (raw) => ({
+  A: normalizeTeamHandicap(raw?.A),
+  B: normalizeTeamHandicap(raw?.B),
+});
+
+export const hasHandicap = (handicap, team) => {
+  const h = normalizeHandicap(handicap)[team] || NO_HANDICAP;
+  return h.matchStart > 0 || h.challengeStart > 0 || h.targetMultiplier !== 1;
+};
+
+// { A, B } starting scores: key 'matchStart' | 'challengeStart'
+export const startingScores = (handicap, key) => {
+  const h = normalizeHandicap(handicap);
+  return { A: h.A[key], B: h.B[key] };
+};
+
+// The challenge target this team has to reach (0 = no target)
+export const handicapTarget = (target, handicap, team) => {
+  const t = Number(target) || 0;
+  if (t <= 0) return 0;
+  return Math.max(1, Math.ceil(t * normalizeHandicap(handicap)[team].targetMultiplier));
+};
+
+// Did this team score in the current challenge? (shutout check)
+export const scoredThisChallenge = (challengeScore, handicap, team) =>
+  (Number(challengeScore) || 0) > normalizeHandicap(handicap)[team].challengeStart;
+
+// Short badge text, e.g. "+2 start • +1/challenge • target ×0.8" (null = no handicap)
+export const describeHandicap = (handicap, team) => {
+  if (!hasHandicap(handicap, team)) return null;
+  const h = normalizeHandicap(handicap)[team];
+  return [
+    h.matchStart > 0 ? `+${h.matchStart} start` : null,
+    h.challengeStart > 0 ? `+${h.challengeStart}/challenge` : null,
+    h.targetMultiplier !== 1 ? `target ×${h.targetMultiplier}` : null,
+  ].filter(Boolean).join(' • ');
+};
@@ -2,6 +2,9 @@
 // Computes per-player stats from logs.
 // Overall% = (mid + long) only, including moneyball attempts.
 // Also returns separate buckets for moneyball, bonus (total + sub-buckets), and gamechanger.
+// `points` uses the game's ruleset snapshot (games/{id}.ruleset) when one is passed.
+
+import { countsAsMoneyball, isBonusType, normalizeRuleset, shotPoints } from './scoring';
 
 const initBucket = () => ({ makes: 0, attempts: 0, pct: 0 });
 
@@ -11,11 +14,10 @@ const recalcPct = (b) => {
   return b;
 };
 
-const isBonusType = (t) => t === 'bonus' || (typeof t === 'string' && t.startsWith('bonus_'));
-
-export const computeStatsFromLogs = (logs = []) => {
+export const computeStatsFromLogs = (logs = [], ruleset = null) => {
   // logs are array of { playerId, shotType, made, moneyball, ... }
   const byPlayer = {};
+  const rules = normalizeRuleset(ruleset);
 
   const ensure = (pid) => {
     if (!byPlayer[pid]) {
@@ -36,6 +38,9 @@ export const computeStatsFromLogs = (logs = []) => {
         bonusMid: initBucket(),    // bonus_mid (+ legacy 'bonus')
         bonusLong: initBucket(),   // bonus_long
         bonusGc: initBucket(),     // bonus_gc
+
+        // Points scored (challenge + bonus), per ruleset
+        points: 0,
       };
     }
     return byPlayer[pid];
@@ -43,12 +48,15 @@ export const computeStatsFromLogs = (logs = []) => {
 
   for (const l of logs) {
     if (typeof l?.made === 'undefined') continue; // skip system logs (e.g., challenge_win)
+    if (l.voided) continue; // voided by a violation — doesn't count
     const pid = l?.playerId;
     if (!pid) continue; // guard: some system logs may not have playerId
     const s = ensure(pid);
     const made = !!l.made;
     const t = l.shotType;
 
+    s.points += Number(shotPoints({ shotType: t, made, moneyball: countsAsMoneyball(l) }, rules)) || 0;
+
     // Normal challenge shots
     if (t === 'mid' || t === 'long') {
       const bucket = t === 'mid' ? s.mid : s.long;
@@ -0,0 +1,106 @@
+// src/services/verification.js
+// Double-entry verification (pure, no Firestore). With game.verification on, each
+// team has two trackers (trackerLocks.A + A2, B + B2) whose taps land in
+// pending_shots; a shot counts once both slots tapped the same thing within the
+// window. verificationService.js applies what pairPendingShots decides.
+
+/* ------------------------------------------------------------------
+games/{id}.verification: { enabled: boolean, windowMs: number }
+games/{id}/pending_shots/{id} = {
+  team: 'A'|'B', slot: 'A'|'A2'|'B'|'B2', uid,
+  playerId, shotType, made, moneyball,
+  challengeIndex,
+  tappedAt: number,              // serverNow() on the tapping device
+  status: 'open' | 'matched' | 'committed' | 'review' | 'withdrawn'
+          | 'rejected',          // older docs: refused pairs now go to review with `error`
+  pairId?: string,               // shared by both taps of a pair (the committed log id)
+  logId?, reviewId?, error?, resolvedAt?,
+  createdAt
+}
+--------------------------------------------------------------------- */
+
+export const DEFAULT_WINDOW_MS = 4000;
+const MIN_WINDOW_MS = 1000;
+const MAX_WINDOW_MS = 15000;
+
+export const normalizeVerification = (raw) => {
+  const ms = Number(raw?.windowMs);
+  return {
+    enabled: !!raw?.enabled,
+    windowMs: Number.isFinite(ms) ? Math.min(MAX_WINDOW_MS, Math.max(MIN_WINDOW_MS, Math.round(ms))) : DEFAULT_WINDOW_MS,
+  };
+};
+
+// Per-team tracker lock slots: the team key itself, then the verifying second tracker
+export const LOCK_SLOTS = { A: ['A', 'A2'], B: ['B', 'B2'] };
+export const ALL_LOCK_SLOTS = [...LOCK_SLOTS.A, ...LOCK_SLOTS.B];
+
+export const teamOfSlot = (slot) => (ALL_LOCK_SLOTS.includes(slot) ? slot[0] : null);
+
+// The lock slot this uid holds, or null
+export const trackerSlotOf = (game, uid) =>
+  (uid && ALL_LOCK_SLOTS.find(k => game?.trackerLocks?.[k]?.uid === uid)) || null;
+
+export const holdsTeamLock = (game, team, uid) =>
+  !!uid && (LOCK_SLOTS[team] || []).some(k => game?.trackerLocks?.[k]?.uid === uid);
+
+const sameCall = (a, b) =>
+  a.playerId === b.playerId && a.shotType === b.shotType && !!a.made === !!b.made && !!a.moneyball === !!b.moneyball;
+
+/**
+ * Decide what to do with the open pending shots of a game.
+ * 1. Taps from the two slots of a team that agree, within the window → 'match'
+ *    (closest in time first).
+ * 2. Once the window has passed for a leftover tap: the other slot's nearest
+ *    leftover inside the window → 'mismatch' (both), none → 'unmatched'.
+ * Taps still inside their window and not matched are left alone.
+ * @param {Array} open  pending_shots with status 'open' ({ id, ...data })
+ * @param {number} now  serverNow()
+ * @returns {Array<{ kind: 'match'|'mismatch'|'unmatched', shots: Array }>}  shots in slot order
+ */
+export const pairPendingShots = (open, now, windowMs = DEFAULT_WINDOW_MS) => {
+  const out = [];
+  const used = new Set();
+  const groups = {};
+  (open || []).forEach((s) => {
+    const key = `${s.team}:${s.challengeIndex}`;
+    (groups[key] = groups[key] || []).push(s);
+  });
+
+  Object.values(groups).forEach((shots) => {
+    const [first, second] = LOCK_SLOTS[shots[0].team] || [];
+    const byTime = (a, b) => a.tappedAt - b.tappedAt;
+    const lefts = shots.filter(s => s.slot === first).sort(byTime);
+    const rights = shots.filter(s => s.slot === second).sort(byTime);
+    const gap = (a, b) => Math.abs(a.tappedAt - b.tappedAt);
+
+    const pair = (agree) => {
+      const candidates = [];
+      lefts.forEach(l => rights.forEach((r) => {
+        if (gap(l, r) <= windowMs && (!agree || sameCall(l, r))) candidates.push([l, r]);
+      }));
+      candidates.sort((x, y) => gap(...x) - gap(...y));
+      candidates.forEach(([l, r]) => {
+        if (used.has(l.id) || used.has(r.id)) return;
+        // a disagreement is only final once the later tap's window is over
+        if (!agree && now - Math.max(l.tappedAt, r.tappedAt) <= windowMs) return;
+        used.add(l.id);
+        used.add(r.id);
+        out.push({ kind: agree ? 'match' : 'mismatch', shots: [l, r] });
+      });
+    };
+    pair(true);
+    pair(false);
+
+    [...lefts, ...rights].forEach((s) => {
+      if (used.has(s.id) || now - s.tappedAt <= windowMs) return;
+      // an unpaired tap may still get a partner that is inside its own window
+      const waiting = (s.slot === first ? rights : lefts)
+        .some(o => !used.has(o.id) && gap(s, o) <= windowMs && now - o.tappedAt <= windowMs);
+      if (waiting) return;
+      used.add(s.id);
+      out.push({ kind: 'unmatched', shots: [s] });
+    });
+  });
+  return out;
+};
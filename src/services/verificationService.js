@@ -0,0 +1,210 @@
+// src/services/verificationService.js
+// Double-entry verification: tracker taps go to games/{id}/pending_shots instead
+// of logShot. The matcher (run by every StatEntryScreen while the mode is on)
+// commits agreeing pairs through logShot and sends disagreements to the review
+// queue, as it does agreeing pairs logShot refuses. Rules for what pairs up live
+// in verification.js.
+
+import {
+  collection, doc, getDocs, limit, onSnapshot, orderBy, query, runTransaction, serverTimestamp, setDoc, updateDoc, where,
+} from 'firebase/firestore';
+import { db, auth } from './firebase';
+import { listenToGame, logShot } from './gameService';
+import { serverNow } from './clockService';
+import { reviewItem } from './reviewQueueService';
+import { teamOfPlayer } from './lineup';
+import { holdsTeamLock, normalizeVerification, pairPendingShots, teamOfSlot, trackerSlotOf } from './verification';
+
+const TICK_MS = 1000;
+
+const pendingCol = (gameId) => collection(db, 'games', gameId, 'pending_shots');
+
+/**
+ * A tracker's tap in verification mode. Resolves to the pending shot id.
+ * @param {object} game  current game doc (lock slot / challenge as the tracker sees them)
+ */
+export const submitPendingShot = async (gameId, { playerId, shotType, made, moneyball = false }, game) => {
+  const uid = auth.currentUser?.uid;
+  if (!uid) throw new Error('Not signed in');
+  const slot = trackerSlotOf(game, uid);
+  const team = teamOfSlot(slot);
+  if (!team) throw new Error('You’re not the assigned tracker for a team.');
+  const playerTeam = teamOfPlayer(game, playerId);
+  if (playerTeam !== team) throw new Error(`You’re not the assigned tracker for Team ${playerTeam || '?'}`);
+
+  const ref = doc(pendingCol(gameId));
+  await setDoc(ref, {
+    team,
+    slot,
+    uid,
+    playerId,
+    shotType,
+    made: !!made,
+    moneyball: !!moneyball,
+    challengeIndex: Number(game?.currentChallengeIndex ?? 0),
+    tappedAt: serverNow(),
+    status: 'open',
+    createdAt: serverTimestamp(),
+  });
+  return ref.id;
+};
+
+// Undo before the other tracker confirmed: takes back my newest open tap.
+export const withdrawLastPendingShot = async (gameId) => {
+  const uid = auth.currentUser?.uid;
+  if (!uid) return false;
+  const snap = await getDocs(query(pendingCol(gameId), where('uid', '==', uid), where('status', '==', 'open')));
+  const last = snap.docs
+    .map(d => ({ ref: d.ref, ...d.data() }))
+    .sort((a, b) => b.tappedAt - a.tappedAt)[0];
+  if (!last) return false;
+  return runTransaction(db, async (tx) => {
+    const cur = await tx.get(last.ref);
+    if (cur.data()?.status !== 'open') return false;
+    tx.update(last.ref, { status: 'withdrawn', resolvedAt: serverTimestamp() });
+    return true;
+  });
+};
+
+// Recent pending shots (any status), newest first
+export const listenPendingShots = (gameId, cb, { max = 100 } = {}) =>
+  onSnapshot(
+    query(pendingCol(gameId), orderBy('createdAt', 'desc'), limit(max)),
+    snap => cb(snap.docs.map(d => ({ id: d.id, ...d.data() }))),
+  );
+
+/* ------------------------------ Matcher ------------------------------ */
+
+const shotRef = (gameId, id) => doc(db, 'games', gameId, 'pending_shots', id);
+
+// Claim both taps of an agreeing pair, then log the shot once (the pair id is the log id).
+const claimPair = async (gameId, shots) => runTransaction(db, async (tx) => {
+  const refs = shots.map(s => shotRef(gameId, s.id));
+  const snaps = [];
+  for (const r of refs) snaps.push(await tx.get(r));
+  if (snaps.some(s => s.data()?.status !== 'open')) return false;
+  refs.forEach(r => tx.update(r, { status: 'matched', pairId: shots[0].id }));
+  return true;
+});
+
+const commitPair = async (gameId, shots) => {
+  const [s] = shots;
+  const refs = shots.map(x => shotRef(gameId, x.id));
+  try {
+    const logId = await logShot(gameId, {
+      playerId: s.playerId,
+      shotType: s.shotType,
+      made: s.made,
+      moneyball: s.moneyball,
+      source: 'verified',
+      evidence: { pendingShotIds: shots.map(x => x.id) },
+      clientActionId: s.pairId || s.id,
+      expectChallengeIndex: s.challengeIndex,
+    });
+    await Promise.all(refs.map(r => updateDoc(r, { status: 'committed', logId, resolvedAt: serverTimestamp() })));
+  } catch (e) {
+    // a network failure leaves the pair 'matched'; the next tick retries (logShot is idempotent)
+    if (/offline|network|unavailable/i.test(String(e?.code || e?.message || ''))) return;
+    // both trackers agreed, so a keeper decides rather than the shot being dropped
+    await queueTaps(gameId, shots, 'matched', 'verified_refused', { error: String(e?.message || e) });
+  }
+};
+
+// One review item for the taps, provided they are all still in status `from`
+const queueTaps = async (gameId, shots, from, reason, fields) => {
+  const refs = shots.map(s => shotRef(gameId, s.id));
+  const reviewRef = doc(collection(db, 'games', gameId, 'review_queue'));
+  await runTransaction(db, async (tx) => {
+    const snaps = [];
+    for (const r of refs) snaps.push(await tx.get(r));
+    if (snaps.some(x => x.data()?.status !== from)) return;
+    const [s] = shots;
+    tx.set(reviewRef, reviewItem(reason, {
+      ...fields,
+      playerId: s.playerId,
+      team: s.team,
+      shotType: s.shotType,
+      made: s.made,
+      moneyball: !!s.moneyball,
+      challengeIndex: s.challengeIndex,
+      taps: shots.map(x => ({
+        pendingId: x.id, slot: x.slot, uid: x.uid,
+        playerId: x.playerId, shotType: x.shotType, made: x.made, moneyball: !!x.moneyball, tappedAt: x.tappedAt,
+      })),
+    }));
+    refs.forEach(r => tx.update(r, {
+      status: 'review',
+      reviewId: reviewRef.id,
+      ...(fields.error ? { error: fields.error } : {}),
+      resolvedAt: serverTimestamp(),
+    }));
+  });
+};
+
+// Disagreement (or a tap the other tracker never made) → review queue
+const sendToReview = (gameId, kind, shots) =>
+  queueTaps(gameId, shots, 'open', 'tracker_disagreement', { disagreement: kind }); // 'mismatch' | 'unmatched'
+
+/**
+ * Pair up pending taps while the game is in verification mode. Every screen may
+ * run it: claims are transactional, so each pair is applied once. A device only
+ * acts on teams it may log for (main keeper, or either tracker of the team).
+ * Returns a stop() function.
+ */
+export const startVerificationMatcher = (gameId) => {
+  if (!gameId) return () => {};
+  let game = null;
+  let shots = [];
+  const busy = new Set();
+
+  const run = (key, fn) => {
+    if (busy.has(key)) return;
+    busy.add(key);
+    fn()
+      .catch(e => console.warn('Verification failed:', e?.message || e))
+      .finally(() => busy.delete(key));
+  };
+
+  const tick = () => {
+    const mode = normalizeVerification(game?.verification);
+    if (!mode.enabled) return;
+    const uid = auth.currentUser?.uid;
+    const mayLog = (team) => uid === game?.roles?.main || holdsTeamLock(game, team, uid);
+    const now = serverNow();
+
+    pairPendingShots(shots.filter(s => s.status === 'open'), now, mode.windowMs).forEach(({ kind, shots: pair }) => {
+      if (!mayLog(pair[0].team)) return;
+      const key = pair[0].id; // = pairId, shared with the stuck-pair retry below
+      if (kind === 'match') {
+        run(key, async () => {
+          if (await claimPair(gameId, pair)) await commitPair(gameId, pair.map(s => ({ ...s, pairId: pair[0].id })));
+        });
+      } else {
+        run(key, () => sendToReview(gameId, kind, pair));
+      }
+    });
+
+    // pairs left 'matched' by a device that went away
+    const stuck = {};
+    shots
+      .filter(s => s.status === 'matched' && !s.logId && now - s.tappedAt > 2 * mode.windowMs)
+      .forEach((s) => { (stuck[s.pairId] = stuck[s.pairId] || []).push(s); });
+    Object.entries(stuck).forEach(([pairId, pair]) => {
+      if (!mayLog(pair[0].team)) return;
+      run(pairId, () => commitPair(gameId, pair)); // both taps agree, either one's fields will do
+    });
+  };
+
+  const stopGame = listenToGame(gameId, (g) => { game = g; tick(); });
+  const stopShots = onSnapshot(
+    query(pendingCol(gameId), where('status', 'in', ['open', 'matched'])),
+    (snap) => { shots = snap.docs.map(d => ({ id: d.id, ...d.data() })); tick(); },
+  );
+  const timer = setInterval(tick, TICK_MS);
+
+  return () => {
+    clearInterval(timer);
+    try { stopGame && stopGame(); } catch {}
+    try { stopShots && stopShots(); } catch {}
+  };
+};
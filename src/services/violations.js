@@ -0,0 +1,57 @@
+// src/services/violations.js
+// Referee calls and their penalties (pure, no Firestore).
+// gameService.logViolation writes them as `violation` logs; gameReducer replays
+// the penalty so rebuild/amend agree with the live engine.
+
+/* ------------------------------------------------------------------
+violation log: {
+  team, playerId|null, kind, challengeIndex,
+  penalty: { type, points, target: 'challenge'|'match' },
+  voidedShotId: string|null,   // void_last_shot: the shot now flagged `voided`
+}
+--------------------------------------------------------------------- */
+
+export const VIOLATION_KINDS = ['line', 'travel', 'delay', 'other'];
+
+const KIND_LABEL = {
+  line: 'Line violation',
+  travel: 'Travel / wrong spot',
+  delay: 'Delay of game',
+  other: 'Violation',
+};
+
+export const PENALTY_TYPES = ['none', 'void_last_shot', 'deduct_points', 'forfeit_moneyball', 'forfeit_gamechanger'];
+
+const PENALTY_LABEL = {
+  none: 'warning',
+  void_last_shot: 'shot voided',
+  deduct_points: 'points deducted',
+  forfeit_moneyball: 'Moneyball forfeited',
+  forfeit_gamechanger: 'Gamechanger forfeited',
+};
+
+export const isViolationLog = (l) => l?.type === 'violation' && (l.team === 'A' || l.team === 'B');
+
+/**
+ * Accepts a penalty type string or { type, points }.
+ * `bonusActive` decides whether deducted points come off the challenge or the match score.
+ */
+export const normalizePenalty = (raw, { bonusActive = false } = {}) => {
+  const type = typeof raw === 'string' ? raw : raw?.type;
+  if (!PENALTY_TYPES.includes(type)) throw new Error(`Unknown penalty “${type}”.`);
+  const pts = Math.floor(Number(raw?.points ?? 1));
+  return {
+    type,
+    points: type === 'deduct_points' ? (Number.isFinite(pts) && pts > 0 ? pts : 1) : 0,
+    target: bonusActive ? 'match' : 'challenge',
+  };
+};
+
+export const violationLabel = (kind) => KIND_LABEL[kind] || KIND_LABEL.other;
+
+// "Line violation — shot voided" / "Delay of game — −2"
+export const describeViolation = (l) => {
+  const p = l?.penalty || {};
+  const what = p.type === 'deduct_points' ? `−${Number(p.points) || 0}` : (PENALTY_LABEL[p.type] || PENALTY_LABEL.none);
+  return `${violationLabel(l?.kind)} — ${what}`;
+};